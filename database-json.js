@@ -0,0 +1,71 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createMemoryStorage } from './database-memory.js';
+
+/**
+ * JSON File Storage Backend
+ *
+ * The in-memory backend, saved to a single JSON file after every write. No
+ * native dependencies, so it runs anywhere Node does (e.g. a Raspberry Pi
+ * without build tools). Fine for a night's queue; use SQLite for big catalogs
+ * or many sessions, since every write rewrites the whole file.
+ *
+ * Files written by the old JSON database (sessions and songs keyed by ID)
+ * are read and converted on load.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Use /data volume in production (Fly.io), fallback to local for development
+const DATA_FILE = process.env.DATABASE_PATH || (process.env.NODE_ENV === 'production'
+  ? '/data/data.json'
+  : join(__dirname, 'data.json'));
+
+// The old layout kept tables as objects keyed by ID
+function upgradeLegacyData(data) {
+  if (Array.isArray(data.sessions) || !data.sessions) {
+    return data;
+  }
+
+  return {
+    sessions: Object.values(data.sessions).map(session => ({ ...session, is_active: session.is_active ? 1 : 0 })),
+    songs: Object.values(data.songs || {}),
+    singer_stats: Object.values(data.singer_stats || {}),
+  };
+}
+
+function loadData(path) {
+  if (!fs.existsSync(path)) {
+    return undefined;
+  }
+
+  try {
+    return upgradeLegacyData(JSON.parse(fs.readFileSync(path, 'utf8')));
+  } catch (error) {
+    // Starting over would silently drop every session; make someone look at the file
+    throw new Error(`Could not read ${path}: ${error.message}`, { cause: error });
+  }
+}
+
+// Write to a temporary file and rename, so a crash mid-write keeps the last good copy
+function saveData(path, data) {
+  const tempPath = `${path}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, path);
+}
+
+export function createJsonStorage(path = DATA_FILE) {
+  fs.mkdirSync(dirname(path), { recursive: true });
+
+  return createMemoryStorage({
+    data: loadData(path),
+    onChange: (data) => {
+      try {
+        saveData(path, data);
+      } catch (error) {
+        console.error('Error saving data:', error);
+      }
+    },
+  });
+}
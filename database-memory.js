@@ -0,0 +1,639 @@
+import { generateToken } from './src/services/tokens.js';
+
+/**
+ * In-Memory Storage Backend
+ *
+ * Plain arrays of rows shaped like the SQLite tables, for tests and as the
+ * core of the JSON-file backend. Functions match database-sqlite.js: rows
+ * come back as copies, writes return { changes } or { lastInsertRowid }.
+ *
+ * withTransaction snapshots the data and puts it back if the function throws.
+ * onChange is called after every write, or once at the end of a transaction.
+ */
+
+// Columns and defaults for each table; rows loaded from elsewhere are filled in from these
+const TABLES = {
+  sessions: {
+    id: null, created_at: null, song_duration: 270, is_active: 1,
+    venmo_handle: null, cashapp_handle: null, zelle_handle: null,
+    status: 'active', dj_token_hash: null, queue_mode: 'fifo', ends_at: null, break_ends_at: null,
+    paused_at: null, paused_seconds: 0,
+  },
+  session_settings: {
+    session_id: null, rate_limit_device: 5, rate_limit_ip: 20, rate_limit_window_minutes: 10,
+    require_approval: 0, max_songs_per_singer: 0, max_waiting_per_singer: 0,
+    min_submission_gap_minutes: 0, last_call_at: null, block_duplicates: 0, starts_at: null,
+    closes_at: null, ending_grace_minutes: 5, inactivity_timeout_hours: 6, updated_at: null,
+  },
+  songs: {
+    id: null, session_id: null, singer_name: null, artist: null, song_title: null,
+    position: null, status: 'waiting', requested_at: null,
+    delayed_until: null, delay_minutes: null, manage_token_hash: null, pinned: 0,
+    catalog_id: null, started_at: null, ended_at: null, deleted_at: null,
+  },
+  singer_stats: { session_id: null, singer_name: null, song_count: 0 },
+  catalog: {
+    id: null, artist: null, title: null, duration: null, tags: null, source: null,
+    search_text: null, created_at: null,
+  },
+  admin_users: { id: null, username: null, password_hash: null, password_salt: null, created_at: null },
+  admin_sessions: { token_hash: null, admin_user_id: null, created_at: null, expires_at: null },
+  events: {
+    id: null, session_id: null, entity_type: null, entity_id: null, event_type: null,
+    payload: null, actor_role: null, created_at: null,
+  },
+  undo_history: {
+    id: null, session_id: null, action_type: null, description: null,
+    undo_ops: null, redo_ops: null, state: 'done', created_at: null,
+  },
+};
+
+/**
+ * Empty data, or the given data with every table present and every row
+ * carrying every column
+ */
+export function normalizeData(data = {}) {
+  const normalized = { sequences: { ...data.sequences } };
+  for (const [table, defaults] of Object.entries(TABLES)) {
+    normalized[table] = (data[table] || []).map(row => ({ ...defaults, ...row }));
+    if ('id' in defaults) {
+      const maxId = normalized[table].reduce((max, row) => Math.max(max, row.id || 0), 0);
+      normalized.sequences[table] = Math.max(normalized.sequences[table] || 0, maxId);
+    }
+  }
+  return normalized;
+}
+
+const copy = (row) => (row ? { ...row } : null);
+const now = () => new Date().toISOString();
+
+export function createMemoryStorage({ data: initialData, onChange = () => {} } = {}) {
+  let data = normalizeData(initialData);
+  let transactionDepth = 0;
+  let dirty = false;
+
+  function changed(changes = 1) {
+    if (changes === 0) {
+      return;
+    }
+    if (transactionDepth > 0) {
+      dirty = true;
+    } else {
+      onChange(data);
+    }
+  }
+
+  function insert(table, values) {
+    const row = { ...TABLES[table], ...values };
+    if ('id' in TABLES[table] && (row.id === null || row.id === undefined)) {
+      row.id = ++data.sequences[table];
+    }
+    data[table].push(row);
+    changed();
+    return row;
+  }
+
+  // Apply changes to matching rows; returns { changes }
+  function update(table, predicate, changes) {
+    const rows = data[table].filter(predicate);
+    for (const row of rows) {
+      Object.assign(row, changes);
+    }
+    changed(rows.length);
+    return { changes: rows.length };
+  }
+
+  function remove(table, predicate) {
+    const before = data[table].length;
+    data[table] = data[table].filter(row => !predicate(row));
+    const removed = before - data[table].length;
+    changed(removed);
+    return { changes: removed };
+  }
+
+  const findSong = (songId) => data.songs.find(song => song.id === Number(songId));
+  const liveSongs = (sessionId) => data.songs.filter(song => song.session_id === sessionId && song.deleted_at === null);
+  const catalogDuration = (catalogId) => (catalogId === null
+    ? null
+    : data.catalog.find(entry => entry.id === catalogId)?.duration ?? null);
+
+  function flush() {
+    if (transactionDepth === 0 && dirty) {
+      dirty = false;
+      onChange(data);
+    }
+  }
+
+  // Group writes so onChange fires once at the end
+  function batch(fn) {
+    transactionDepth++;
+    try {
+      return fn();
+    } finally {
+      transactionDepth--;
+      flush();
+    }
+  }
+
+  function withTransaction(fn) {
+    if (transactionDepth > 0) {
+      return fn();
+    }
+
+    const snapshot = structuredClone(data);
+    transactionDepth++;
+    try {
+      const result = fn();
+      transactionDepth--;
+      flush();
+      return result;
+    } catch (error) {
+      transactionDepth--;
+      data = snapshot;
+      dirty = false;
+      throw error;
+    }
+  }
+
+  // Session functions
+  function addEvent({ sessionId, entityType, entityId = null, eventType, payload = null, actorRole }) {
+    const row = insert('events', {
+      session_id: sessionId,
+      entity_type: entityType,
+      entity_id: entityId === null ? null : String(entityId),
+      event_type: eventType,
+      payload: payload === null ? null : JSON.stringify(payload),
+      actor_role: actorRole,
+      created_at: now(),
+    });
+    return { lastInsertRowid: row.id };
+  }
+
+  function getEvents(sessionId, limit = 200, beforeId = Number.MAX_SAFE_INTEGER) {
+    return data.events
+      .filter(event => event.session_id === sessionId && event.id < beforeId)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  function getLastActivityAt(sessionId) {
+    return data.events
+      .filter(event => event.session_id === sessionId && event.actor_role !== 'system')
+      .reduce((last, event) => (last === null || event.created_at > last ? event.created_at : last), null);
+  }
+
+  function createSession(sessionId, songDuration = 270, tipHandles = {}, djTokenHash = null, status = 'active') {
+    if (data.sessions.some(session => session.id === sessionId)) {
+      throw new Error('UNIQUE constraint failed: sessions.id');
+    }
+    const { venmo_handle = null, cashapp_handle = null, zelle_handle = null } = tipHandles;
+    insert('sessions', {
+      id: sessionId,
+      created_at: now(),
+      song_duration: songDuration,
+      is_active: 1,
+      venmo_handle,
+      cashapp_handle,
+      zelle_handle,
+      status,
+      dj_token_hash: djTokenHash,
+    });
+    return { changes: 1 };
+  }
+
+  const bySessionId = (sessionId) => (session) => session.id === sessionId;
+
+  function updateSessionStatus(sessionId, status) {
+    return update('sessions', bySessionId(sessionId), { status });
+  }
+
+  function setSessionEndsAt(sessionId, endsAt) {
+    return update('sessions', bySessionId(sessionId), { ends_at: endsAt });
+  }
+
+  function setSessionBreakEndsAt(sessionId, breakEndsAt) {
+    return update('sessions', bySessionId(sessionId), { break_ends_at: breakEndsAt });
+  }
+
+  function setSessionPause(sessionId, pausedAt, pausedSeconds) {
+    return update('sessions', bySessionId(sessionId), { paused_at: pausedAt, paused_seconds: pausedSeconds });
+  }
+
+  function getUnfinishedSessions() {
+    return data.sessions.filter(session => (session.status || 'active') !== 'ended').map(copy);
+  }
+
+  function updateSessionQueueMode(sessionId, queueMode) {
+    return update('sessions', bySessionId(sessionId), { queue_mode: queueMode });
+  }
+
+  function getSession(sessionId) {
+    return copy(data.sessions.find(bySessionId(sessionId)));
+  }
+
+  function updateSessionTips(sessionId, tipHandles) {
+    const { venmo_handle = null, cashapp_handle = null, zelle_handle = null } = tipHandles;
+    return update('sessions', bySessionId(sessionId), { venmo_handle, cashapp_handle, zelle_handle });
+  }
+
+  const bySettingsSessionId = (sessionId) => (settings) => settings.session_id === sessionId;
+
+  function getSessionSettings(sessionId) {
+    return copy(data.session_settings.find(bySettingsSessionId(sessionId)));
+  }
+
+  function saveSessionSettings(sessionId, settings) {
+    const values = { ...settings, session_id: sessionId, updated_at: now() };
+    return batch(() => {
+      if (update('session_settings', bySettingsSessionId(sessionId), values).changes === 0) {
+        insert('session_settings', values);
+      }
+      return { changes: 1 };
+    });
+  }
+
+  // Song functions
+  function addSong(sessionId, singerName, artist, songTitle, catalogId = null, status = 'waiting') {
+    const position = data.songs
+      .filter(song => song.session_id === sessionId)
+      .reduce((max, song) => Math.max(max, song.position), 0) + 1;
+    const manageToken = generateToken();
+
+    const song = batch(() => {
+      const row = insert('songs', {
+        session_id: sessionId,
+        singer_name: singerName,
+        artist,
+        song_title: songTitle,
+        position,
+        status,
+        requested_at: now(),
+        manage_token_hash: manageToken.hash,
+        catalog_id: catalogId,
+      });
+
+      const stats = data.singer_stats.find(stat => stat.session_id === sessionId && stat.singer_name === singerName);
+      if (stats) {
+        stats.song_count++;
+      } else {
+        insert('singer_stats', { session_id: sessionId, singer_name: singerName, song_count: 1 });
+      }
+
+      return row;
+    });
+
+    return { lastInsertRowid: song.id, manageToken: manageToken.token };
+  }
+
+  function getSongs(sessionId) {
+    return liveSongs(sessionId)
+      .sort((a, b) => a.position - b.position)
+      .map(song => ({ ...song, catalog_duration: catalogDuration(song.catalog_id) }));
+  }
+
+  const bySongId = (songId) => (song) => song.id === Number(songId);
+
+  function updateSongPosition(songId, position) {
+    return update('songs', bySongId(songId), { position });
+  }
+
+  function updateSongStatus(songId, status) {
+    return update('songs', bySongId(songId), { status });
+  }
+
+  function setSongStartedAt(songId, startedAt) {
+    return update('songs', bySongId(songId), { started_at: startedAt, ended_at: null });
+  }
+
+  function setSongEndedAt(songId, endedAt) {
+    return update('songs', bySongId(songId), { ended_at: endedAt });
+  }
+
+  function getRecentPerformances(sessionId, limit = 10) {
+    return liveSongs(sessionId)
+      .filter(song => song.status === 'done' && song.started_at !== null && song.ended_at !== null)
+      .sort((a, b) => b.ended_at.localeCompare(a.ended_at))
+      .slice(0, limit)
+      .map(({ id, started_at, ended_at, catalog_id }) => ({
+        id,
+        started_at,
+        ended_at,
+        catalog_duration: catalogDuration(catalog_id),
+      }));
+  }
+
+  function deleteSong(songId) {
+    return update('songs', bySongId(songId), { deleted_at: now() });
+  }
+
+  function restoreSong(songId) {
+    return update('songs', bySongId(songId), { deleted_at: null });
+  }
+
+  function setSongTimes(songId, startedAt, endedAt) {
+    return update('songs', bySongId(songId), { started_at: startedAt, ended_at: endedAt });
+  }
+
+  function getSingerStats(sessionId) {
+    return data.singer_stats.filter(stat => stat.session_id === sessionId).map(copy);
+  }
+
+  function reorderSongs(sessionId, songPositions) {
+    return batch(() => {
+      let changes = 0;
+      for (const { id, position } of songPositions) {
+        changes += updateSongPosition(id, position).changes;
+      }
+      return { changes };
+    });
+  }
+
+  function getDeduplicatedName(sessionId, requestedName) {
+    const existingNames = getSongs(sessionId).map(song => song.singer_name.toLowerCase());
+
+    let finalName = requestedName;
+    let counter = 1;
+
+    while (existingNames.includes(finalName.toLowerCase())) {
+      counter++;
+      finalName = `${requestedName} (${counter})`;
+    }
+
+    return finalName;
+  }
+
+  function getUniqueSingers(sessionId) {
+    return [...new Set(liveSongs(sessionId).map(song => song.singer_name))].sort();
+  }
+
+  function getAllSessionsWithStats() {
+    return [...data.sessions]
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(session => {
+        const songs = liveSongs(session.id);
+        const countStatus = (status) => songs.filter(song => song.status === status).length;
+        return {
+          id: session.id,
+          created_at: session.created_at,
+          song_duration: session.song_duration,
+          is_active: session.is_active,
+          total_songs: songs.length,
+          waiting_songs: countStatus('waiting'),
+          playing_songs: countStatus('playing'),
+          completed_songs: countStatus('done'),
+          skipped_songs: countStatus('skipped'),
+          unique_singers: new Set(songs.map(song => song.singer_name)).size,
+        };
+      });
+  }
+
+  const openSong = (songId) => (song) => song.id === Number(songId) && ['pending', 'waiting', 'delayed'].includes(song.status);
+
+  function updateSongDetails(songId, artist, songTitle) {
+    return update('songs', openSong(songId), { artist, song_title: songTitle });
+  }
+
+  function setSongDelay(songId, delayedUntil, delayMinutes) {
+    return update('songs', bySongId(songId), { delayed_until: delayedUntil, delay_minutes: delayMinutes });
+  }
+
+  function getDelayedSongs() {
+    return data.songs.filter(song => song.status === 'delayed' && song.deleted_at === null).map(copy);
+  }
+
+  function setSongPinned(songId, pinned) {
+    return update('songs', bySongId(songId), { pinned: pinned ? 1 : 0 });
+  }
+
+  function clearSessionPins(sessionId) {
+    return update('songs', song => song.session_id === sessionId, { pinned: 0 });
+  }
+
+  function getSongById(songId) {
+    const song = findSong(songId);
+    return song && song.deleted_at === null ? copy(song) : null;
+  }
+
+  function getSongByIdWithDeleted(songId) {
+    return copy(findSong(songId));
+  }
+
+  // Catalog functions
+  function addCatalogEntry({ artist, title, duration = null, tags = null, source = null, searchText }) {
+    const row = insert('catalog', { artist, title, duration, tags, source, search_text: searchText, created_at: now() });
+    return { lastInsertRowid: row.id };
+  }
+
+  function getCatalogEntry(catalogId) {
+    return copy(data.catalog.find(entry => entry.id === Number(catalogId)));
+  }
+
+  function getCatalogEntries() {
+    return data.catalog.map(({ id, artist, title, duration, tags, source }) => ({ id, artist, title, duration, tags, source }));
+  }
+
+  function updateCatalogEntry(catalogId, { duration = null, tags = null, source = null }) {
+    return update('catalog', entry => entry.id === Number(catalogId), { duration, tags, source });
+  }
+
+  function getCatalogCount() {
+    return data.catalog.length;
+  }
+
+  function findCatalogCandidates(fragments, limit = 500) {
+    if (fragments.length === 0) {
+      return [];
+    }
+
+    const lowered = fragments.map(fragment => fragment.toLowerCase());
+    const matches = [];
+    for (const entry of data.catalog) {
+      const searchText = entry.search_text.toLowerCase();
+      if (lowered.some(fragment => searchText.includes(fragment))) {
+        matches.push(copy(entry));
+        if (matches.length >= limit) break;
+      }
+    }
+    return matches;
+  }
+
+  // Admin functions
+  const sameUsername = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  function createAdminUser(username, passwordHash, passwordSalt) {
+    if (data.admin_users.some(user => sameUsername(user.username, username))) {
+      throw new Error('UNIQUE constraint failed: admin_users.username');
+    }
+    const row = insert('admin_users', { username, password_hash: passwordHash, password_salt: passwordSalt, created_at: now() });
+    return { lastInsertRowid: row.id };
+  }
+
+  function getAdminUserByUsername(username) {
+    return copy(data.admin_users.find(user => sameUsername(user.username, username)));
+  }
+
+  function getAdminUsers() {
+    return [...data.admin_users]
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(({ id, username, created_at }) => ({ id, username, created_at }));
+  }
+
+  function createAdminSession(tokenHash, adminUserId, expiresAt) {
+    insert('admin_sessions', { token_hash: tokenHash, admin_user_id: adminUserId, created_at: now(), expires_at: expiresAt });
+    return { changes: 1 };
+  }
+
+  function getAdminSession(tokenHash) {
+    const session = data.admin_sessions.find(row => row.token_hash === tokenHash && row.expires_at > now());
+    const user = session && data.admin_users.find(row => row.id === session.admin_user_id);
+    return user ? { ...session, username: user.username } : null;
+  }
+
+  function deleteAdminSession(tokenHash) {
+    return remove('admin_sessions', row => row.token_hash === tokenHash);
+  }
+
+  function deleteExpiredAdminSessions() {
+    const cutoff = now();
+    return remove('admin_sessions', row => row.expires_at <= cutoff);
+  }
+
+  function importSession(session) {
+    const existing = data.sessions.find(bySessionId(session.id));
+    if (existing) {
+      Object.assign(existing, session);
+      changed();
+    } else {
+      insert('sessions', session);
+    }
+    return { changes: 1 };
+  }
+
+  function importSong(sessionId, song) {
+    const row = insert('songs', { ...song, id: null, session_id: sessionId });
+    return { lastInsertRowid: row.id };
+  }
+
+  function setSingerStats(sessionId, singerName, songCount) {
+    const stats = data.singer_stats.find(stat => stat.session_id === sessionId && stat.singer_name === singerName);
+    if (stats) {
+      stats.song_count = songCount;
+      changed();
+    } else {
+      insert('singer_stats', { session_id: sessionId, singer_name: singerName, song_count: songCount });
+    }
+    return { changes: 1 };
+  }
+
+  function getSessionSongIds(sessionId) {
+    return data.songs.filter(song => song.session_id === sessionId).map(song => song.id);
+  }
+
+  function clearSessionData(sessionId) {
+    return batch(() => {
+      const songs = remove('songs', song => song.session_id === sessionId);
+      remove('singer_stats', stat => stat.session_id === sessionId);
+      remove('undo_history', entry => entry.session_id === sessionId);
+      return songs;
+    });
+  }
+
+  function addUndoEntry(sessionId, { actionType, description, undoOps, redoOps }, keep = 50) {
+    return batch(() => {
+      remove('undo_history', entry => entry.session_id === sessionId && entry.state === 'undone');
+      const row = insert('undo_history', {
+        session_id: sessionId,
+        action_type: actionType,
+        description,
+        undo_ops: JSON.stringify(undoOps),
+        redo_ops: JSON.stringify(redoOps),
+        state: 'done',
+        created_at: now(),
+      });
+      const kept = new Set(data.undo_history
+        .filter(entry => entry.session_id === sessionId)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, keep)
+        .map(entry => entry.id));
+      remove('undo_history', entry => entry.session_id === sessionId && !kept.has(entry.id));
+      return { lastInsertRowid: row.id };
+    });
+  }
+
+  function getLastUndoEntry(sessionId) {
+    const entries = data.undo_history.filter(entry => entry.session_id === sessionId && entry.state === 'done');
+    return copy(entries.reduce((last, entry) => (!last || entry.id > last.id ? entry : last), null));
+  }
+
+  function getNextRedoEntry(sessionId) {
+    const entries = data.undo_history.filter(entry => entry.session_id === sessionId && entry.state === 'undone');
+    return copy(entries.reduce((next, entry) => (!next || entry.id < next.id ? entry : next), null));
+  }
+
+  function setUndoEntryState(entryId, state) {
+    return update('undo_history', entry => entry.id === Number(entryId), { state });
+  }
+
+  return {
+    withTransaction,
+    addEvent,
+    getEvents,
+    getLastActivityAt,
+    createSession,
+    updateSessionStatus,
+    setSessionEndsAt,
+    setSessionBreakEndsAt,
+    setSessionPause,
+    getUnfinishedSessions,
+    updateSessionQueueMode,
+    getSession,
+    updateSessionTips,
+    getSessionSettings,
+    saveSessionSettings,
+    addSong,
+    getSongs,
+    updateSongPosition,
+    updateSongStatus,
+    setSongStartedAt,
+    setSongEndedAt,
+    getRecentPerformances,
+    deleteSong,
+    restoreSong,
+    setSongTimes,
+    getSingerStats,
+    reorderSongs,
+    getDeduplicatedName,
+    getUniqueSingers,
+    getAllSessionsWithStats,
+    updateSongDetails,
+    setSongDelay,
+    getDelayedSongs,
+    setSongPinned,
+    clearSessionPins,
+    getSongById,
+    getSongByIdWithDeleted,
+    addCatalogEntry,
+    getCatalogEntry,
+    getCatalogEntries,
+    updateCatalogEntry,
+    getCatalogCount,
+    findCatalogCandidates,
+    createAdminUser,
+    getAdminUserByUsername,
+    getAdminUsers,
+    createAdminSession,
+    getAdminSession,
+    deleteAdminSession,
+    deleteExpiredAdminSessions,
+    importSession,
+    importSong,
+    setSingerStats,
+    getSessionSongIds,
+    clearSessionData,
+    addUndoEntry,
+    getLastUndoEntry,
+    getNextRedoEntry,
+    setUndoEntryState,
+  };
+}
@@ -1,136 +1,42 @@
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fs from 'fs';
+import { generateToken } from './src/services/tokens.js';
+import { openDatabase } from './src/db/connection.js';
+import { runMigrations } from './src/db/migrations.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Use persistent volume path in production, local path in development
-const DB_DIR = process.env.NODE_ENV === 'production' ? '/data' : __dirname;
-const DB_PATH = join(DB_DIR, 'karaoke.db');
-
-// Ensure directory exists
-if (!fs.existsSync(DB_DIR)) {
-  fs.mkdirSync(DB_DIR, { recursive: true });
-}
+/**
+ * SQLite Storage Backend
+ *
+ * The default backend (see database.js). Other backends mirror these
+ * functions, so a change here needs the same change in database-memory.js.
+ */
 
 // Initialize database
-const db = new Database(DB_PATH);
-db.pragma('journal_mode = WAL');
-
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS sessions (
-    id TEXT PRIMARY KEY,
-    created_at TEXT NOT NULL,
-    song_duration INTEGER DEFAULT 270,
-    is_active INTEGER DEFAULT 1,
-    venmo_handle TEXT,
-    cashapp_handle TEXT,
-    zelle_handle TEXT
-  );
+const db = openDatabase();
 
-  CREATE TABLE IF NOT EXISTS songs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT NOT NULL,
-    singer_name TEXT NOT NULL,
-    artist TEXT NOT NULL,
-    song_title TEXT NOT NULL,
-    position INTEGER NOT NULL,
-    status TEXT DEFAULT 'waiting',
-    requested_at TEXT NOT NULL,
-    delayed_until TEXT,
-    delay_minutes INTEGER,
-    FOREIGN KEY (session_id) REFERENCES sessions (id)
-  );
-
-  CREATE TABLE IF NOT EXISTS singer_stats (
-    session_id TEXT NOT NULL,
-    singer_name TEXT NOT NULL,
-    song_count INTEGER DEFAULT 0,
-    PRIMARY KEY (session_id, singer_name),
-    FOREIGN KEY (session_id) REFERENCES sessions (id)
-  );
+// Bring the schema up to date; a failed migration stops startup
+await runMigrations(db);
 
-  CREATE INDEX IF NOT EXISTS idx_songs_session_position ON songs (session_id, position);
-  CREATE INDEX IF NOT EXISTS idx_songs_session_status ON songs (session_id, status);
-`);
-
-// Handle database migrations for existing databases
-function runMigrations() {
-  try {
-    // Check if tip columns exist in sessions table
-    const checkSessionColumns = db.prepare("PRAGMA table_info(sessions)");
-    const sessionColumns = checkSessionColumns.all();
-    const sessionColumnNames = sessionColumns.map(col => col.name);
-
-    const hasVenmo = sessionColumnNames.includes('venmo_handle');
-    const hasCashApp = sessionColumnNames.includes('cashapp_handle');
-    const hasZelle = sessionColumnNames.includes('zelle_handle');
-    const hasStatus = sessionColumnNames.includes('status');
-
-    // Add missing tip columns if they don't exist
-    if (!hasVenmo || !hasCashApp || !hasZelle) {
-      console.log('Running database migration to add tip columns...');
-
-      if (!hasVenmo) {
-        db.exec('ALTER TABLE sessions ADD COLUMN venmo_handle TEXT');
-      }
-      if (!hasCashApp) {
-        db.exec('ALTER TABLE sessions ADD COLUMN cashapp_handle TEXT');
-      }
-      if (!hasZelle) {
-        db.exec('ALTER TABLE sessions ADD COLUMN zelle_handle TEXT');
-      }
-
-      console.log('Database migration completed successfully.');
-    }
-
-    // Add session status column for state machine support
-    if (!hasStatus) {
-      console.log('Running database migration to add session status column...');
-      db.exec('ALTER TABLE sessions ADD COLUMN status TEXT DEFAULT "active"');
-      // Update existing sessions to have active status
-      db.exec('UPDATE sessions SET status = "active" WHERE status IS NULL');
-      console.log('Session status column migration completed successfully.');
-    }
-
-    // Check if delay columns exist in songs table
-    const checkSongColumns = db.prepare("PRAGMA table_info(songs)");
-    const songColumns = checkSongColumns.all();
-    const songColumnNames = songColumns.map(col => col.name);
-
-    const hasDelayedUntil = songColumnNames.includes('delayed_until');
-    const hasDelayMinutes = songColumnNames.includes('delay_minutes');
-
-    // Add missing delay columns if they don't exist
-    if (!hasDelayedUntil || !hasDelayMinutes) {
-      console.log('Running database migration to add delay columns...');
-
-      if (!hasDelayedUntil) {
-        db.exec('ALTER TABLE songs ADD COLUMN delayed_until TEXT');
-      }
-      if (!hasDelayMinutes) {
-        db.exec('ALTER TABLE songs ADD COLUMN delay_minutes INTEGER');
-      }
+// Prepared statements for performance
+const stmts = {
+  addEvent: db.prepare(`
+    INSERT INTO events (session_id, entity_type, entity_id, event_type, payload, actor_role, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
 
-      console.log('Delay columns migration completed successfully.');
-    }
-  } catch (error) {
-    console.error('Error running database migrations:', error);
-    // Don't throw - let the app continue with existing schema
-  }
-}
+  getEvents: db.prepare(`
+    SELECT * FROM events
+    WHERE session_id = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `),
 
-// Run migrations
-runMigrations();
+  getLastActivityAt: db.prepare(`
+    SELECT MAX(created_at) AS last_activity_at FROM events
+    WHERE session_id = ? AND actor_role != 'system'
+  `),
 
-// Prepared statements for performance
-const stmts = {
   createSession: db.prepare(`
-    INSERT INTO sessions (id, created_at, song_duration, is_active, venmo_handle, cashapp_handle, zelle_handle, status)
-    VALUES (?, ?, ?, 1, ?, ?, ?, ?)
+    INSERT INTO sessions (id, created_at, song_duration, is_active, venmo_handle, cashapp_handle, zelle_handle, status, dj_token_hash)
+    VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?)
   `),
 
   getSession: db.prepare(`
@@ -149,15 +55,77 @@ const stmts = {
     WHERE id = ?
   `),
 
+  setSessionEndsAt: db.prepare(`
+    UPDATE sessions
+    SET ends_at = ?
+    WHERE id = ?
+  `),
+
+  setSessionBreakEndsAt: db.prepare(`
+    UPDATE sessions
+    SET break_ends_at = ?
+    WHERE id = ?
+  `),
+
+  setSessionPause: db.prepare(`
+    UPDATE sessions
+    SET paused_at = ?, paused_seconds = ?
+    WHERE id = ?
+  `),
+
+  getUnfinishedSessions: db.prepare(`
+    SELECT * FROM sessions WHERE COALESCE(status, 'active') != 'ended'
+  `),
+
+  updateSessionQueueMode: db.prepare(`
+    UPDATE sessions
+    SET queue_mode = ?
+    WHERE id = ?
+  `),
+
+  getSessionSettings: db.prepare(`
+    SELECT * FROM session_settings WHERE session_id = ?
+  `),
+
+  saveSessionSettings: db.prepare(`
+    INSERT INTO session_settings (
+      session_id, rate_limit_device, rate_limit_ip, rate_limit_window_minutes, require_approval,
+      max_songs_per_singer, max_waiting_per_singer, min_submission_gap_minutes, last_call_at,
+      block_duplicates, starts_at, closes_at, ending_grace_minutes, inactivity_timeout_hours, updated_at
+    )
+    VALUES (
+      @session_id, @rate_limit_device, @rate_limit_ip, @rate_limit_window_minutes, @require_approval,
+      @max_songs_per_singer, @max_waiting_per_singer, @min_submission_gap_minutes, @last_call_at,
+      @block_duplicates, @starts_at, @closes_at, @ending_grace_minutes, @inactivity_timeout_hours, @updated_at
+    )
+    ON CONFLICT (session_id) DO UPDATE SET
+      rate_limit_device = excluded.rate_limit_device,
+      rate_limit_ip = excluded.rate_limit_ip,
+      rate_limit_window_minutes = excluded.rate_limit_window_minutes,
+      require_approval = excluded.require_approval,
+      max_songs_per_singer = excluded.max_songs_per_singer,
+      max_waiting_per_singer = excluded.max_waiting_per_singer,
+      min_submission_gap_minutes = excluded.min_submission_gap_minutes,
+      last_call_at = excluded.last_call_at,
+      block_duplicates = excluded.block_duplicates,
+      starts_at = excluded.starts_at,
+      closes_at = excluded.closes_at,
+      ending_grace_minutes = excluded.ending_grace_minutes,
+      inactivity_timeout_hours = excluded.inactivity_timeout_hours,
+      updated_at = excluded.updated_at
+  `),
+
   addSong: db.prepare(`
-    INSERT INTO songs (session_id, singer_name, artist, song_title, position, status, requested_at)
-    VALUES (?, ?, ?, ?, ?, 'waiting', ?)
+    INSERT INTO songs (session_id, singer_name, artist, song_title, position, status, requested_at, manage_token_hash, catalog_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   getSongs: db.prepare(`
-    SELECT * FROM songs
-    WHERE session_id = ?
-    ORDER BY position ASC
+    SELECT songs.*, catalog.duration AS catalog_duration
+    FROM songs
+    LEFT JOIN catalog ON catalog.id = songs.catalog_id
+    WHERE songs.session_id = ? AND songs.deleted_at IS NULL
+    ORDER BY songs.position ASC
   `),
 
   updateSongPosition: db.prepare(`
@@ -168,20 +136,62 @@ const stmts = {
     UPDATE songs SET status = ? WHERE id = ?
   `),
 
+  setSongStartedAt: db.prepare(`
+    UPDATE songs SET started_at = ?, ended_at = NULL WHERE id = ?
+  `),
+
+  setSongEndedAt: db.prepare(`
+    UPDATE songs SET ended_at = ? WHERE id = ?
+  `),
+
+  getRecentPerformances: db.prepare(`
+    SELECT songs.id, songs.started_at, songs.ended_at, catalog.duration AS catalog_duration
+    FROM songs
+    LEFT JOIN catalog ON catalog.id = songs.catalog_id
+    WHERE songs.session_id = ? AND songs.status = 'done' AND songs.deleted_at IS NULL
+      AND songs.started_at IS NOT NULL AND songs.ended_at IS NOT NULL
+    ORDER BY songs.ended_at DESC
+    LIMIT ?
+  `),
+
+  setSongPinned: db.prepare(`
+    UPDATE songs SET pinned = ? WHERE id = ?
+  `),
+
+  clearSessionPins: db.prepare(`
+    UPDATE songs SET pinned = 0 WHERE session_id = ?
+  `),
+
   updateSongDetails: db.prepare(`
-    UPDATE songs SET artist = ?, song_title = ? WHERE id = ? AND status = 'waiting'
+    UPDATE songs SET artist = ?, song_title = ? WHERE id = ? AND status IN ('pending', 'waiting', 'delayed')
   `),
 
   setSongDelay: db.prepare(`
-    UPDATE songs SET delayed_until = ?, delay_minutes = ? WHERE id = ? AND status = 'waiting'
+    UPDATE songs SET delayed_until = ?, delay_minutes = ? WHERE id = ?
+  `),
+
+  getDelayedSongs: db.prepare(`
+    SELECT * FROM songs WHERE status = 'delayed' AND deleted_at IS NULL
   `),
 
   getSongById: db.prepare(`
+    SELECT * FROM songs WHERE id = ? AND deleted_at IS NULL
+  `),
+
+  getSongByIdWithDeleted: db.prepare(`
     SELECT * FROM songs WHERE id = ?
   `),
 
   deleteSong: db.prepare(`
-    DELETE FROM songs WHERE id = ?
+    UPDATE songs SET deleted_at = ? WHERE id = ?
+  `),
+
+  restoreSong: db.prepare(`
+    UPDATE songs SET deleted_at = NULL WHERE id = ?
+  `),
+
+  setSongTimes: db.prepare(`
+    UPDATE songs SET started_at = ?, ended_at = ? WHERE id = ?
   `),
 
   getSingerStats: db.prepare(`
@@ -197,7 +207,7 @@ const stmts = {
 
   getUniqueSingers: db.prepare(`
     SELECT DISTINCT singer_name FROM songs
-    WHERE session_id = ?
+    WHERE session_id = ? AND deleted_at IS NULL
     ORDER BY singer_name ASC
   `),
 
@@ -209,6 +219,60 @@ const stmts = {
     SELECT * FROM sessions ORDER BY created_at DESC
   `),
 
+  addCatalogEntry: db.prepare(`
+    INSERT INTO catalog (artist, title, duration, tags, source, search_text, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getCatalogEntry: db.prepare(`
+    SELECT * FROM catalog WHERE id = ?
+  `),
+
+  getCatalogEntries: db.prepare(`
+    SELECT id, artist, title, duration, tags, source FROM catalog
+  `),
+
+  updateCatalogEntry: db.prepare(`
+    UPDATE catalog SET duration = ?, tags = ?, source = ? WHERE id = ?
+  `),
+
+  getCatalogCount: db.prepare(`
+    SELECT COUNT(*) as count FROM catalog
+  `),
+
+  createAdminUser: db.prepare(`
+    INSERT INTO admin_users (username, password_hash, password_salt, created_at)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getAdminUserByUsername: db.prepare(`
+    SELECT * FROM admin_users WHERE username = ?
+  `),
+
+  getAdminUsers: db.prepare(`
+    SELECT id, username, created_at FROM admin_users ORDER BY created_at ASC
+  `),
+
+  createAdminSession: db.prepare(`
+    INSERT INTO admin_sessions (token_hash, admin_user_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getAdminSession: db.prepare(`
+    SELECT admin_sessions.*, admin_users.username
+    FROM admin_sessions
+    JOIN admin_users ON admin_users.id = admin_sessions.admin_user_id
+    WHERE admin_sessions.token_hash = ? AND admin_sessions.expires_at > ?
+  `),
+
+  deleteAdminSession: db.prepare(`
+    DELETE FROM admin_sessions WHERE token_hash = ?
+  `),
+
+  deleteExpiredAdminSessions: db.prepare(`
+    DELETE FROM admin_sessions WHERE expires_at <= ?
+  `),
+
   getSessionStats: db.prepare(`
     SELECT
       s.id,
@@ -222,14 +286,141 @@ const stmts = {
       COUNT(CASE WHEN songs.status = 'skipped' THEN 1 END) as skipped_songs,
       COUNT(DISTINCT songs.singer_name) as unique_singers
     FROM sessions s
-    LEFT JOIN songs ON s.id = songs.session_id
+    LEFT JOIN songs ON s.id = songs.session_id AND songs.deleted_at IS NULL
     GROUP BY s.id
     ORDER BY s.created_at DESC
+  `),
+
+  importSession: db.prepare(`
+    INSERT INTO sessions (
+      id, created_at, song_duration, is_active, venmo_handle, cashapp_handle, zelle_handle, status,
+      dj_token_hash, queue_mode, ends_at, break_ends_at, paused_at, paused_seconds
+    )
+    VALUES (
+      @id, @created_at, @song_duration, @is_active, @venmo_handle, @cashapp_handle, @zelle_handle, @status,
+      @dj_token_hash, @queue_mode, @ends_at, @break_ends_at, @paused_at, @paused_seconds
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      created_at = excluded.created_at,
+      song_duration = excluded.song_duration,
+      is_active = excluded.is_active,
+      venmo_handle = excluded.venmo_handle,
+      cashapp_handle = excluded.cashapp_handle,
+      zelle_handle = excluded.zelle_handle,
+      status = excluded.status,
+      dj_token_hash = excluded.dj_token_hash,
+      queue_mode = excluded.queue_mode,
+      ends_at = excluded.ends_at,
+      break_ends_at = excluded.break_ends_at,
+      paused_at = excluded.paused_at,
+      paused_seconds = excluded.paused_seconds
+  `),
+
+  importSong: db.prepare(`
+    INSERT INTO songs (
+      session_id, singer_name, artist, song_title, position, status, requested_at,
+      started_at, ended_at, delayed_until, delay_minutes, pinned, catalog_id, manage_token_hash
+    )
+    VALUES (
+      @session_id, @singer_name, @artist, @song_title, @position, @status, @requested_at,
+      @started_at, @ended_at, @delayed_until, @delay_minutes, @pinned, @catalog_id, @manage_token_hash
+    )
+  `),
+
+  setSingerStats: db.prepare(`
+    INSERT INTO singer_stats (session_id, singer_name, song_count)
+    VALUES (?, ?, ?)
+    ON CONFLICT (session_id, singer_name)
+    DO UPDATE SET song_count = excluded.song_count
+  `),
+
+  deleteSessionSongs: db.prepare(`
+    DELETE FROM songs WHERE session_id = ?
+  `),
+
+  deleteSessionSingerStats: db.prepare(`
+    DELETE FROM singer_stats WHERE session_id = ?
+  `),
+
+  deleteSessionUndoHistory: db.prepare(`
+    DELETE FROM undo_history WHERE session_id = ?
+  `),
+
+  getSessionSongIds: db.prepare(`
+    SELECT id FROM songs WHERE session_id = ?
+  `),
+
+  addUndoEntry: db.prepare(`
+    INSERT INTO undo_history (session_id, action_type, description, undo_ops, redo_ops, state, created_at)
+    VALUES (?, ?, ?, ?, ?, 'done', ?)
+  `),
+
+  clearRedoEntries: db.prepare(`
+    DELETE FROM undo_history WHERE session_id = ? AND state = 'undone'
+  `),
+
+  pruneUndoEntries: db.prepare(`
+    DELETE FROM undo_history
+    WHERE session_id = ? AND id NOT IN (
+      SELECT id FROM undo_history WHERE session_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `),
+
+  getLastUndoEntry: db.prepare(`
+    SELECT * FROM undo_history
+    WHERE session_id = ? AND state = 'done'
+    ORDER BY id DESC
+    LIMIT 1
+  `),
+
+  getNextRedoEntry: db.prepare(`
+    SELECT * FROM undo_history
+    WHERE session_id = ? AND state = 'undone'
+    ORDER BY id ASC
+    LIMIT 1
+  `),
+
+  setUndoEntryState: db.prepare(`
+    UPDATE undo_history SET state = ? WHERE id = ?
   `)
 };
 
+/**
+ * Run a function inside a single database transaction
+ */
+export function withTransaction(fn) {
+  return db.transaction(fn)();
+}
+
 // Session functions
-export function createSession(sessionId, songDuration = 270, tipHandles = {}) {
+export function addEvent({ sessionId, entityType, entityId = null, eventType, payload = null, actorRole }) {
+  const result = stmts.addEvent.run(
+    sessionId,
+    entityType,
+    entityId === null ? null : String(entityId),
+    eventType,
+    payload === null ? null : JSON.stringify(payload),
+    actorRole,
+    new Date().toISOString()
+  );
+  return { lastInsertRowid: result.lastInsertRowid };
+}
+
+/**
+ * A session's events, newest first, optionally only those before an event ID
+ */
+export function getEvents(sessionId, limit = 200, beforeId = Number.MAX_SAFE_INTEGER) {
+  return stmts.getEvents.all(sessionId, beforeId, limit);
+}
+
+/**
+ * When anyone other than the system last did something in a session, or null
+ */
+export function getLastActivityAt(sessionId) {
+  return stmts.getLastActivityAt.get(sessionId).last_activity_at;
+}
+
+export function createSession(sessionId, songDuration = 270, tipHandles = {}, djTokenHash = null, status = 'active') {
   const { venmo_handle = null, cashapp_handle = null, zelle_handle = null } = tipHandles;
   const result = stmts.createSession.run(
     sessionId,
@@ -238,7 +429,8 @@ export function createSession(sessionId, songDuration = 270, tipHandles = {}) {
     venmo_handle,
     cashapp_handle,
     zelle_handle,
-    'active' // Default initial status
+    status,
+    djTokenHash
   );
   return { changes: result.changes };
 }
@@ -248,6 +440,44 @@ export function updateSessionStatus(sessionId, status) {
   return { changes: result.changes };
 }
 
+/**
+ * Save (or with null, clear) when an ending session becomes ended. The session
+ * state machine decides when a session is ending.
+ */
+export function setSessionEndsAt(sessionId, endsAt) {
+  const result = stmts.setSessionEndsAt.run(endsAt, sessionId);
+  return { changes: result.changes };
+}
+
+/**
+ * Save (or with null, clear) when a session's intermission ends
+ */
+export function setSessionBreakEndsAt(sessionId, breakEndsAt) {
+  const result = stmts.setSessionBreakEndsAt.run(breakEndsAt, sessionId);
+  return { changes: result.changes };
+}
+
+/**
+ * Save when a session's current pause began (null while it's running) and
+ * the total seconds of its finished pauses
+ */
+export function setSessionPause(sessionId, pausedAt, pausedSeconds) {
+  const result = stmts.setSessionPause.run(pausedAt, pausedSeconds, sessionId);
+  return { changes: result.changes };
+}
+
+/**
+ * Sessions that haven't ended, for restoring their timers at startup
+ */
+export function getUnfinishedSessions() {
+  return stmts.getUnfinishedSessions.all();
+}
+
+export function updateSessionQueueMode(sessionId, queueMode) {
+  const result = stmts.updateSessionQueueMode.run(queueMode, sessionId);
+  return { changes: result.changes };
+}
+
 export function getSession(sessionId) {
   return stmts.getSession.get(sessionId) || null;
 }
@@ -258,19 +488,49 @@ export function updateSessionTips(sessionId, tipHandles) {
   return { changes: result.changes };
 }
 
+/**
+ * A session's saved settings row, or null if the DJ never changed them
+ */
+export function getSessionSettings(sessionId) {
+  return stmts.getSessionSettings.get(sessionId) || null;
+}
+
+/**
+ * Create or replace a session's settings row
+ */
+export function saveSessionSettings(sessionId, settings) {
+  const result = stmts.saveSessionSettings.run({
+    ...settings,
+    session_id: sessionId,
+    updated_at: new Date().toISOString(),
+  });
+  return { changes: result.changes };
+}
+
 // Song functions
-export function addSong(sessionId, singerName, artist, songTitle) {
-  const maxPosResult = stmts.getMaxPosition.get(sessionId);
-  const position = maxPosResult.max_pos + 1;
+
+/**
+ * Add a song to the end of the queue, as waiting or (in sessions that need DJ
+ * approval) pending. With the session's settings as `policies`, throws a
+ * RequestPolicyError if the singer's request isn't allowed.
+ * Returns the new row ID and the plain manage token for the singer's manage link;
+ * only the token's hash is stored.
+ */
+export function addSong(sessionId, singerName, artist, songTitle, catalogId = null, status = 'waiting') {
+  const manageToken = generateToken();
 
   const transaction = db.transaction(() => {
+    const position = stmts.getMaxPosition.get(sessionId).max_pos + 1;
     const songResult = stmts.addSong.run(
       sessionId,
       singerName,
       artist,
       songTitle,
       position,
-      new Date().toISOString()
+      status,
+      new Date().toISOString(),
+      manageToken.hash,
+      catalogId
     );
 
     stmts.upsertSingerStats.run(sessionId, singerName);
@@ -279,7 +539,7 @@ export function addSong(sessionId, singerName, artist, songTitle) {
   });
 
   const result = transaction();
-  return { lastInsertRowid: result.lastInsertRowid };
+  return { lastInsertRowid: result.lastInsertRowid, manageToken: manageToken.token };
 }
 
 export function getSongs(sessionId) {
@@ -296,8 +556,38 @@ export function updateSongStatus(songId, status) {
   return { changes: result.changes };
 }
 
+export function setSongStartedAt(songId, startedAt) {
+  const result = stmts.setSongStartedAt.run(startedAt, songId);
+  return { changes: result.changes };
+}
+
+export function setSongEndedAt(songId, endedAt) {
+  const result = stmts.setSongEndedAt.run(endedAt, songId);
+  return { changes: result.changes };
+}
+
+/**
+ * Most recently finished performances that have both timestamps, newest first
+ */
+export function getRecentPerformances(sessionId, limit = 10) {
+  return stmts.getRecentPerformances.all(sessionId, limit);
+}
+
+/**
+ * Soft-delete a song (hidden from the queue, restorable by undo)
+ */
 export function deleteSong(songId) {
-  const result = stmts.deleteSong.run(songId);
+  const result = stmts.deleteSong.run(new Date().toISOString(), songId);
+  return { changes: result.changes };
+}
+
+export function restoreSong(songId) {
+  const result = stmts.restoreSong.run(songId);
+  return { changes: result.changes };
+}
+
+export function setSongTimes(songId, startedAt, endedAt) {
+  const result = stmts.setSongTimes.run(startedAt, endedAt, songId);
   return { changes: result.changes };
 }
 
@@ -348,16 +638,184 @@ export function updateSongDetails(songId, artist, songTitle) {
   return { changes: result.changes };
 }
 
-export function setSongDelay(songId, delayMinutes) {
-  const delayedUntil = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+/**
+ * Save (or with nulls, clear) a song's delay. The song state machine decides
+ * when a song can be delayed.
+ */
+export function setSongDelay(songId, delayedUntil, delayMinutes) {
   const result = stmts.setSongDelay.run(delayedUntil, delayMinutes, songId);
   return { changes: result.changes };
 }
 
+/**
+ * Delayed songs in every session, for restoring their timers at startup
+ */
+export function getDelayedSongs() {
+  return stmts.getDelayedSongs.all();
+}
+
+export function setSongPinned(songId, pinned) {
+  const result = stmts.setSongPinned.run(pinned ? 1 : 0, songId);
+  return { changes: result.changes };
+}
+
+export function clearSessionPins(sessionId) {
+  const result = stmts.clearSessionPins.run(sessionId);
+  return { changes: result.changes };
+}
+
 export function getSongById(songId) {
   return stmts.getSongById.get(songId) || null;
 }
 
+export function getSongByIdWithDeleted(songId) {
+  return stmts.getSongByIdWithDeleted.get(songId) || null;
+}
+
+// Catalog functions
+export function addCatalogEntry({ artist, title, duration = null, tags = null, source = null, searchText }) {
+  const result = stmts.addCatalogEntry.run(artist, title, duration, tags, source, searchText, new Date().toISOString());
+  return { lastInsertRowid: result.lastInsertRowid };
+}
+
+export function getCatalogEntry(catalogId) {
+  return stmts.getCatalogEntry.get(catalogId) || null;
+}
+
+export function getCatalogEntries() {
+  return stmts.getCatalogEntries.all();
+}
+
+export function updateCatalogEntry(catalogId, { duration = null, tags = null, source = null }) {
+  const result = stmts.updateCatalogEntry.run(duration, tags, source, catalogId);
+  return { changes: result.changes };
+}
+
+export function getCatalogCount() {
+  return stmts.getCatalogCount.get().count;
+}
+
+/**
+ * Find catalog rows whose search text contains any of the given fragments
+ */
+export function findCatalogCandidates(fragments, limit = 500) {
+  if (fragments.length === 0) {
+    return [];
+  }
+
+  const conditions = fragments.map(() => 'search_text LIKE ?').join(' OR ');
+  const stmt = db.prepare(`SELECT * FROM catalog WHERE ${conditions} LIMIT ?`);
+  return stmt.all(...fragments.map(fragment => `%${fragment}%`), limit);
+}
+
+// Admin functions
+export function createAdminUser(username, passwordHash, passwordSalt) {
+  const result = stmts.createAdminUser.run(username, passwordHash, passwordSalt, new Date().toISOString());
+  return { lastInsertRowid: result.lastInsertRowid };
+}
+
+export function getAdminUserByUsername(username) {
+  return stmts.getAdminUserByUsername.get(username) || null;
+}
+
+export function getAdminUsers() {
+  return stmts.getAdminUsers.all();
+}
+
+export function createAdminSession(tokenHash, adminUserId, expiresAt) {
+  const result = stmts.createAdminSession.run(tokenHash, adminUserId, new Date().toISOString(), expiresAt);
+  return { changes: result.changes };
+}
+
+export function getAdminSession(tokenHash) {
+  return stmts.getAdminSession.get(tokenHash, new Date().toISOString()) || null;
+}
+
+export function deleteAdminSession(tokenHash) {
+  const result = stmts.deleteAdminSession.run(tokenHash);
+  return { changes: result.changes };
+}
+
+export function deleteExpiredAdminSessions() {
+  const result = stmts.deleteExpiredAdminSessions.run(new Date().toISOString());
+  return { changes: result.changes };
+}
+
+/**
+ * Create or replace a session row from an imported bundle
+ */
+export function importSession(session) {
+  const result = stmts.importSession.run(session);
+  return { changes: result.changes };
+}
+
+export function importSong(sessionId, song) {
+  const result = stmts.importSong.run({ ...song, session_id: sessionId });
+  return { lastInsertRowid: result.lastInsertRowid };
+}
+
+export function setSingerStats(sessionId, singerName, songCount) {
+  const result = stmts.setSingerStats.run(sessionId, singerName, songCount);
+  return { changes: result.changes };
+}
+
+/**
+ * IDs of every song in a session, including soft-deleted ones
+ */
+export function getSessionSongIds(sessionId) {
+  return stmts.getSessionSongIds.all(sessionId).map(row => row.id);
+}
+
+/**
+ * Remove a session's songs, singer stats and undo history (before a restore
+ * replaces them). The audit log is kept.
+ */
+export function clearSessionData(sessionId) {
+  const transaction = db.transaction(() => {
+    const songs = stmts.deleteSessionSongs.run(sessionId);
+    stmts.deleteSessionSingerStats.run(sessionId);
+    stmts.deleteSessionUndoHistory.run(sessionId);
+    return songs;
+  });
+
+  return { changes: transaction().changes };
+}
+
+/**
+ * Add an undoable action for a session, dropping any redo history and
+ * keeping only the most recent entries
+ */
+export function addUndoEntry(sessionId, { actionType, description, undoOps, redoOps }, keep = 50) {
+  const transaction = db.transaction(() => {
+    stmts.clearRedoEntries.run(sessionId);
+    const result = stmts.addUndoEntry.run(
+      sessionId,
+      actionType,
+      description,
+      JSON.stringify(undoOps),
+      JSON.stringify(redoOps),
+      new Date().toISOString()
+    );
+    stmts.pruneUndoEntries.run(sessionId, sessionId, keep);
+    return result;
+  });
+
+  return { lastInsertRowid: transaction().lastInsertRowid };
+}
+
+export function getLastUndoEntry(sessionId) {
+  return stmts.getLastUndoEntry.get(sessionId) || null;
+}
+
+export function getNextRedoEntry(sessionId) {
+  return stmts.getNextRedoEntry.get(sessionId) || null;
+}
+
+export function setUndoEntryState(entryId, state) {
+  const result = stmts.setUndoEntryState.run(state, entryId);
+  return { changes: result.changes };
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   db.close();
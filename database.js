@@ -1,159 +1,123 @@
-import fs from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Use /data volume in production (Fly.io), fallback to local for development
-const DB_FILE = process.env.NODE_ENV === 'production'
-  ? '/data/data.json'
-  : join(__dirname, 'data.json');
-
-// Initialize data structure
-let data = {
-  sessions: {},
-  songs: {},
-  singer_stats: {},
-  nextSongId: 1
+/**
+ * Storage
+ *
+ * The one module the app reads and writes data through. The backend is picked
+ * with STORAGE_BACKEND:
+ * - sqlite (default): database-sqlite.js, the production backend
+ * - json: database-json.js, a single JSON file with no native dependencies
+ * - memory: database-memory.js, empty on every start (tests)
+ *
+ * Every backend implements the functions listed in STORAGE_FUNCTIONS with the
+ * same arguments and return shapes. Only the chosen backend is loaded, so the
+ * json and memory backends run without better-sqlite3 installed.
+ */
+
+const BACKENDS = {
+  sqlite: async () => import('./database-sqlite.js'),
+  json: async () => (await import('./database-json.js')).createJsonStorage(),
+  memory: async () => (await import('./database-memory.js')).createMemoryStorage(),
 };
 
-// Load data from file
-async function loadData() {
-  try {
-    const fileContent = await fs.readFile(DB_FILE, 'utf8');
-    data = JSON.parse(fileContent);
-  } catch (error) {
-    // File doesn't exist or is invalid, use default data
-    await saveData();
-  }
-}
-
-// Save data to file
-async function saveData() {
-  try {
-    await fs.writeFile(DB_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving data:', error);
-  }
-}
-
-// Initialize on startup
-await loadData();
-
-// Session functions
-export function createSession(sessionId, songDuration = 270) {
-  data.sessions[sessionId] = {
-    id: sessionId,
-    created_at: new Date().toISOString(),
-    song_duration: songDuration,
-    is_active: true
-  };
-  saveData();
-  return { changes: 1 };
-}
-
-export function getSession(sessionId) {
-  return data.sessions[sessionId] || null;
-}
-
-// Song functions
-export function addSong(sessionId, singerName, artist, songTitle) {
-  const songId = data.nextSongId++;
-  const existingSongs = Object.values(data.songs).filter(s => s.session_id === sessionId);
-  const position = existingSongs.length + 1;
-
-  data.songs[songId] = {
-    id: songId,
-    session_id: sessionId,
-    singer_name: singerName,
-    artist,
-    song_title: songTitle,
-    position,
-    status: 'waiting',
-    requested_at: new Date().toISOString()
-  };
-
-  // Update singer stats
-  const statsKey = `${sessionId}_${singerName}`;
-  if (!data.singer_stats[statsKey]) {
-    data.singer_stats[statsKey] = {
-      session_id: sessionId,
-      singer_name: singerName,
-      song_count: 0
-    };
-  }
-  data.singer_stats[statsKey].song_count++;
-
-  saveData();
-  return { lastInsertRowid: songId };
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+export const STORAGE_FUNCTIONS = [
+  'withTransaction',
+  // Audit log
+  'addEvent', 'getEvents', 'getLastActivityAt',
+  // Sessions
+  'createSession', 'getSession', 'updateSessionStatus', 'setSessionEndsAt', 'setSessionBreakEndsAt',
+  'setSessionPause', 'getUnfinishedSessions', 'updateSessionQueueMode', 'updateSessionTips', 'getAllSessionsWithStats',
+  'getSessionSettings', 'saveSessionSettings',
+  // Songs
+  'addSong', 'getSongs', 'getSongById', 'getSongByIdWithDeleted', 'updateSongPosition',
+  'updateSongStatus', 'updateSongDetails', 'setSongStartedAt', 'setSongEndedAt', 'setSongTimes',
+  'setSongDelay', 'getDelayedSongs', 'setSongPinned', 'clearSessionPins', 'deleteSong', 'restoreSong',
+  'reorderSongs', 'getRecentPerformances',
+  // Singers
+  'getSingerStats', 'getDeduplicatedName', 'getUniqueSingers',
+  // Catalog
+  'addCatalogEntry', 'getCatalogEntry', 'getCatalogEntries', 'updateCatalogEntry',
+  'getCatalogCount', 'findCatalogCandidates',
+  // Admin
+  'createAdminUser', 'getAdminUserByUsername', 'getAdminUsers', 'createAdminSession',
+  'getAdminSession', 'deleteAdminSession', 'deleteExpiredAdminSessions',
+  // Session import
+  'importSession', 'importSong', 'setSingerStats', 'getSessionSongIds', 'clearSessionData',
+  // Undo history
+  'addUndoEntry', 'getLastUndoEntry', 'getNextRedoEntry', 'setUndoEntryState',
+];
+
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+
+if (!BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
 }
 
-export function getSongs(sessionId) {
-  return Object.values(data.songs)
-    .filter(song => song.session_id === sessionId)
-    .sort((a, b) => a.position - b.position);
-}
-
-export function updateSongPosition(songId, position) {
-  if (data.songs[songId]) {
-    data.songs[songId].position = position;
-    saveData();
-    return { changes: 1 };
-  }
-  return { changes: 0 };
-}
-
-export function updateSongStatus(songId, status) {
-  if (data.songs[songId]) {
-    data.songs[songId].status = status;
-    saveData();
-    return { changes: 1 };
-  }
-  return { changes: 0 };
-}
-
-export function deleteSong(songId) {
-  if (data.songs[songId]) {
-    delete data.songs[songId];
-    saveData();
-    return { changes: 1 };
-  }
-  return { changes: 0 };
-}
-
-export function getSingerStats(sessionId) {
-  return Object.values(data.singer_stats)
-    .filter(stat => stat.session_id === sessionId);
-}
-
-export function reorderSongs(sessionId, songPositions) {
-  songPositions.forEach(({ id, position }) => {
-    if (data.songs[id] && data.songs[id].session_id === sessionId) {
-      data.songs[id].position = position;
-    }
-  });
-  saveData();
-  return { changes: songPositions.length };
-}
-
-export function getDeduplicatedName(sessionId, requestedName) {
-  const existingSongs = getSongs(sessionId);
-  const existingNames = existingSongs.map(song => song.singer_name.toLowerCase());
-
-  let finalName = requestedName;
-  let counter = 1;
-
-  while (existingNames.includes(finalName.toLowerCase())) {
-    counter++;
-    finalName = `${requestedName} (${counter})`;
-  }
+const storage = await BACKENDS[STORAGE_BACKEND]();
 
-  return finalName;
+const missing = STORAGE_FUNCTIONS.filter(name => typeof storage[name] !== 'function');
+if (missing.length > 0) {
+  throw new Error(`Storage backend "${STORAGE_BACKEND}" is missing: ${missing.join(', ')}`);
 }
 
-export function getUniqueSingers(sessionId) {
-  const songs = getSongs(sessionId);
-  const uniqueNames = [...new Set(songs.map(song => song.singer_name))];
-  return uniqueNames.sort();
-}
\ No newline at end of file
+export const {
+  withTransaction,
+  addEvent,
+  getEvents,
+  getLastActivityAt,
+  createSession,
+  getSession,
+  updateSessionStatus,
+  setSessionEndsAt,
+  setSessionBreakEndsAt,
+  setSessionPause,
+  getUnfinishedSessions,
+  updateSessionQueueMode,
+  updateSessionTips,
+  getAllSessionsWithStats,
+  getSessionSettings,
+  saveSessionSettings,
+  addSong,
+  getSongs,
+  getSongById,
+  getSongByIdWithDeleted,
+  updateSongPosition,
+  updateSongStatus,
+  updateSongDetails,
+  setSongStartedAt,
+  setSongEndedAt,
+  setSongTimes,
+  setSongDelay,
+  getDelayedSongs,
+  setSongPinned,
+  clearSessionPins,
+  deleteSong,
+  restoreSong,
+  reorderSongs,
+  getRecentPerformances,
+  getSingerStats,
+  getDeduplicatedName,
+  getUniqueSingers,
+  addCatalogEntry,
+  getCatalogEntry,
+  getCatalogEntries,
+  updateCatalogEntry,
+  getCatalogCount,
+  findCatalogCandidates,
+  createAdminUser,
+  getAdminUserByUsername,
+  getAdminUsers,
+  createAdminSession,
+  getAdminSession,
+  deleteAdminSession,
+  deleteExpiredAdminSessions,
+  importSession,
+  importSong,
+  setSingerStats,
+  getSessionSongIds,
+  clearSessionData,
+  addUndoEntry,
+  getLastUndoEntry,
+  getNextRedoEntry,
+  setUndoEntryState,
+} = storage;
@@ -0,0 +1,163 @@
+/**
+ * Baseline schema
+ *
+ * Everything the app had before versioned migrations. New databases get the
+ * tables as written here.
+ *
+ * Databases from before versioned migrations were upgraded column by column
+ * at startup and may have stopped at any point, so this migration (and only
+ * this one) fills in whichever of those legacy columns are missing. Later
+ * migrations are plain SQL.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    song_duration INTEGER DEFAULT 270,
+    is_active INTEGER DEFAULT 1,
+    venmo_handle TEXT,
+    cashapp_handle TEXT,
+    zelle_handle TEXT,
+    status TEXT DEFAULT 'active',
+    dj_token_hash TEXT,
+    queue_mode TEXT DEFAULT 'fifo'
+  );
+
+  CREATE TABLE IF NOT EXISTS catalog (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    artist TEXT NOT NULL,
+    title TEXT NOT NULL,
+    duration INTEGER,
+    tags TEXT,
+    source TEXT,
+    search_text TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS songs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    singer_name TEXT NOT NULL,
+    artist TEXT NOT NULL,
+    song_title TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    status TEXT DEFAULT 'waiting',
+    requested_at TEXT NOT NULL,
+    delayed_until TEXT,
+    delay_minutes INTEGER,
+    manage_token_hash TEXT,
+    pinned INTEGER DEFAULT 0,
+    catalog_id INTEGER,
+    started_at TEXT,
+    ended_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions (id),
+    FOREIGN KEY (catalog_id) REFERENCES catalog (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS singer_stats (
+    session_id TEXT NOT NULL,
+    singer_name TEXT NOT NULL,
+    song_count INTEGER DEFAULT 0,
+    PRIMARY KEY (session_id, singer_name),
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    password_salt TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    token_hash TEXT PRIMARY KEY,
+    admin_user_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    FOREIGN KEY (admin_user_id) REFERENCES admin_users (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    event_type TEXT NOT NULL,
+    payload TEXT,
+    actor_role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS undo_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    action_type TEXT NOT NULL,
+    description TEXT NOT NULL,
+    undo_ops TEXT NOT NULL,
+    redo_ops TEXT NOT NULL,
+    state TEXT DEFAULT 'done',
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+  );
+`;
+
+// Columns the old startup upgrade added, in the order it added them
+const LEGACY_COLUMNS = {
+  sessions: [
+    ['venmo_handle', 'TEXT'],
+    ['cashapp_handle', 'TEXT'],
+    ['zelle_handle', 'TEXT'],
+    ['status', "TEXT DEFAULT 'active'"],
+    ['dj_token_hash', 'TEXT'],
+    ['queue_mode', "TEXT DEFAULT 'fifo'"],
+  ],
+  songs: [
+    ['delayed_until', 'TEXT'],
+    ['delay_minutes', 'INTEGER'],
+    ['manage_token_hash', 'TEXT'],
+    ['pinned', 'INTEGER DEFAULT 0'],
+    ['catalog_id', 'INTEGER REFERENCES catalog (id)'],
+    ['started_at', 'TEXT'],
+    ['ended_at', 'TEXT'],
+    ['deleted_at', 'TEXT'],
+  ],
+};
+
+const INDEXES_AND_TRIGGERS = `
+  CREATE INDEX IF NOT EXISTS idx_songs_session_position ON songs (session_id, position);
+  CREATE INDEX IF NOT EXISTS idx_songs_session_status ON songs (session_id, status);
+  CREATE INDEX IF NOT EXISTS idx_events_session ON events (session_id, id);
+
+  -- The audit log is append-only
+  CREATE TRIGGER IF NOT EXISTS events_no_update BEFORE UPDATE ON events
+  BEGIN
+    SELECT RAISE(ABORT, 'events are append-only');
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS events_no_delete BEFORE DELETE ON events
+  BEGIN
+    SELECT RAISE(ABORT, 'events are append-only');
+  END;
+`;
+
+export function up(db) {
+  db.exec(SCHEMA);
+
+  for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+    for (const [name, definition] of columns) {
+      if (!existing.has(name)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
+  // Sessions created before the status column existed
+  db.exec("UPDATE sessions SET status = 'active' WHERE status IS NULL");
+
+  db.exec(INDEXES_AND_TRIGGERS);
+}
@@ -0,0 +1,11 @@
+-- Per-session settings the DJ can change from the dashboard.
+-- Sessions without a row use the defaults in src/services/session-settings.js.
+
+CREATE TABLE IF NOT EXISTS session_settings (
+  session_id TEXT PRIMARY KEY,
+  rate_limit_device INTEGER NOT NULL DEFAULT 5,
+  rate_limit_ip INTEGER NOT NULL DEFAULT 20,
+  rate_limit_window_minutes INTEGER NOT NULL DEFAULT 10,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (session_id) REFERENCES sessions (id)
+);
@@ -0,0 +1,4 @@
+-- DJ approval (moderation) mode: new requests wait in a pending inbox until
+-- the DJ approves them.
+
+ALTER TABLE session_settings ADD COLUMN require_approval INTEGER NOT NULL DEFAULT 0;
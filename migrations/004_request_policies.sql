@@ -0,0 +1,7 @@
+-- Per-singer request limits and the last-call cutoff.
+-- 0 (or NULL for last_call_at) means no limit.
+
+ALTER TABLE session_settings ADD COLUMN max_songs_per_singer INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE session_settings ADD COLUMN max_waiting_per_singer INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE session_settings ADD COLUMN min_submission_gap_minutes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE session_settings ADD COLUMN last_call_at TEXT;
@@ -0,0 +1,4 @@
+-- Repeat requests: by default singers are warned and can request anyway;
+-- with block_duplicates = 1 a song already requested tonight is refused.
+
+ALTER TABLE session_settings ADD COLUMN block_duplicates INTEGER NOT NULL DEFAULT 0;
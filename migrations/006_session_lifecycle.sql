@@ -0,0 +1,12 @@
+-- Session lifecycle: a scheduled start, a closing time that starts the end of
+-- the night, the grace period before an ending session ends, and expiry of
+-- sessions left without activity (0 turns expiry off).
+-- sessions.ends_at is when an ending session becomes ended, so the grace
+-- period survives a restart.
+
+ALTER TABLE session_settings ADD COLUMN starts_at TEXT;
+ALTER TABLE session_settings ADD COLUMN closes_at TEXT;
+ALTER TABLE session_settings ADD COLUMN ending_grace_minutes INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE session_settings ADD COLUMN inactivity_timeout_hours INTEGER NOT NULL DEFAULT 6;
+
+ALTER TABLE sessions ADD COLUMN ends_at TEXT;
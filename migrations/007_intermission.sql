@@ -0,0 +1,4 @@
+-- Intermission: when a DJ's break ends and the session resumes by itself
+-- (NULL when the session isn't on a break).
+
+ALTER TABLE sessions ADD COLUMN break_ends_at TEXT;
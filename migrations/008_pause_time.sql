@@ -0,0 +1,6 @@
+-- Time sessions spend paused or on a break, for stats.
+-- sessions.paused_at is when the current pause began (NULL while running), and
+-- paused_seconds the total of the pauses that have finished.
+
+ALTER TABLE sessions ADD COLUMN paused_at TEXT;
+ALTER TABLE sessions ADD COLUMN paused_seconds INTEGER NOT NULL DEFAULT 0;
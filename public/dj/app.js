@@ -1,13 +1,72 @@
 const { useState, useEffect, useRef } = React;
 
+// DJ tokens are issued once at session creation and kept per session on this device
+const djTokenKey = (sessionId) => `djToken:${sessionId}`;
+
+// Last call is stored as a full date and time but picked as a clock time
+const toClockTime = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Value for a datetime-local input, in this device's time zone
+const toLocalDateTime = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Statuses a song can still be skipped from
+const SKIPPABLE_STATUSES = ['pending', 'waiting', 'delayed', 'playing'];
+
+// The button that moves the session along from each state
+const SESSION_CONTROLS = {
+    scheduled: { event: 'START', label: '▶ Start Session Now', className: 'btn-play' },
+    active: { event: 'PAUSE', label: '⏸ Pause Queue', className: 'btn-pause' },
+    paused: { event: 'RESUME', label: '▶ Resume Queue', className: 'btn-play' },
+    intermission: { event: 'RESUME', label: '▶ End Break Early', className: 'btn-play' },
+    ending: { event: 'CANCEL_END', label: '↩ Keep Session Going', className: 'btn-play' },
+};
+
+// Time left until `until` as M:SS, ticking once a second
+function Countdown({ until }) {
+    const [, setNow] = useState(Date.now());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const seconds = Math.max(0, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+    return <span>{Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')}</span>;
+}
+
+// The next time the clock shows `time`, so a 1:30 last call set at 9pm means tonight
+const nextOccurrence = (time) => {
+    if (!time) return null;
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    if (date <= new Date()) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.toISOString();
+};
+
 function DJDashboard() {
     const [sessionId, setSessionId] = useState('');
     const [session, setSession] = useState(null);
     const [sessionState, setSessionState] = useState(null); // XState session state
     const [songs, setSongs] = useState([]);
     const [stats, setStats] = useState([]);
+    const [timing, setTiming] = useState(null);
+    const [pausedSeconds, setPausedSeconds] = useState(0);
     const [loading, setLoading] = useState(true);
     const [songDuration, setSongDuration] = useState(270);
+    const [queueMode, setQueueMode] = useState('fifo');
     const [searchTerm, setSearchTerm] = useState('');
     const [filterStatus, setFilterStatus] = useState('all');
     const [selectedSongs, setSelectedSongs] = useState(new Set());
@@ -17,16 +76,69 @@ function DJDashboard() {
         cashapp_handle: '',
         zelle_handle: ''
     });
-    const [undoStack, setUndoStack] = useState([]);
+    const [undoState, setUndoState] = useState({ undo: null, redo: null });
+    const [djToken, setDjToken] = useState(null);
+    const [accessDenied, setAccessDenied] = useState(false);
+    const [tokenInput, setTokenInput] = useState('');
+    const [showTimeline, setShowTimeline] = useState(false);
+    const [showLimitSettings, setShowLimitSettings] = useState(false);
+    const [showPolicySettings, setShowPolicySettings] = useState(false);
+    const [showScheduleSettings, setShowScheduleSettings] = useState(false);
+    const [breakMinutes, setBreakMinutes] = useState(15);
+    const [sessionSettings, setSessionSettings] = useState(null);
+    const [flaggedBursts, setFlaggedBursts] = useState([]);
+    const [timeline, setTimeline] = useState([]);
     const sortableRef = useRef(null);
+    const showTimelineRef = useRef(false);
 
-    // Get session ID from URL
+    // Get session ID from URL, and the DJ token from a recovery link or local storage
     useEffect(() => {
         const pathParts = window.location.pathname.split('/');
         const id = pathParts[pathParts.length - 1];
         setSessionId(id);
+
+        const recoveredToken = new URLSearchParams(window.location.hash.slice(1)).get('token');
+        if (recoveredToken) {
+            localStorage.setItem(djTokenKey(id), recoveredToken);
+            // Keep the token out of the address bar and browser history
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+        setDjToken(recoveredToken || localStorage.getItem(djTokenKey(id)));
     }, []);
 
+    // Fetch wrapper for DJ-only routes
+    const djFetch = async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'X-DJ-Token': djToken || '' }
+        });
+        if (response.status === 401 || response.status === 403) {
+            setAccessDenied(true);
+        }
+        return response;
+    };
+
+    // Save a pasted DJ token
+    const saveDjToken = () => {
+        const token = tokenInput.trim();
+        if (!token) return;
+        localStorage.setItem(djTokenKey(sessionId), token);
+        setDjToken(token);
+        setAccessDenied(false);
+        setTokenInput('');
+    };
+
+    // Copy a link that restores DJ access on another device
+    const copyRecoveryLink = async () => {
+        const recoveryLink = `${window.location.origin}/dj/${sessionId}#token=${encodeURIComponent(djToken)}`;
+        try {
+            await navigator.clipboard.writeText(recoveryLink);
+            alert('Recovery link copied! Open it on another device to control this session. Keep it private.');
+        } catch (error) {
+            window.prompt('Copy this recovery link and keep it private:', recoveryLink);
+        }
+    };
+
     // Fetch session data and state
     useEffect(() => {
         if (!sessionId) return;
@@ -38,6 +150,7 @@ function DJDashboard() {
                     const sessionData = await response.json();
                     setSession(sessionData);
                     setSongDuration(sessionData.song_duration);
+                    setQueueMode(sessionData.queue_mode || 'fifo');
                     setTipHandles({
                         venmo_handle: sessionData.venmo_handle || '',
                         cashapp_handle: sessionData.cashapp_handle || '',
@@ -49,22 +162,45 @@ function DJDashboard() {
             }
         }
 
-        async function fetchSessionState() {
-            try {
-                const response = await fetch(`/api/sessions/${sessionId}/state`);
-                if (response.ok) {
-                    const state = await response.json();
-                    setSessionState(state);
-                }
-            } catch (error) {
-                console.error('Error fetching session state:', error);
-            }
-        }
-
         fetchSession();
         fetchSessionState();
     }, [sessionId]);
 
+    // Fetch XState session state
+    const fetchSessionState = async () => {
+        if (!sessionId) return;
+
+        try {
+            const response = await fetch(`/api/sessions/${sessionId}/state`);
+            if (response.ok) {
+                const state = await response.json();
+                setSessionState(state);
+            }
+        } catch (error) {
+            console.error('Error fetching session state:', error);
+        }
+    };
+
+    // Send the session's state machine an event, e.g. { event: 'BREAK', minutes: 15 }
+    const changeSessionState = async (body) => {
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/transition`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                alert(data.error || 'Failed to update session state');
+            }
+            // Refresh session state
+            await fetchSessionState();
+        } catch (error) {
+            console.error('Error changing session state:', error);
+            alert('Failed to update session state');
+        }
+    };
+
     // Fetch songs and stats
     const fetchData = async () => {
         if (!sessionId) return;
@@ -75,7 +211,10 @@ function DJDashboard() {
                 const data = await response.json();
                 setSongs(data.songs);
                 setStats(data.stats);
+                setTiming(data.timing || null);
+                setPausedSeconds(data.pausedSeconds || 0);
             }
+            fetchUndoState();
         } catch (error) {
             console.error('Error fetching data:', error);
         } finally {
@@ -87,11 +226,106 @@ function DJDashboard() {
         fetchData();
     }, [sessionId]);
 
-    // Set up polling for real-time updates
+    // Fetch what undo/redo would do next (history is kept on the server)
+    const fetchUndoState = async () => {
+        if (!sessionId || !djToken) return;
+
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/undo-state`);
+            if (response.ok) {
+                setUndoState(await response.json());
+            }
+        } catch (error) {
+            console.error('Error fetching undo state:', error);
+        }
+    };
+
+    // Fetch the audit log for the timeline panel
+    const fetchTimeline = async () => {
+        if (!sessionId || !djToken) return;
+
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/events/history?limit=100`);
+            if (response.ok) {
+                const data = await response.json();
+                setTimeline(data.events);
+            }
+        } catch (error) {
+            console.error('Error fetching timeline:', error);
+        }
+    };
+
+    // Fetch the request rate limits and any bursts they refused
+    const fetchSessionSettings = async () => {
+        if (!sessionId || !djToken) return;
+
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/settings`);
+            if (response.ok) {
+                const data = await response.json();
+                setSessionSettings(data.settings);
+            }
+        } catch (error) {
+            console.error('Error fetching request limits:', error);
+        }
+        fetchFlaggedBursts();
+    };
+
+    const fetchFlaggedBursts = async () => {
+        if (!sessionId || !djToken) return;
+
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/flagged-bursts`);
+            if (response.ok) {
+                const data = await response.json();
+                setFlaggedBursts(data.bursts);
+            }
+        } catch (error) {
+            console.error('Error fetching flagged bursts:', error);
+        }
+    };
+
     useEffect(() => {
-        const interval = setInterval(fetchData, 3000); // Poll every 3 seconds
-        return () => clearInterval(interval);
-    }, [sessionId]);
+        fetchSessionSettings();
+    }, [sessionId, djToken]);
+
+    // Only keep the timeline fresh while it's open
+    useEffect(() => {
+        showTimelineRef.current = showTimeline;
+        if (showTimeline) fetchTimeline();
+    }, [showTimeline, sessionId, djToken]);
+
+    // Subscribe to live updates (falls back to polling every 3 seconds if the stream drops).
+    // Resubscribes when the DJ token changes so the handlers fetch with the current one
+    useEffect(() => {
+        if (!sessionId) return;
+
+        const live = connectLiveUpdates(sessionId, {
+            onUpdate: (type) => {
+                if (type === 'session-state-changed') {
+                    fetchSessionState();
+                    // Keeping a session going past its closing time clears it
+                    fetchSessionSettings();
+                    // Paused time is counted when a pause ends
+                    fetchData();
+                    return;
+                }
+                if (type === 'submission-flagged') {
+                    fetchFlaggedBursts();
+                    if (showTimelineRef.current) fetchTimeline();
+                    return;
+                }
+                if (type === 'poll' || type === 'reconnect') {
+                    fetchSessionState();
+                    fetchFlaggedBursts();
+                }
+                fetchData();
+                if (showTimelineRef.current) fetchTimeline();
+            },
+            pollInterval: 3000
+        });
+        return () => live.close();
+    }, [sessionId, djToken]);
 
     // Set up drag and drop
     useEffect(() => {
@@ -115,10 +349,10 @@ function DJDashboard() {
                 }));
 
                 try {
-                    await fetch(`/api/sessions/${sessionId}/reorder`, {
+                    await djFetch(`/api/sessions/${sessionId}/reorder`, {
                         method: 'PUT',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ songPositions: newOrder })
+                        body: JSON.stringify({ songPositions: newOrder, movedSongId: parseInt(evt.item.dataset.songId) })
                     });
                     await fetchData(); // Refresh data
                 } catch (error) {
@@ -128,26 +362,12 @@ function DJDashboard() {
         });
 
         return () => sortable.destroy();
-    }, [songs, sessionId]);
+    }, [songs, sessionId, djToken]);
 
     // Transition song using XState machine
     const transitionSong = async (songId, event) => {
         try {
-            // Save current state for undo
-            const song = songs.find(s => s.id === songId);
-            if (song) {
-                setUndoStack(prev => [...prev.slice(-9), { // Keep last 10 actions
-                    songId: song.id,
-                    previousStatus: song.status,
-                    newStatus: event,
-                    songName: song.song_title,
-                    artist: song.artist,
-                    singerName: song.singer_name,
-                    timestamp: Date.now()
-                }]);
-            }
-
-            const response = await fetch(`/api/songs/${songId}/transition`, {
+            const response = await djFetch(`/api/songs/${songId}/transition`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ event })
@@ -165,32 +385,68 @@ function DJDashboard() {
         }
     };
 
-    // Undo last action
-    const undoLastAction = async () => {
-        if (undoStack.length === 0) return;
+    // Undo or redo the last action (shared with every device on this session)
+    const replayHistory = async (direction) => {
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/${direction}`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(data.error || `Failed to ${direction} action`);
+            }
+            await fetchData();
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            alert(`Failed to ${direction} action`);
+        }
+    };
 
-        const lastAction = undoStack[undoStack.length - 1];
+    // Download the session as CSV/JSON, or open the printable setlist
+    const exportSession = async (format) => {
+        // Open the setlist window right away so popup blockers allow it
+        const setlistWindow = format === 'html' ? window.open('', '_blank') : null;
 
-        // Check if action is recent (within last 5 minutes)
-        if (Date.now() - lastAction.timestamp > 5 * 60 * 1000) {
-            alert('Cannot undo actions older than 5 minutes');
-            setUndoStack([]);
-            return;
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/export?format=${format}`);
+            if (!response.ok) throw new Error('Export failed');
+
+            const url = URL.createObjectURL(await response.blob());
+            if (setlistWindow) {
+                setlistWindow.location.href = url;
+            } else {
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `session-${sessionId}.${format}`;
+                link.click();
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Error exporting session:', error);
+            if (setlistWindow) setlistWindow.close();
+            alert('Failed to export session');
         }
+    };
+
+    // Edit a waiting song's artist and title
+    const editSong = async (song) => {
+        const artist = prompt('Artist', song.artist);
+        if (artist === null) return;
+        const songTitle = prompt('Song title', song.song_title);
+        if (songTitle === null) return;
 
         try {
-            await fetch(`/api/songs/${lastAction.songId}/status`, {
+            const response = await djFetch(`/api/songs/${song.id}/details`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status: lastAction.previousStatus })
+                body: JSON.stringify({ artist: artist.trim(), song_title: songTitle.trim() })
             });
-
-            // Remove the undone action from stack
-            setUndoStack(prev => prev.slice(0, -1));
+            if (!response.ok) {
+                const error = await response.json();
+                alert(error.error || 'Failed to edit song');
+            }
             await fetchData();
         } catch (error) {
-            console.error('Error undoing action:', error);
-            alert('Failed to undo action');
+            console.error('Error editing song:', error);
         }
     };
 
@@ -212,10 +468,10 @@ function DJDashboard() {
         }));
 
         try {
-            await fetch(`/api/sessions/${sessionId}/reorder`, {
+            await djFetch(`/api/sessions/${sessionId}/reorder`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ songPositions: newOrder })
+                body: JSON.stringify({ songPositions: newOrder, movedSongId: songId })
             });
             await fetchData();
         } catch (error) {
@@ -223,12 +479,66 @@ function DJDashboard() {
         }
     };
 
+    // Release a manually placed song back into the rotation
+    const unpinSong = async (songId) => {
+        try {
+            await djFetch(`/api/songs/${songId}/pin`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pinned: false })
+            });
+            await fetchData();
+        } catch (error) {
+            console.error('Error unpinning song:', error);
+        }
+    };
+
+    // Switch between first-come-first-served and rotation ordering
+    const changeQueueMode = async (mode) => {
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/queue-mode`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ queue_mode: mode })
+            });
+            if (response.ok) {
+                setQueueMode(mode);
+                await fetchData();
+            }
+        } catch (error) {
+            console.error('Error changing queue mode:', error);
+            alert('Failed to change queue order');
+        }
+    };
+
+    // Turn an on/off session setting (DJ approval, blocking repeats) on or off
+    const changeToggleSetting = async (key, enabled) => {
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [key]: enabled ? 1 : 0 })
+            });
+            if (response.ok) {
+                const data = await response.json();
+                setSessionSettings(data.settings);
+            }
+        } catch (error) {
+            console.error('Error changing setting:', error);
+            alert('Failed to change setting');
+        }
+    };
+
     // Delete song
     const deleteSong = async (songId) => {
         if (!confirm('Are you sure you want to remove this song?')) return;
 
         try {
-            await fetch(`/api/songs/${songId}`, { method: 'DELETE' });
+            const response = await djFetch(`/api/songs/${songId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const error = await response.json();
+                alert(error.error || 'Failed to remove song');
+            }
             await fetchData();
         } catch (error) {
             console.error('Error deleting song:', error);
@@ -241,30 +551,67 @@ function DJDashboard() {
         return `https://www.youtube.com/results?search_query=${query}`;
     };
 
+    // Estimated length of a song: catalog track length plus changeover when known,
+    // otherwise the measured average (or the configured duration before any songs finish)
+    const estimateSongDuration = (song, fallbackDuration) => {
+        if (song.catalog_duration) return song.catalog_duration + (timing?.changeover || 0);
+        return timing?.samples > 0 ? timing.averageDuration : fallbackDuration;
+    };
+
     // Calculate wait time
     const calculateWaitTime = (position, currentSongDuration) => {
         const isPaused = sessionState?.value === 'paused';
         if (isPaused) return 'Paused';
-        const waitingSongs = songs.filter(s => s.position < position && s.status === 'waiting').length;
-        const playingSongs = songs.filter(s => s.status === 'playing').length;
-        const totalWaitMinutes = (waitingSongs + playingSongs) * (currentSongDuration / 60);
-        return Math.round(totalWaitMinutes);
+        // What's left of the DJ's break comes before anything else
+        const breakEndsAt = sessionState?.value === 'intermission' && sessionState.context.breakEndsAt;
+        const breakSeconds = breakEndsAt ? Math.max(0, (new Date(breakEndsAt).getTime() - Date.now()) / 1000) : 0;
+        const waitingSeconds = songs
+            .filter(s => s.position < position && s.status === 'waiting')
+            .reduce((total, s) => total + estimateSongDuration(s, currentSongDuration), 0);
+        const playingSeconds = songs
+            .filter(s => s.status === 'playing')
+            .reduce((total, s) => {
+                const elapsed = s.started_at ? (Date.now() - new Date(s.started_at).getTime()) / 1000 : 0;
+                return total + Math.max(0, estimateSongDuration(s, currentSongDuration) - elapsed);
+            }, 0);
+        return Math.round((breakSeconds + waitingSeconds + playingSeconds) / 60);
     };
 
-    // Check if delay has expired
-    const isDelayExpired = (delayedUntil) => {
-        if (!delayedUntil) return true;
-        return new Date(delayedUntil) <= new Date();
+    // One-line description of an audit log event
+    const describeEvent = (event) => {
+        const p = event.payload || {};
+        const song = p.song_title ? `"${p.song_title}" (${p.singer_name})` : '';
+        switch (event.event_type) {
+            case 'session-created': return 'Session created';
+            case 'session-state-changed': return `Session ${p.from} → ${p.to}`;
+            case 'song-added': return `${p.singer_name} requested "${p.song_title}" by ${p.artist}${p.duplicate_of ? ' (a repeat)' : ''}`;
+            case 'status-changed': return `${song}: ${p.from} → ${p.to}`;
+            case 'song-moved': return `${song} moved from #${p.from} to #${p.to}`;
+            case 'song-deleted': return `${song} removed`;
+            case 'song-pinned': return `${song} pinned`;
+            case 'song-unpinned': return `${song} unpinned`;
+            case 'song-edited': return `"${p.from.song_title}" (${p.singer_name}) changed to "${p.to.song_title}" by ${p.to.artist}`;
+            case 'song-cancelled': return `${p.singer_name} cancelled "${p.song_title}"`;
+            case 'song-delayed': return `${p.singer_name} delayed "${p.song_title}" by ${p.delay_minutes} min`;
+            case 'queue-reordered': return 'Queue reordered';
+            case 'queue-mode-changed': return `Queue order: ${p.from} → ${p.to}`;
+            case 'tips-updated': return 'Tip settings updated';
+            case 'settings-updated': return 'Session settings updated';
+            case 'submission-burst-flagged': return `Requests refused: ${p.label} went over the ${p.kind === 'device' ? 'per-device' : 'per-network'} limit`;
+            case 'undo': return `Undo: ${p.description}`;
+            case 'redo': return `Redo: ${p.description}`;
+            default: return event.event_type;
+        }
     };
 
-    // Calculate remaining delay time
+    // Minutes left on a delayed song (the server puts it back in the queue when they run out)
     const getRemainingDelayTime = (delayedUntil) => {
-        if (!delayedUntil || isDelayExpired(delayedUntil)) return null;
         const minutesLeft = Math.ceil((new Date(delayedUntil) - new Date()) / 60000);
-        return minutesLeft;
+        return Math.max(1, minutesLeft || 1);
     };
 
-    // Find the next song that can be played (first waiting song by position)
+    // Find the next song that can be played (first waiting song by position).
+    // In rotation mode the server writes the rotation order into positions.
     const getNextPlayableSong = () => {
         const waitingSongs = songs.filter(s => s.status === 'waiting').sort((a, b) => a.position - b.position);
         return waitingSongs.length > 0 ? waitingSongs[0] : null;
@@ -279,24 +626,67 @@ function DJDashboard() {
 
         const matchesStatus = filterStatus === 'all' || song.status === filterStatus;
 
-        return matchesSearch && matchesStatus;
+        // Requests awaiting approval live in the inbox, not the queue
+        return song.status !== 'pending' && matchesSearch && matchesStatus;
     });
 
+    // Marks a song someone already requested tonight, naming who asked first
+    const renderRepeatBadge = (song) => {
+        if (!song.duplicate_of) return null;
+        const first = songs.find(s => s.id === song.duplicate_of);
+        return (
+            <span className="repeat-badge" title={first ? `First requested by ${first.singer_name}` : 'Requested earlier tonight'}>
+                🔁 Repeat
+            </span>
+        );
+    };
+
+    const pendingSongs = songs
+        .filter(song => song.status === 'pending')
+        .sort((a, b) => a.requested_at.localeCompare(b.requested_at));
+
     const nextPlayableSong = getNextPlayableSong();
+    // Only one song plays at a time; the next can't start until it's finished
+    const playingSong = songs.find(song => song.status === 'playing');
+    // The server refuses to start songs while the session is paused, on a break or ended
+    const sessionHalted = ['paused', 'intermission', 'ended'].includes(sessionState?.value);
 
     // Bulk operations
+
+    // Send a request for each song, then list the songs the server refused
+    // (a status change the song's state doesn't allow, for instance)
+    const runForSongs = async (songIds, request, action) => {
+        const responses = await Promise.all(songIds.map(request));
+        const failures = [];
+        for (const [index, response] of responses.entries()) {
+            if (!response.ok) {
+                const { error } = await response.json();
+                const song = songs.find(s => s.id === songIds[index]);
+                failures.push(`"${song ? song.song_title : songIds[index]}": ${error}`);
+            }
+        }
+        if (failures.length > 0) {
+            alert(`Couldn't ${action} ${failures.length} of ${songIds.length} songs:\n${failures.join('\n')}`);
+        }
+    };
+
+    // Whether every selected song is in one of the statuses, so a bulk action
+    // is only offered when the server would accept it for each song
+    const selectedCanTake = (statuses) => songs
+        .filter(song => selectedSongs.has(song.id))
+        .every(song => statuses.includes(song.status));
+
     const bulkUpdateStatus = async (status) => {
         if (selectedSongs.size === 0) return;
 
         try {
-            await Promise.all(
-                Array.from(selectedSongs).map(songId =>
-                    fetch(`/api/songs/${songId}/status`, {
-                        method: 'PUT',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ status })
-                    })
-                )
+            await runForSongs(Array.from(selectedSongs), songId =>
+                djFetch(`/api/songs/${songId}/status`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ status })
+                }),
+                `mark as ${status}`
             );
             setSelectedSongs(new Set());
             await fetchData();
@@ -310,10 +700,9 @@ function DJDashboard() {
         if (!confirm(`Delete ${selectedSongs.size} selected songs?`)) return;
 
         try {
-            await Promise.all(
-                Array.from(selectedSongs).map(songId =>
-                    fetch(`/api/songs/${songId}`, { method: 'DELETE' })
-                )
+            await runForSongs(Array.from(selectedSongs), songId =>
+                djFetch(`/api/songs/${songId}`, { method: 'DELETE' }),
+                'delete'
             );
             setSelectedSongs(new Set());
             await fetchData();
@@ -328,10 +717,9 @@ function DJDashboard() {
         if (!confirm(`Delete ${completedSongs.length} completed songs?`)) return;
 
         try {
-            await Promise.all(
-                completedSongs.map(song =>
-                    fetch(`/api/songs/${song.id}`, { method: 'DELETE' })
-                )
+            await runForSongs(completedSongs.map(song => song.id), songId =>
+                djFetch(`/api/songs/${songId}`, { method: 'DELETE' }),
+                'delete'
             );
             await fetchData();
         } catch (error) {
@@ -360,7 +748,7 @@ function DJDashboard() {
     // Save tip settings
     const saveTipSettings = async () => {
         try {
-            await fetch(`/api/sessions/${sessionId}/tips`, {
+            await djFetch(`/api/sessions/${sessionId}/tips`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(tipHandles)
@@ -373,6 +761,28 @@ function DJDashboard() {
         }
     };
 
+    // Save the session settings edited in one of the sidebar forms, then close it
+    const saveSessionSettings = async (closeForm) => {
+        try {
+            const response = await djFetch(`/api/sessions/${sessionId}/settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(sessionSettings)
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(data.error || 'Failed to save settings');
+                return;
+            }
+            setSessionSettings(data.settings);
+            closeForm(false);
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            alert('Failed to save settings');
+        }
+    };
+
     if (loading) {
         return (
             <div className="container">
@@ -421,6 +831,10 @@ function DJDashboard() {
                             <div className="stat-number">{songs.filter(s => s.status === 'skipped').length}</div>
                             <div>Skipped</div>
                         </div>
+                        <div className="stat-item">
+                            <div className="stat-number">{Math.round(pausedSeconds / 60)}m</div>
+                            <div>Time Paused</div>
+                        </div>
                     </div>
                 </div>
             )}
@@ -430,8 +844,56 @@ function DJDashboard() {
                     <div className="queue-header">
                         <h2 className="section-title">Song Queue</h2>
                         {sessionState?.value === 'paused' && <div className="pause-indicator">⏸ PAUSED</div>}
+                        {sessionState?.value === 'scheduled' && (
+                            <div className="pause-indicator scheduled-indicator">
+                                🕒 {sessionSettings?.starts_at ? `STARTS ${formatTime(sessionSettings.starts_at)}` : 'NOT STARTED'}
+                            </div>
+                        )}
+                        {sessionState?.value === 'intermission' && (
+                            <div className="pause-indicator intermission-indicator">
+                                ☕ BREAK{sessionState.context.breakEndsAt && <> · back in <Countdown until={sessionState.context.breakEndsAt} /></>}
+                            </div>
+                        )}
+                        {sessionState?.value === 'ending' && <div className="pause-indicator ending-indicator">⏹ ENDING</div>}
                     </div>
 
+                    {(pendingSongs.length > 0 || sessionSettings?.require_approval === 1) && (
+                        <div className="pending-inbox">
+                            <h3 className="pending-inbox-title">📥 Pending Approval ({pendingSongs.length})</h3>
+                            {pendingSongs.length === 0 ? (
+                                <div className="dj-access-note">New requests will wait here until you approve them.</div>
+                            ) : (
+                                <ul className="pending-list">
+                                    {pendingSongs.map((song) => (
+                                        <li key={song.id} className="pending-item">
+                                            <div className="song-info">
+                                                <div className="singer-name">{song.singer_name}</div>
+                                                <div className="song-details">"{song.song_title}" by {song.artist} {renderRepeatBadge(song)}</div>
+                                                <div className="dj-access-note">
+                                                    Requested {new Date(song.requested_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                                                </div>
+                                            </div>
+                                            <div className="song-actions">
+                                                <button
+                                                    className="btn btn-done"
+                                                    onClick={() => transitionSong(song.id, 'APPROVE')}
+                                                >
+                                                    ✓ Approve
+                                                </button>
+                                                <button
+                                                    className="btn btn-skip"
+                                                    onClick={() => transitionSong(song.id, 'REJECT')}
+                                                >
+                                                    ✕ Reject
+                                                </button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+
                     {songs.length > 0 && (
                         <div className="queue-controls">
                             <div className="search-filter-row">
@@ -449,9 +911,11 @@ function DJDashboard() {
                                 >
                                     <option value="all">All Songs</option>
                                     <option value="waiting">Waiting</option>
+                                    <option value="delayed">Delayed</option>
                                     <option value="playing">Playing</option>
                                     <option value="done">Completed</option>
                                     <option value="skipped">Skipped</option>
+                                    <option value="rejected">Rejected</option>
                                 </select>
                             </div>
 
@@ -467,24 +931,22 @@ function DJDashboard() {
                                 {selectedSongs.size > 0 && (
                                     <div className="bulk-actions">
                                         <span className="selected-count">{selectedSongs.size} selected</span>
-                                        <button
-                                            onClick={() => bulkUpdateStatus('done')}
-                                            className="btn btn-done"
-                                        >
-                                            Mark Done
-                                        </button>
-                                        <button
-                                            onClick={() => bulkUpdateStatus('waiting')}
-                                            className="btn btn-secondary"
-                                        >
-                                            Mark Waiting
-                                        </button>
-                                        <button
-                                            onClick={() => bulkUpdateStatus('skipped')}
-                                            className="btn btn-skip"
-                                        >
-                                            Mark Skipped
-                                        </button>
+                                        {selectedCanTake(['pending']) && (
+                                            <button
+                                                onClick={() => bulkUpdateStatus('waiting')}
+                                                className="btn btn-done"
+                                            >
+                                                Approve Selected
+                                            </button>
+                                        )}
+                                        {selectedCanTake(SKIPPABLE_STATUSES) && (
+                                            <button
+                                                onClick={() => bulkUpdateStatus('skipped')}
+                                                className="btn btn-skip"
+                                            >
+                                                Mark Skipped
+                                            </button>
+                                        )}
                                         <button
                                             onClick={bulkDelete}
                                             className="btn btn-delete"
@@ -520,7 +982,7 @@ function DJDashboard() {
                         <ul className="song-list" ref={sortableRef}>
                             {filteredSongs.map((song) => {
                                 const isNextSong = nextPlayableSong && nextPlayableSong.id === song.id;
-                                const canPlay = song.status === 'waiting' && isNextSong;
+                                const canPlay = song.status === 'waiting' && isNextSong && !playingSong && !sessionHalted;
 
                                 return (
                                     <li
@@ -572,6 +1034,15 @@ function DJDashboard() {
                                                             NEXT
                                                         </span>
                                                     )}
+                                                    {queueMode === 'rotation' && song.pinned === 1 && song.status === 'waiting' && (
+                                                        <button
+                                                            className="pin-badge"
+                                                            onClick={() => unpinSong(song.id)}
+                                                            title="Placed by hand - click to return to rotation"
+                                                        >
+                                                            📌
+                                                        </button>
+                                                    )}
                                                 </div>
                                             </div>
                                             <div className="song-actions">
@@ -584,7 +1055,7 @@ function DJDashboard() {
                                                             opacity: canPlay ? 1 : 0.5,
                                                             cursor: canPlay ? 'pointer' : 'not-allowed'
                                                         }}
-                                                        title={canPlay ? 'Play this song' : 'Reorder to play this song next'}
+                                                        title={canPlay ? 'Play this song' : sessionHalted ? 'Resume the session first' : playingSong ? 'Finish the current song first' : 'Reorder to play this song next'}
                                                     >
                                                         ▶ Play
                                                     </button>
@@ -605,7 +1076,7 @@ function DJDashboard() {
                                                     </button>
                                                 </>
                                             )}
-                                            {song.status === 'waiting' && (
+                                            {(song.status === 'waiting' || song.status === 'delayed') && (
                                                 <button
                                                     className="btn btn-skip"
                                                     onClick={() => transitionSong(song.id, 'SKIP')}
@@ -613,6 +1084,14 @@ function DJDashboard() {
                                                     ⏭ Skip
                                                 </button>
                                             )}
+                                            {song.status === 'waiting' && (
+                                                <button
+                                                    className="btn btn-secondary"
+                                                    onClick={() => editSong(song)}
+                                                >
+                                                    ✏️ Edit
+                                                </button>
+                                            )}
                                             <a
                                                 href={getYouTubeUrl(song.artist, song.song_title)}
                                                 target="_blank"
@@ -633,7 +1112,7 @@ function DJDashboard() {
                                     <div className="song-info">
                                         <div className="singer-name">
                                             {song.singer_name}
-                                            {song.status === 'skipped' && (
+                                            {(song.status === 'skipped' || song.status === 'rejected') && (
                                                 <span style={{
                                                     marginLeft: '8px',
                                                     padding: '2px 8px',
@@ -643,20 +1122,20 @@ function DJDashboard() {
                                                     fontWeight: '700',
                                                     textTransform: 'uppercase'
                                                 }}>
-                                                    Cancelled
+                                                    {song.status === 'rejected' ? 'Rejected' : 'Cancelled'}
                                                 </span>
                                             )}
                                         </div>
                                         <div className="song-details">
-                                            "{song.song_title}" by {song.artist}
+                                            "{song.song_title}" by {song.artist} {renderRepeatBadge(song)}
                                         </div>
                                     </div>
 
-                                    {song.status === 'waiting' && (
+                                    {(song.status === 'waiting' || song.status === 'delayed') && (
                                         <div className="wait-time">
                                             {(() => {
-                                                const delayTime = getRemainingDelayTime(song.delayed_until);
-                                                if (delayTime) {
+                                                if (song.status === 'delayed') {
+                                                    const delayTime = getRemainingDelayTime(song.delayed_until);
                                                     return (
                                                         <span style={{
                                                             background: 'linear-gradient(135deg, rgba(255, 152, 0, 0.3), rgba(255, 152, 0, 0.2))',
@@ -684,11 +1163,11 @@ function DJDashboard() {
                     <div className="controls-section">
                         <h3 className="section-title">Controls</h3>
 
-                        {undoStack.length > 0 && (
+                        {undoState.undo && (
                             <div className="control-group" style={{marginBottom: '15px'}}>
                                 <button
                                     className="btn btn-undo"
-                                    onClick={undoLastAction}
+                                    onClick={() => replayHistory('undo')}
                                     style={{
                                         background: 'linear-gradient(135deg, #ff9800, #f57c00)',
                                         color: 'white',
@@ -699,40 +1178,89 @@ function DJDashboard() {
                                     ↶ Undo Last Action
                                 </button>
                                 <div style={{fontSize: '0.85rem', opacity: '0.8', marginTop: '5px', textAlign: 'center'}}>
-                                    {undoStack[undoStack.length - 1].singerName}: "{undoStack[undoStack.length - 1].songName}"
-                                    <br />
-                                    {undoStack[undoStack.length - 1].previousStatus} → {undoStack[undoStack.length - 1].newStatus}
+                                    {undoState.undo.description}
                                 </div>
                             </div>
                         )}
 
+                        {undoState.redo && (
+                            <div className="control-group" style={{marginBottom: '15px'}}>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => replayHistory('redo')}
+                                >
+                                    ↷ Redo
+                                </button>
+                                <div style={{fontSize: '0.85rem', opacity: '0.8', marginTop: '5px', textAlign: 'center'}}>
+                                    {undoState.redo.description}
+                                </div>
+                            </div>
+                        )}
+
+                        {SESSION_CONTROLS[sessionState?.value] && (
+                            <div className="control-group">
+                                <button
+                                    className={`btn ${SESSION_CONTROLS[sessionState.value].className} btn-large`}
+                                    onClick={() => changeSessionState({ event: SESSION_CONTROLS[sessionState.value].event })}
+                                >
+                                    {SESSION_CONTROLS[sessionState.value].label}
+                                </button>
+                            </div>
+                        )}
+
+                        {sessionState?.can?.break && (
+                            <div className="control-group">
+                                <label htmlFor="break-minutes">Break Length (minutes)</label>
+                                <input
+                                    type="number"
+                                    id="break-minutes"
+                                    min="1"
+                                    max="120"
+                                    value={breakMinutes}
+                                    onChange={(e) => setBreakMinutes(parseInt(e.target.value, 10) || 1)}
+                                />
+                                <button
+                                    className="btn btn-pause btn-large"
+                                    onClick={() => changeSessionState({ event: 'BREAK', minutes: breakMinutes })}
+                                >
+                                    ☕ Take a Break
+                                </button>
+                            </div>
+                        )}
+
                         <div className="control-group">
-                            <button
-                                className={`btn ${sessionState?.value === 'paused' ? 'btn-play' : 'btn-pause'} btn-large`}
-                                onClick={async () => {
-                                    const event = sessionState?.value === 'active' ? 'PAUSE' : 'RESUME';
-                                    try {
-                                        await fetch(`/api/sessions/${sessionId}/transition`, {
-                                            method: 'POST',
-                                            headers: { 'Content-Type': 'application/json' },
-                                            body: JSON.stringify({ event })
-                                        });
-                                        // Refresh session state
-                                        const response = await fetch(`/api/sessions/${sessionId}/state`);
-                                        if (response.ok) {
-                                            const newState = await response.json();
-                                            setSessionState(newState);
-                                        }
-                                    } catch (error) {
-                                        console.error('Error toggling pause:', error);
-                                        alert('Failed to update session state');
-                                    }
-                                }}
+                            <label htmlFor="queue-mode">Queue Order</label>
+                            <select
+                                id="queue-mode"
+                                value={queueMode}
+                                onChange={(e) => changeQueueMode(e.target.value)}
                             >
-                                {sessionState?.value === 'paused' ? '▶ Resume Queue' : '⏸ Pause Queue'}
-                            </button>
+                                <option value="fifo">First come, first served</option>
+                                <option value="rotation">Rotation (one song per singer per round)</option>
+                            </select>
                         </div>
 
+                        {sessionSettings && (
+                            <div className="control-group">
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={sessionSettings.require_approval === 1}
+                                        onChange={(e) => changeToggleSetting('require_approval', e.target.checked)}
+                                    />
+                                    Approve requests before they join the queue
+                                </label>
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={sessionSettings.block_duplicates === 1}
+                                        onChange={(e) => changeToggleSetting('block_duplicates', e.target.checked)}
+                                    />
+                                    Refuse songs already requested tonight
+                                </label>
+                            </div>
+                        )}
+
                         <div className="control-group">
                             <label htmlFor="song-duration">Average Song Duration (seconds)</label>
                             <input
@@ -743,8 +1271,199 @@ function DJDashboard() {
                                 min="60"
                                 max="600"
                             />
+                            {timing?.samples > 0 && (
+                                <div className="dj-access-note">
+                                    Measured: ~{Math.floor(timing.averageDuration / 60)}:{String(timing.averageDuration % 60).padStart(2, '0')} per song over the last {timing.samples} song{timing.samples !== 1 ? 's' : ''}
+                                </div>
+                            )}
                         </div>
 
+                        {sessionSettings && (
+                            <div className="control-group">
+                                <label>Request Policies</label>
+                                {!showPolicySettings ? (
+                                    <>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => setShowPolicySettings(true)}
+                                        >
+                                            Manage Policies
+                                        </button>
+                                        <div className="dj-access-note">
+                                            {sessionSettings.max_songs_per_singer || 'Unlimited'} songs per singer, {sessionSettings.max_waiting_per_singer || 'unlimited'} in the queue at once
+                                            {sessionSettings.min_submission_gap_minutes > 0 && `, ${sessionSettings.min_submission_gap_minutes} min between requests`}
+                                            {sessionSettings.last_call_at && `, last call ${formatTime(sessionSettings.last_call_at)}`}
+                                        </div>
+                                    </>
+                                ) : (
+                                    <div className="tip-settings">
+                                        <div className="control-group">
+                                            <label htmlFor="policy-max-songs">Songs per singer tonight (0 = no limit)</label>
+                                            <input
+                                                type="number"
+                                                id="policy-max-songs"
+                                                value={sessionSettings.max_songs_per_singer}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, max_songs_per_singer: parseInt(e.target.value) || 0}))}
+                                                min="0"
+                                                max="50"
+                                            />
+                                        </div>
+
+                                        <div className="control-group">
+                                            <label htmlFor="policy-max-waiting">Songs in the queue per singer (0 = no limit)</label>
+                                            <input
+                                                type="number"
+                                                id="policy-max-waiting"
+                                                value={sessionSettings.max_waiting_per_singer}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, max_waiting_per_singer: parseInt(e.target.value) || 0}))}
+                                                min="0"
+                                                max="20"
+                                            />
+                                        </div>
+
+                                        <div className="control-group">
+                                            <label htmlFor="policy-gap">Minutes between a singer's requests</label>
+                                            <input
+                                                type="number"
+                                                id="policy-gap"
+                                                value={sessionSettings.min_submission_gap_minutes}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, min_submission_gap_minutes: parseInt(e.target.value) || 0}))}
+                                                min="0"
+                                                max="120"
+                                            />
+                                        </div>
+
+                                        <div className="control-group">
+                                            <label htmlFor="policy-last-call">Last call (blank = none)</label>
+                                            <input
+                                                type="time"
+                                                id="policy-last-call"
+                                                value={toClockTime(sessionSettings.last_call_at)}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, last_call_at: nextOccurrence(e.target.value)}))}
+                                            />
+                                            <div className="dj-access-note">
+                                                New requests are refused from this time on.
+                                            </div>
+                                        </div>
+
+                                        <div style={{display: 'flex', gap: '10px', marginTop: '15px'}}>
+                                            <button
+                                                className="btn btn-done"
+                                                onClick={() => saveSessionSettings(setShowPolicySettings)}
+                                                style={{flex: 1}}
+                                            >
+                                                Save
+                                            </button>
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => {
+                                                    setShowPolicySettings(false);
+                                                    fetchSessionSettings();
+                                                }}
+                                                style={{flex: 1}}
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {sessionSettings && (
+                            <div className="control-group">
+                                <label>Session Schedule</label>
+                                {!showScheduleSettings ? (
+                                    <>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => setShowScheduleSettings(true)}
+                                        >
+                                            Manage Schedule
+                                        </button>
+                                        <div className="dj-access-note">
+                                            {sessionSettings.closes_at ? `Closes at ${formatTime(sessionSettings.closes_at)}` : 'No closing time'}
+                                            {`, ${sessionSettings.ending_grace_minutes} min to wrap up`}
+                                            {sessionSettings.inactivity_timeout_hours > 0
+                                                ? `, ends after ${sessionSettings.inactivity_timeout_hours}h idle`
+                                                : ', never ends by itself'}
+                                        </div>
+                                    </>
+                                ) : (
+                                    <div className="tip-settings">
+                                        {sessionState?.value === 'scheduled' && (
+                                            <div className="control-group">
+                                                <label htmlFor="schedule-starts-at">Start time (blank = when you start it)</label>
+                                                <input
+                                                    type="datetime-local"
+                                                    id="schedule-starts-at"
+                                                    value={toLocalDateTime(sessionSettings.starts_at)}
+                                                    onChange={(e) => setSessionSettings(prev => ({...prev, starts_at: e.target.value ? new Date(e.target.value).toISOString() : null}))}
+                                                />
+                                            </div>
+                                        )}
+
+                                        <div className="control-group">
+                                            <label htmlFor="schedule-closes-at">Closing time (blank = none)</label>
+                                            <input
+                                                type="time"
+                                                id="schedule-closes-at"
+                                                value={toClockTime(sessionSettings.closes_at)}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, closes_at: nextOccurrence(e.target.value)}))}
+                                            />
+                                            <div className="dj-access-note">
+                                                The session starts ending by itself at this time.
+                                            </div>
+                                        </div>
+
+                                        <div className="control-group">
+                                            <label htmlFor="schedule-grace">Minutes between ending and ended</label>
+                                            <input
+                                                type="number"
+                                                id="schedule-grace"
+                                                value={sessionSettings.ending_grace_minutes}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, ending_grace_minutes: parseInt(e.target.value) || 0}))}
+                                                min="0"
+                                                max="60"
+                                            />
+                                        </div>
+
+                                        <div className="control-group">
+                                            <label htmlFor="schedule-inactivity">Hours without activity before the session ends (0 = never)</label>
+                                            <input
+                                                type="number"
+                                                id="schedule-inactivity"
+                                                value={sessionSettings.inactivity_timeout_hours}
+                                                onChange={(e) => setSessionSettings(prev => ({...prev, inactivity_timeout_hours: parseInt(e.target.value) || 0}))}
+                                                min="0"
+                                                max="48"
+                                            />
+                                        </div>
+
+                                        <div style={{display: 'flex', gap: '10px', marginTop: '15px'}}>
+                                            <button
+                                                className="btn btn-done"
+                                                onClick={() => saveSessionSettings(setShowScheduleSettings)}
+                                                style={{flex: 1}}
+                                            >
+                                                Save
+                                            </button>
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => {
+                                                    setShowScheduleSettings(false);
+                                                    fetchSessionSettings();
+                                                }}
+                                                style={{flex: 1}}
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
                         <button
                             className="btn btn-primary"
                             onClick={() => {
@@ -757,6 +1476,46 @@ function DJDashboard() {
                         </button>
                     </div>
 
+                    <div className="controls-section">
+                        <h3 className="section-title">🔑 DJ Access</h3>
+
+                        {djToken && !accessDenied ? (
+                            <>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={copyRecoveryLink}
+                                >
+                                    Copy Recovery Link
+                                </button>
+                                <div className="dj-access-note">
+                                    Open the recovery link on another device to control this queue there. Anyone with it can control your queue.
+                                </div>
+                            </>
+                        ) : (
+                            <div className="tip-settings">
+                                <div className="dj-access-warning">
+                                    {accessDenied ? 'Your DJ token was rejected.' : 'This device has no DJ token.'} Open your recovery link or paste your token to control the queue.
+                                </div>
+                                <div className="control-group">
+                                    <label htmlFor="dj-token">DJ Token</label>
+                                    <input
+                                        type="password"
+                                        id="dj-token"
+                                        value={tokenInput}
+                                        onChange={(e) => setTokenInput(e.target.value)}
+                                        placeholder="Paste your DJ token"
+                                    />
+                                </div>
+                                <button
+                                    className="btn btn-done"
+                                    onClick={saveDjToken}
+                                >
+                                    Unlock Controls
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
                     <div className="controls-section">
                         <h3 className="section-title">💰 Tip Settings</h3>
 
@@ -822,6 +1581,154 @@ function DJDashboard() {
                         )}
                     </div>
 
+                    {djToken && !accessDenied && sessionSettings && (
+                        <div className="controls-section">
+                            <h3 className="section-title">🛡 Request Limits</h3>
+
+                            {flaggedBursts.length > 0 && (
+                                <div className="dj-access-warning">
+                                    Refused requests
+                                    <ul className="timeline-list">
+                                        {flaggedBursts.map((burst) => (
+                                            <li key={burst.id} className="timeline-item">
+                                                <div className="timeline-meta">
+                                                    <span>{new Date(burst.lastBlockedAt).toLocaleTimeString()}</span>
+                                                    <span>{burst.attempts} refused</span>
+                                                </div>
+                                                <div>
+                                                    {burst.label} ({burst.kind === 'device' ? 'one phone' : 'one network'})
+                                                    {burst.singerNames.length > 0 && ` as ${burst.singerNames.join(', ')}`}
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {!showLimitSettings ? (
+                                <>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => setShowLimitSettings(true)}
+                                    >
+                                        Manage Limits
+                                    </button>
+                                    <div className="dj-access-note">
+                                        {sessionSettings.rate_limit_device || 'Unlimited'} per phone, {sessionSettings.rate_limit_ip || 'unlimited'} per network every {sessionSettings.rate_limit_window_minutes} min
+                                    </div>
+                                </>
+                            ) : (
+                                <div className="tip-settings">
+                                    <div className="control-group">
+                                        <label htmlFor="limit-device">Requests per phone (0 = no limit)</label>
+                                        <input
+                                            type="number"
+                                            id="limit-device"
+                                            value={sessionSettings.rate_limit_device}
+                                            onChange={(e) => setSessionSettings(prev => ({...prev, rate_limit_device: parseInt(e.target.value) || 0}))}
+                                            min="0"
+                                            max="50"
+                                        />
+                                    </div>
+
+                                    <div className="control-group">
+                                        <label htmlFor="limit-ip">Requests per network (0 = no limit)</label>
+                                        <input
+                                            type="number"
+                                            id="limit-ip"
+                                            value={sessionSettings.rate_limit_ip}
+                                            onChange={(e) => setSessionSettings(prev => ({...prev, rate_limit_ip: parseInt(e.target.value) || 0}))}
+                                            min="0"
+                                            max="500"
+                                        />
+                                        <div className="dj-access-note">
+                                            Phones on the venue wifi share one network, so keep this well above the per-phone limit.
+                                        </div>
+                                    </div>
+
+                                    <div className="control-group">
+                                        <label htmlFor="limit-window">Window (minutes)</label>
+                                        <input
+                                            type="number"
+                                            id="limit-window"
+                                            value={sessionSettings.rate_limit_window_minutes}
+                                            onChange={(e) => setSessionSettings(prev => ({...prev, rate_limit_window_minutes: parseInt(e.target.value) || 0}))}
+                                            min="1"
+                                            max="120"
+                                        />
+                                    </div>
+
+                                    <div style={{display: 'flex', gap: '10px', marginTop: '15px'}}>
+                                        <button
+                                            className="btn btn-done"
+                                            onClick={() => saveSessionSettings(setShowLimitSettings)}
+                                            style={{flex: 1}}
+                                        >
+                                            Save
+                                        </button>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => {
+                                                setShowLimitSettings(false);
+                                                fetchSessionSettings();
+                                            }}
+                                            style={{flex: 1}}
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="controls-section">
+                        <h3 className="section-title">📤 Export</h3>
+
+                        <div style={{display: 'flex', gap: '10px'}}>
+                            <button className="btn btn-secondary" onClick={() => exportSession('csv')} style={{flex: 1}}>
+                                CSV
+                            </button>
+                            <button className="btn btn-secondary" onClick={() => exportSession('json')} style={{flex: 1}}>
+                                JSON
+                            </button>
+                            <button className="btn btn-secondary" onClick={() => exportSession('html')} style={{flex: 1}}>
+                                🖨 Setlist
+                            </button>
+                        </div>
+                    </div>
+
+                    {djToken && !accessDenied && (
+                        <div className="controls-section">
+                            <h3 className="section-title">🕘 Timeline</h3>
+
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowTimeline(!showTimeline)}
+                            >
+                                {showTimeline ? 'Hide Timeline' : 'Show Timeline'}
+                            </button>
+
+                            {showTimeline && (
+                                timeline.length === 0 ? (
+                                    <div className="dj-access-note">No changes recorded yet.</div>
+                                ) : (
+                                    <ul className="timeline-list">
+                                        {timeline.map((event) => (
+                                            <li key={event.id} className="timeline-item">
+                                                <div className="timeline-meta">
+                                                    <span>{new Date(event.created_at).toLocaleTimeString()}</span>
+                                                    <span className={`timeline-actor timeline-actor-${event.actor_role}`}>{event.actor_role}</span>
+                                                </div>
+                                                <div>{describeEvent(event)}</div>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )
+                            )}
+                        </div>
+                    )}
+
                     {stats.length > 0 && (
                         <div className="singer-stats-section">
                             <h3 className="section-title">Singer Stats</h3>
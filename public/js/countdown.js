@@ -0,0 +1,25 @@
+/**
+ * Countdown Client
+ *
+ * Keeps every element with a data-countdown-until attribute (an ISO time)
+ * showing the time left as M:SS, ticking once a second. Elements added later,
+ * like a banner htmx swaps in, are picked up on the next tick.
+ *
+ * Usage:
+ *   <span data-countdown-until="2026-10-18T22:30:00.000Z">12:34</span>
+ */
+(function () {
+    function formatRemaining(until) {
+        const seconds = Math.max(0, Math.ceil((Date.parse(until) - Date.now()) / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    function tick() {
+        document.querySelectorAll('[data-countdown-until]').forEach(el => {
+            el.textContent = formatRemaining(el.dataset.countdownUntil);
+        });
+    }
+
+    tick();
+    setInterval(tick, 1000);
+})();
@@ -0,0 +1,25 @@
+/**
+ * HTML Escaping Client
+ *
+ * Browser counterpart of src/services/html.js. Scripts that build markup from
+ * API data pass every value through escapeHtml so it renders as text.
+ *
+ * Usage:
+ *   list.innerHTML = songs.map(song => `<li>${escapeHtml(song.singer_name)}</li>`).join('');
+ */
+(function (global) {
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+    }
+
+    global.escapeHtml = escapeHtml;
+})(window);
@@ -0,0 +1,79 @@
+/**
+ * Live Updates Client
+ *
+ * Subscribes to /api/sessions/:sessionId/events and calls onUpdate whenever the
+ * server pushes a queue or session change. If the stream drops, falls back to
+ * calling onUpdate on a polling interval until the stream reconnects.
+ *
+ * Usage:
+ *   const live = connectLiveUpdates(sessionId, {
+ *     events: ['song-added', 'status-changed'],
+ *     onUpdate: (type, data) => refresh(),
+ *     pollInterval: 5000,
+ *   });
+ *   live.close();
+ */
+(function (global) {
+    const ALL_EVENTS = ['song-added', 'reordered', 'status-changed', 'session-state-changed', 'submission-flagged'];
+
+    function connectLiveUpdates(sessionId, options) {
+        const events = options.events || ALL_EVENTS;
+        const onUpdate = options.onUpdate;
+        const pollInterval = options.pollInterval || 5000;
+
+        let source = null;
+        let pollTimer = null;
+        let closed = false;
+
+        function startPolling() {
+            if (pollTimer || closed) return;
+            pollTimer = setInterval(() => onUpdate('poll', null), pollInterval);
+        }
+
+        function stopPolling() {
+            if (!pollTimer) return;
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+
+        if (typeof EventSource === 'undefined') {
+            startPolling();
+            return { close: () => { closed = true; stopPolling(); } };
+        }
+
+        source = new EventSource(`/api/sessions/${sessionId}/events`);
+
+        source.addEventListener('open', () => {
+            // Catch up on anything missed while disconnected
+            if (pollTimer) onUpdate('reconnect', null);
+            stopPolling();
+        });
+
+        source.addEventListener('error', () => {
+            // EventSource retries on its own; poll in the meantime
+            startPolling();
+        });
+
+        events.forEach(type => {
+            source.addEventListener(type, (e) => {
+                let data = null;
+                try {
+                    data = JSON.parse(e.data);
+                } catch (error) {
+                    console.error('Invalid live update payload:', error);
+                }
+                onUpdate(type, data);
+            });
+        });
+
+        return {
+            close: () => {
+                closed = true;
+                stopPolling();
+                source.close();
+            }
+        };
+    }
+
+    global.connectLiveUpdates = connectLiveUpdates;
+})(window);
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Create Admin User
+ *
+ * Bootstraps an admin login for /admin. Run once to create the first admin,
+ * or again to add more.
+ *
+ * Usage:
+ *   npm run create-admin -- <username>
+ *   ADMIN_PASSWORD=secret npm run create-admin -- <username>
+ *
+ * Without ADMIN_PASSWORD the password is prompted for (input hidden).
+ */
+
+import readline from 'readline';
+import { createAdmin } from '../src/services/admin-auth.js';
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+    // Echo the question but not the typed characters
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) {
+        rl.output.write(text);
+      }
+    };
+
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: npm run create-admin -- <username>');
+    process.exit(1);
+  }
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = await promptHidden('Password: ');
+    const confirmation = await promptHidden('Confirm password: ');
+    if (password !== confirmation) {
+      console.error('❌ Passwords do not match');
+      process.exit(1);
+    }
+  }
+
+  try {
+    const admin = createAdmin(username, password);
+    console.log(`✅ Admin "${admin.username}" created. Log in at /admin/login`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
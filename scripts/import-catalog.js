@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Import Song Catalog
+ *
+ * Loads a CSV, JSON or karaoke-host text export into the song catalog.
+ *
+ * Usage:
+ *   npm run import-catalog -- <file> [options]
+ *
+ * Options:
+ *   --format csv|json|text     Skip format detection
+ *   --map artist=Col,title=Col Column mapping (column numbers for text exports)
+ *   --source <name>            Source label for rows that don't name one
+ *   --dry-run                  Show the report without importing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { importCatalog } from '../src/services/catalog-import.js';
+
+function parseArgs(args) {
+  const options = { mapping: {} };
+  let file = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--source') {
+      options.source = args[++i];
+    } else if (arg === '--map') {
+      for (const pair of (args[++i] || '').split(',')) {
+        const [field, ...column] = pair.split('=');
+        if (field && column.length > 0) {
+          options.mapping[field.trim()] = column.join('=').trim();
+        }
+      }
+    } else if (!file) {
+      file = arg;
+    }
+  }
+
+  return { file, options };
+}
+
+function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: npm run import-catalog -- <file> [--format csv|json|text] [--map artist=Col,title=Col] [--source name] [--dry-run]');
+    process.exit(1);
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const report = importCatalog(content, { ...options, fileName: path.basename(file) });
+
+    console.log(`${report.dryRun ? '🔍 Dry run' : '✅ Imported'}: ${path.basename(file)} (${report.format})`);
+    console.log(`   Columns: ${Object.entries(report.mapping).map(([field, column]) => `${field}=${column}`).join(', ')}`);
+    console.log(`   Rows read:             ${report.totalRows}`);
+    console.log(`   New songs:             ${report.added}`);
+    console.log(`   Merged into existing:  ${report.merged}`);
+    console.log(`   Already in catalog:    ${report.unchanged}`);
+    console.log(`   Duplicates in file:    ${report.duplicatesInFile}`);
+    console.log(`   Rejected:              ${report.rejectedCount}`);
+
+    for (const row of report.rejected) {
+      console.log(`     line ${row.line}: ${row.reason}`);
+    }
+    if (report.rejectedCount > report.rejected.length) {
+      console.log(`     ...and ${report.rejectedCount - report.rejected.length} more`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Database Migrations
+ *
+ * Shows or applies schema migrations. The server applies pending migrations
+ * on startup, so running this is only needed to check a database or upgrade
+ * it ahead of a deploy.
+ *
+ * Usage:
+ *   npm run migrate -- status   List applied and pending migrations
+ *   npm run migrate -- up       Apply pending migrations
+ *
+ * Set DATABASE_PATH to work on a database other than the app's.
+ */
+
+import { DB_PATH, openDatabase } from '../src/db/connection.js';
+import { getMigrationStatus, runMigrations } from '../src/db/migrations.js';
+
+async function printStatus(db) {
+  const { current, applied, pending, unknown } = await getMigrationStatus(db);
+
+  console.log(`Database: ${DB_PATH}`);
+  console.log(`Schema version: ${current}`);
+  for (const migration of applied) {
+    console.log(`   ✅ ${migration.file}  (applied ${migration.appliedAt})`);
+  }
+  for (const migration of pending) {
+    console.log(`   ⏳ ${migration.file}  (pending)`);
+  }
+  for (const row of unknown) {
+    console.log(`   ❓ ${row.version}_${row.name}  (applied ${row.applied_at}, no matching file)`);
+  }
+
+  if (unknown.length > 0) {
+    console.log('⚠️  This database was migrated by a newer version of the app');
+  } else if (pending.length === 0) {
+    console.log('Up to date');
+  } else {
+    console.log(`${pending.length} pending; run: npm run migrate -- up`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  if (!['status', 'up'].includes(command)) {
+    console.error('Usage: npm run migrate -- status|up');
+    process.exit(1);
+  }
+
+  const db = openDatabase();
+  try {
+    if (command === 'up') {
+      const applied = await runMigrations(db);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply');
+    } else {
+      await printStatus(db);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -2,15 +2,15 @@ import express from 'express';
 import { nanoid } from 'nanoid';
 import QRCode from 'qrcode';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import fs from 'fs';
 import {
+  withTransaction,
   createSession,
   getSession,
   addSong,
   getSongs,
   updateSongPosition,
-  updateSongStatus,
   deleteSong,
   getSingerStats,
   reorderSongs,
@@ -20,36 +20,96 @@ import {
   updateSessionTips,
   updateSessionStatus,
   updateSongDetails,
-  setSongDelay,
-  getSongById
-} from './database-sqlite.js';
+  getSongById,
+  getAdminUsers,
+  updateSessionQueueMode,
+  setSongPinned,
+  clearSessionPins,
+  getCatalogCount
+} from './database.js';
 import {
   getSongState,
   transitionSong,
+  transitionSongToStatus,
+  getPausedSeconds,
   canTransitionSong,
+  InvalidTransitionError,
+  SETTABLE_SONG_STATUSES,
+  SONG_EVENTS,
+  SESSION_EVENTS,
   getSessionState,
-  transitionSession
+  transitionSession,
+  clearSongActor,
+  restoreDelayedSongs,
+  scheduleSessionTimer,
+  restoreSessionTimers
 } from './src/services/state-manager.js';
+import { subscribeToSession, publishSessionEvent } from './src/services/live-updates.js';
+import { generateToken } from './src/services/tokens.js';
+import { requireDjToken, requireDjTokenOrAdmin, sessionFromParam, sessionFromSong } from './src/middleware/dj-auth.js';
+import { requireManageToken, isValidManageToken } from './src/middleware/singer-auth.js';
+import { requireAdminPage, requireAdminApi, getCookie, setAdminCookie, clearAdminCookie, ADMIN_COOKIE } from './src/middleware/admin-auth.js';
+import { createAdmin, loginAdmin, logoutAdmin } from './src/services/admin-auth.js';
+import { QUEUE_MODES, refreshQueueOrder } from './src/services/queue-order.js';
+import { searchCatalog, getCatalogSong } from './src/services/catalog.js';
+import { importCatalog, IMPORT_FORMATS } from './src/services/catalog-import.js';
+import { estimateWaitTimes, getPerformanceTiming } from './src/services/wait-estimates.js';
+import { recordEvent, recordSongEvent, getEventHistory } from './src/services/audit-log.js';
+import { buildSessionExport, toCsv, toSetlistHtml, EXPORT_FORMATS } from './src/services/session-export.js';
+import { validateSessionBundle, importSessionBundle } from './src/services/session-import.js';
+import { recordStatusChange, recordDelete, recordReorder, recordEdit, undo, redo, getUndoState } from './src/services/undo-history.js';
+import { escapeHtml, escapeUrl, toScriptJson, tipLinks, qrButtonAttributes } from './src/services/html.js';
+import { resolveSessionSettings, validateSessionSettings, updateSessionSettings } from './src/services/session-settings.js';
+import { checkSubmissionRate, getFlaggedBursts } from './src/services/rate-limit.js';
+import { findPolicyViolation, assertRequestAllowed, RequestPolicyError } from './src/services/request-policies.js';
+import { findDuplicateRequest, findRepeatedSongs } from './src/services/duplicate-songs.js';
+import { assignSingerDevice } from './src/middleware/singer-device.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Use /data volume in production (Fly.io), fallback to local for development
-const QR_CODE_DIR = process.env.NODE_ENV === 'production'
+// Use /data volume in production (Fly.io), fallback to local for development.
+// QR_CODE_DIR overrides both (tests write to a temporary directory).
+const QR_CODE_DIR = process.env.QR_CODE_DIR || (process.env.NODE_ENV === 'production'
   ? '/data/qr-codes'
-  : join(__dirname, 'public', 'qr-codes');
+  : join(__dirname, 'public', 'qr-codes'));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxy hops in front of the app (Fly's edge in production), so req.ip is the
+// singer's address rather than the proxy's. Rate limits count per address.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? 1 : 0)));
+
+// Content-Security-Policy for every response. Inline scripts and onclick
+// handlers are still used throughout the pages, and 'unsafe-eval' is needed by
+// htmx hx-on attributes and the in-browser Babel build on the DJ dashboard.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://unpkg.com https://cdn.jsdelivr.net",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: https://api.qrserver.com",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "frame-ancestors 'none'",
+  "form-action 'self'",
+].join('; ');
+
 // Middleware
+app.use((req, res, next) => {
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  next();
+});
+// Session bundles can be larger than the default body limit
+app.use('/api/admin/sessions/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Serve QR codes from persistent volume in production
-if (process.env.NODE_ENV === 'production') {
-  app.use('/qr-codes', express.static('/data/qr-codes'));
+// Serve QR codes from wherever they're written when that's outside public/
+if (QR_CODE_DIR !== join(__dirname, 'public', 'qr-codes')) {
+  app.use('/qr-codes', express.static(QR_CODE_DIR));
 }
 
 // Helper function to generate QR code
@@ -77,6 +137,62 @@ async function generateQRCode(sessionId, req) {
   }
 }
 
+// Strip secrets before sending song rows to clients
+function toPublicSong({ manage_token_hash, ...song }) {
+  return song;
+}
+
+// An event a song's or session's state machine refused, with the events it would accept
+function sendInvalidTransition(res, error) {
+  res.status(409).json({ error: error.message, state: error.state, allowedEvents: error.allowedEvents });
+}
+
+// Song events the DJ can send by name; delays go through the singer's delay route, which sets their end time
+const DJ_SONG_EVENTS = SONG_EVENTS.filter(type => type !== 'DELAY');
+
+// Clock time for singer-facing messages, matching the set list export
+const formatClockTime = (iso) => new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+// Time left until iso as M:SS; /js/countdown.js keeps it ticking in the browser
+const formatCountdown = (iso) => {
+  const seconds = Math.max(0, Math.ceil((Date.parse(iso) - Date.now()) / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Longest break the DJ can take, in minutes
+const MAX_BREAK_MINUTES = 120;
+
+const TIP_GRADIENTS = {
+  venmo: '#8B5CF6, #A855F7',
+  cashapp: '#10B981, #059669',
+  zelle: '#F59E0B, #D97706',
+};
+
+// Tip buttons with QR codes for the singer and queue pages
+function renderTipButtons(session) {
+  return tipLinks(session).map(tip => `
+                <div class="tip-button-container">
+                    ${tip.href
+                      ? `<a href="${escapeHtml(tip.href)}" target="_blank" class="tip-button ${tip.key}">`
+                      : `<div class="tip-button ${tip.key}">`}
+                        ${tip.icon} ${escapeHtml(tip.label)}
+                    ${tip.href ? '</a>' : '</div>'}
+                    <button ${qrButtonAttributes(tip)} class="qr-btn">📱</button>
+                </div>`).join('');
+}
+
+// Requests that haven't reached the stage, including those awaiting DJ approval
+// or delayed by the singer, can still be edited or cancelled
+const OPEN_REQUEST_STATUSES = ['waiting', 'pending', 'delayed'];
+
+// Songs shown in the public queue; delayed songs keep their place
+const QUEUE_PAGE_STATUSES = ['waiting', 'delayed', 'playing'];
+
+// DJ-only route guards
+const requireSessionDj = requireDjToken(sessionFromParam('sessionId'));
+const requireSessionIdDj = requireDjToken(sessionFromParam('id'));
+const requireSongDj = requireDjToken(sessionFromSong, 'Song not found');
+
 // Routes
 
 // Create new session (for DJ)
@@ -90,13 +206,29 @@ app.post('/api/sessions', async (req, res) => {
       zelle_handle: req.body.zelle_handle || null
     };
 
-    createSession(sessionId, songDuration, tipHandles);
+    // Sessions with a start time still to come are scheduled until then
+    const { changes: schedule, errors } = validateSessionSettings(req.body.starts_at ? { starts_at: req.body.starts_at } : {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const status = schedule.starts_at && Date.parse(schedule.starts_at) > Date.now() ? 'scheduled' : 'active';
+
+    // The plain DJ token is only ever returned here; the database keeps its hash
+    const djToken = generateToken();
+
+    createSession(sessionId, songDuration, tipHandles, djToken.hash, status);
+    if (status === 'scheduled') {
+      updateSessionSettings(sessionId, schedule);
+    }
+    recordEvent(sessionId, 'session-created', { actorRole: 'dj', payload: { song_duration: songDuration, ...tipHandles, ...schedule } });
+    scheduleSessionTimer(sessionId);
     const qrCodePath = await generateQRCode(sessionId, req);
 
     res.json({
       sessionId,
       qrCodePath,
-      djUrl: `/dj/${sessionId}`
+      djUrl: `/dj/${sessionId}`,
+      djToken: djToken.token
     });
   } catch (error) {
     console.error('Error creating session:', error);
@@ -104,6 +236,34 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
+// Export a session (DJ or admin): csv, json or a printable html setlist
+app.get('/api/sessions/:id/export', requireDjTokenOrAdmin(sessionFromParam('id')), (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const bundle = buildSessionExport(req.params.id);
+    const fileName = `session-${bundle.session.id}-${bundle.session.created_at.slice(0, 10)}`;
+
+    if (format === 'html') {
+      return res.type('html').send(toSetlistHtml(bundle));
+    }
+
+    if (format === 'csv') {
+      res.attachment(`${fileName}.csv`);
+      return res.type('text/csv').send(toCsv(bundle));
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.type('application/json').send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
 // Get session info
 app.get('/api/sessions/:id', (req, res) => {
   try {
@@ -111,59 +271,102 @@ app.get('/api/sessions/:id', (req, res) => {
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
-    res.json(session);
+    const { dj_token_hash, ...publicSession } = session;
+    res.json(publicSession);
   } catch (error) {
     console.error('Error getting session:', error);
     res.status(500).json({ error: 'Failed to get session' });
   }
 });
 
+// Live update stream (Server-Sent Events)
+app.get('/api/sessions/:sessionId/events', (req, res) => {
+  const { sessionId } = req.params;
+  const session = getSession(sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  subscribeToSession(sessionId, req, res);
+});
+
+// Banner telling singers about the session's state (empty while it's active)
+function renderStateBanner(sessionId) {
+  const sessionState = getSessionState(sessionId);
+  if (!sessionState) {
+    return '';
+  }
+
+  const { starts_at } = resolveSessionSettings(sessionId);
+  const breakEndsAt = sessionState.context.breakEndsAt;
+
+  const stateBanners = {
+    scheduled: `
+      <div style="background: linear-gradient(135deg, rgba(33, 150, 243, 0.3), rgba(33, 150, 243, 0.2));
+                  border: 2px solid rgba(33, 150, 243, 0.5);
+                  border-radius: 10px;
+                  padding: 15px;
+                  margin-bottom: 20px;
+                  text-align: center;
+                  font-weight: 600;">
+        🕒 ${starts_at ? `The show starts at ${formatClockTime(starts_at)}` : 'The show hasn\'t started yet'} - Request early to get in the queue!
+      </div>
+    `,
+    active: '',  // No banner for active state
+    paused: `
+      <div style="background: linear-gradient(135deg, rgba(255, 152, 0, 0.3), rgba(255, 152, 0, 0.2));
+                  border: 2px solid rgba(255, 152, 0, 0.5);
+                  border-radius: 10px;
+                  padding: 15px;
+                  margin-bottom: 20px;
+                  text-align: center;
+                  font-weight: 600;">
+        ⏸️ Queue is currently paused - You can still submit requests!
+      </div>
+    `,
+    intermission: `
+      <div style="background: linear-gradient(135deg, rgba(156, 39, 176, 0.3), rgba(156, 39, 176, 0.2));
+                  border: 2px solid rgba(156, 39, 176, 0.5);
+                  border-radius: 10px;
+                  padding: 15px;
+                  margin-bottom: 20px;
+                  text-align: center;
+                  font-weight: 600;">
+        ☕ The DJ is on a break - ${breakEndsAt ? `Back in <span data-countdown-until="${escapeHtml(breakEndsAt)}">${formatCountdown(breakEndsAt)}</span>` : 'Back soon'}. You can still submit requests!
+      </div>
+    `,
+    ending: `
+      <div style="background: linear-gradient(135deg, rgba(255, 87, 34, 0.3), rgba(255, 87, 34, 0.2));
+                  border: 2px solid rgba(255, 87, 34, 0.5);
+                  border-radius: 10px;
+                  padding: 15px;
+                  margin-bottom: 20px;
+                  text-align: center;
+                  font-weight: 600;">
+        ⚠️ Session is ending soon - Submit your requests now!
+      </div>
+    `,
+    ended: `
+      <div style="background: linear-gradient(135deg, rgba(244, 67, 54, 0.3), rgba(244, 67, 54, 0.2));
+                  border: 2px solid rgba(244, 67, 54, 0.5);
+                  border-radius: 10px;
+                  padding: 15px;
+                  margin-bottom: 20px;
+                  text-align: center;
+                  font-weight: 600;">
+        🔴 This session has ended - Thank you for singing!
+      </div>
+    `
+  };
+
+  return stateBanners[sessionState.value] || '';
+}
+
 // Singer state banner (HTMX partial)
 app.get('/api/sessions/:id/state-banner', (req, res) => {
   try {
-    const sessionState = getSessionState(req.params.id);
-    if (!sessionState) {
-      return res.send(''); // Return empty if no state
-    }
-
-    const stateBanners = {
-      active: '',  // No banner for active state
-      paused: `
-        <div style="background: linear-gradient(135deg, rgba(255, 152, 0, 0.3), rgba(255, 152, 0, 0.2));
-                    border: 2px solid rgba(255, 152, 0, 0.5);
-                    border-radius: 10px;
-                    padding: 15px;
-                    margin-bottom: 20px;
-                    text-align: center;
-                    font-weight: 600;">
-          ⏸️ Queue is currently paused - You can still submit requests!
-        </div>
-      `,
-      ending: `
-        <div style="background: linear-gradient(135deg, rgba(255, 87, 34, 0.3), rgba(255, 87, 34, 0.2));
-                    border: 2px solid rgba(255, 87, 34, 0.5);
-                    border-radius: 10px;
-                    padding: 15px;
-                    margin-bottom: 20px;
-                    text-align: center;
-                    font-weight: 600;">
-          ⚠️ Session is ending soon - Submit your requests now!
-        </div>
-      `,
-      ended: `
-        <div style="background: linear-gradient(135deg, rgba(244, 67, 54, 0.3), rgba(244, 67, 54, 0.2));
-                    border: 2px solid rgba(244, 67, 54, 0.5);
-                    border-radius: 10px;
-                    padding: 15px;
-                    margin-bottom: 20px;
-                    text-align: center;
-                    font-weight: 600;">
-          🔴 This session has ended - Thank you for singing!
-        </div>
-      `
-    };
-
-    res.send(stateBanners[sessionState.value] || '');
+    res.send(renderStateBanner(req.params.id));
   } catch (error) {
     console.error('Error getting session state banner:', error);
     res.send('');
@@ -171,7 +374,7 @@ app.get('/api/sessions/:id/state-banner', (req, res) => {
 });
 
 // Singer request form (HTML)
-app.get('/singer/:sessionId', (req, res) => {
+app.get('/singer/:sessionId', assignSingerDevice, (req, res) => {
   const { sessionId } = req.params;
   const session = getSession(sessionId);
 
@@ -296,6 +499,46 @@ app.get('/singer/:sessionId', (req, res) => {
             margin-top: 20px;
             box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3), 0 0 20px rgba(76, 175, 80, 0.2);
         }
+        .catalog-results {
+            margin-top: 8px;
+            border-radius: 10px;
+            overflow: hidden;
+            border: 1px solid rgba(255, 182, 18, 0.3);
+        }
+        .catalog-results:empty {
+            display: none;
+        }
+        .catalog-result {
+            display: block;
+            width: 100%;
+            padding: 12px 15px;
+            background: rgba(20, 20, 20, 0.9);
+            color: #ffffff;
+            border: none;
+            border-bottom: 1px solid rgba(165, 172, 175, 0.2);
+            border-radius: 0;
+            font-size: 15px;
+            font-weight: 400;
+            text-align: left;
+            text-transform: none;
+            letter-spacing: normal;
+            text-shadow: none;
+            box-shadow: none;
+        }
+        .catalog-result:hover {
+            background: rgba(255, 182, 18, 0.15);
+            transform: none;
+            box-shadow: none;
+        }
+        .catalog-result .catalog-artist {
+            opacity: 0.7;
+            font-size: 0.85rem;
+        }
+        .catalog-picked {
+            margin-top: 8px;
+            font-size: 0.85rem;
+            color: #FFB612;
+        }
         .error {
             color: #FFB612;
             margin-top: 10px;
@@ -303,6 +546,28 @@ app.get('/singer/:sessionId', (req, res) => {
             font-weight: 700;
             text-shadow: 0 0 8px rgba(255, 182, 18, 0.5);
         }
+        .duplicate-warning {
+            margin-top: 15px;
+            padding: 15px;
+            border: 2px solid rgba(255, 182, 18, 0.5);
+            border-radius: 12px;
+            background: rgba(255, 182, 18, 0.1);
+            text-align: center;
+        }
+        .duplicate-actions {
+            display: flex;
+            gap: 10px;
+            margin-top: 12px;
+        }
+        .duplicate-actions button {
+            flex: 1;
+            padding: 12px;
+            font-size: 14px;
+        }
+        .duplicate-actions button.secondary {
+            background: linear-gradient(135deg, #A5ACAF 0%, #707070 100%);
+            color: white;
+        }
         .queue-link {
             text-align: center;
             margin-top: 25px;
@@ -497,13 +762,13 @@ app.get('/singer/:sessionId', (req, res) => {
 
         <!-- Session state banner -->
         <div id="session-state-banner"
-             hx-get="/api/sessions/${sessionId}/state-banner"
-             hx-trigger="load, every 10s"
+             hx-get="/api/sessions/${escapeUrl(sessionId)}/state-banner"
+             hx-trigger="load, refresh-banner from:body"
              hx-swap="innerHTML">
             <!-- State will be loaded here -->
         </div>
 
-        <form id="song-form" hx-post="/api/sessions/${sessionId}/songs"
+        <form id="song-form" hx-post="/api/sessions/${escapeUrl(sessionId)}/songs"
               hx-target="#result"
               hx-swap="innerHTML"
               hx-on::before-request="document.querySelector('button').disabled = true"
@@ -533,6 +798,16 @@ app.get('/singer/:sessionId', (req, res) => {
                 <input type="text" id="new_singer_name" name="new_singer_name" placeholder="Enter your name">
             </div>
 
+            <div class="form-group">
+                <label for="catalog_search">Find Your Song</label>
+                <input type="search" id="catalog_search" placeholder="Search by artist or title..." autocomplete="off">
+                <div id="catalog-results" class="catalog-results"></div>
+                <div id="catalog-picked" class="catalog-picked" style="display: none;">✓ From the DJ's catalog</div>
+                <input type="hidden" id="catalog_id" name="catalog_id" value="">
+            </div>
+
+            <input type="hidden" id="allow_duplicate" name="allow_duplicate" value="">
+
             <div class="form-group">
                 <label for="artist">Artist</label>
                 <input type="text" id="artist" name="artist" required>
@@ -548,37 +823,17 @@ app.get('/singer/:sessionId', (req, res) => {
 
         <div id="result"></div>
 
-${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
+${tipLinks(session).length > 0 ? `
         <div class="tip-section">
             <h3>💰 Tip Your DJ!</h3>
             <p>Enjoying the music? Show some love!</p>
             <div class="tip-buttons">
-                ${session.venmo_handle ? `
-                <div class="tip-button-container">
-                    <a href="https://venmo.com/${session.venmo_handle.replace('@', '')}" target="_blank" class="tip-button venmo">
-                        💜 Venmo: ${session.venmo_handle}
-                    </a>
-                    <button onclick="showQRCode('https://venmo.com/${session.venmo_handle.replace('@', '')}', 'Venmo: ${session.venmo_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
-                ${session.cashapp_handle ? `
-                <div class="tip-button-container">
-                    <a href="https://cash.app/${session.cashapp_handle.replace('$', '')}" target="_blank" class="tip-button cashapp">
-                        💚 Cash App: ${session.cashapp_handle}
-                    </a>
-                    <button onclick="showQRCode('https://cash.app/${session.cashapp_handle.replace('$', '')}', 'Cash App: ${session.cashapp_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
-                ${session.zelle_handle ? `
-                <div class="tip-button-container">
-                    <div class="tip-button zelle">
-                        💛 Zelle: ${session.zelle_handle}
-                    </div>
-                    <button onclick="showQRCode('${session.zelle_handle}', 'Zelle: ${session.zelle_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
+                ${renderTipButtons(session)}
             </div>
         </div>` : ''}
 
         <div class="queue-link">
-            <a href="/queue/${sessionId}" class="view-queue-btn">📋 View Live Queue</a>
+            <a href="/queue/${escapeUrl(sessionId)}" class="view-queue-btn">📋 View Live Queue</a>
         </div>
     </div>
 
@@ -595,7 +850,26 @@ ${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
     </div>
 
     <script src="https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js"></script>
+    <script src="/js/live-updates.js"></script>
+    <script src="/js/countdown.js"></script>
     <script>
+        const sessionId = ${toScriptJson(sessionId)};
+
+        // Show the error partials a refused request comes back with (htmx drops 4xx bodies by default)
+        document.body.addEventListener('htmx:beforeSwap', (e) => {
+            if (e.detail.xhr.status >= 400 && e.detail.xhr.status < 500 && e.detail.target.id === 'result') {
+                e.detail.shouldSwap = true;
+                e.detail.isError = false;
+            }
+        });
+
+        // Refresh the state banner on live events (falls back to polling every 10 seconds if the stream drops)
+        connectLiveUpdates(sessionId, {
+            events: ['session-state-changed'],
+            onUpdate: () => htmx.trigger(document.body, 'refresh-banner'),
+            pollInterval: 10000
+        });
+
         // QR Code functionality
         function showQRCode(url, title) {
             document.getElementById('qrTitle').textContent = title;
@@ -643,7 +917,7 @@ ${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
         // Load existing singers when page loads
         async function loadExistingSingers() {
             try {
-                const response = await fetch('/api/sessions/${sessionId}/singers');
+                const response = await fetch(\`/api/sessions/\${encodeURIComponent(sessionId)}/singers\`);
                 const data = await response.json();
 
                 const select = document.getElementById('singer_select');
@@ -713,20 +987,101 @@ ${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
             const select = document.getElementById('singer_select');
             const newSingerInput = document.getElementById('new_singer_name');
 
-            // Create a hidden input with the final singer name
-            const hiddenInput = document.createElement('input');
-            hiddenInput.type = 'hidden';
-            hiddenInput.name = 'singer_name';
+            // Create a hidden input with the final singer name (once; a refused request can be sent again)
+            let hiddenInput = this.querySelector('input[name="singer_name"]');
+            if (!hiddenInput) {
+                hiddenInput = document.createElement('input');
+                hiddenInput.type = 'hidden';
+                hiddenInput.name = 'singer_name';
+                this.appendChild(hiddenInput);
+            }
 
             if (select.value === '__NEW__') {
                 hiddenInput.value = newSingerInput.value.trim();
             } else {
                 hiddenInput.value = select.value;
             }
+        });
+
+        // Repeat song warning: send the same request again, or start over with another song
+        function requestAnyway() {
+            document.getElementById('allow_duplicate').value = '1';
+            document.getElementById('song-form').requestSubmit();
+        }
+
+        function pickAnotherSong() {
+            document.getElementById('artist').value = '';
+            document.getElementById('song_title').value = '';
+            clearCatalogPick();
+            document.getElementById('result').innerHTML = '';
+            document.getElementById('catalog_search').focus();
+        }
+
+        // Only the request the singer confirmed goes through as a repeat
+        document.body.addEventListener('htmx:afterRequest', () => {
+            document.getElementById('allow_duplicate').value = '';
+        });
+
+        // Catalog autocomplete
+        let catalogSearchTimer = null;
+
+        function clearCatalogPick() {
+            document.getElementById('catalog_id').value = '';
+            document.getElementById('catalog-picked').style.display = 'none';
+        }
+
+        function pickCatalogSong(song) {
+            document.getElementById('artist').value = song.artist;
+            document.getElementById('song_title').value = song.title;
+            document.getElementById('catalog_id').value = song.id;
+            document.getElementById('catalog-picked').style.display = 'block';
+            document.getElementById('catalog-results').innerHTML = '';
+            document.getElementById('catalog_search').value = '';
+        }
+
+        async function searchCatalog(query) {
+            const results = document.getElementById('catalog-results');
+
+            if (query.trim().length < 2) {
+                results.innerHTML = '';
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/catalog/search?q=' + encodeURIComponent(query));
+                const data = await response.json();
+
+                results.innerHTML = '';
+                data.results.forEach(song => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'catalog-result';
+
+                    const title = document.createElement('div');
+                    title.textContent = song.title;
+                    const artist = document.createElement('div');
+                    artist.className = 'catalog-artist';
+                    artist.textContent = song.artist;
+
+                    button.appendChild(title);
+                    button.appendChild(artist);
+                    button.addEventListener('click', () => pickCatalogSong(song));
+                    results.appendChild(button);
+                });
+            } catch (error) {
+                console.error('Error searching catalog:', error);
+            }
+        }
 
-            this.appendChild(hiddenInput);
+        document.getElementById('catalog_search').addEventListener('input', function(e) {
+            clearTimeout(catalogSearchTimer);
+            catalogSearchTimer = setTimeout(() => searchCatalog(e.target.value), 250);
         });
 
+        // Typing over a picked song unlinks it from the catalog
+        document.getElementById('artist').addEventListener('input', clearCatalogPick);
+        document.getElementById('song_title').addEventListener('input', clearCatalogPick);
+
         // Load singers when page loads
         window.addEventListener('load', loadExistingSingers);
     </script>
@@ -739,6 +1094,7 @@ ${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
 // Singer management page (for updating/cancelling/delaying requests)
 app.get('/singer/manage/:sessionId/:songId', (req, res) => {
   const { sessionId, songId } = req.params;
+  const manageToken = typeof req.query.token === 'string' ? req.query.token : '';
   const session = getSession(sessionId);
   const song = getSongById(songId);
 
@@ -750,6 +1106,10 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
     return res.status(404).send('<h1>Song request not found</h1>');
   }
 
+  if (!isValidManageToken(song, manageToken)) {
+    return res.status(403).send('<h1>This manage link is invalid</h1>');
+  }
+
   // Calculate if delay has expired
   let delayStatus = null;
   if (song.delayed_until) {
@@ -950,34 +1310,42 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
     <div class="container">
         <h1>🎵 Manage Request</h1>
 
-        ${song.status !== 'waiting' ? `
+        ${!OPEN_REQUEST_STATUSES.includes(song.status) ? `
         <div class="status-message status-error">
             ${song.status === 'playing' ? 'Your song is currently being performed!' :
               song.status === 'done' ? 'Your song has already been performed!' :
+              song.status === 'rejected' ? 'The DJ declined this request.' :
               'This request has been cancelled.'}
         </div>
-        <a href="/queue/${sessionId}" class="back-link">← Back to Queue</a>
+        <a href="/queue/${escapeUrl(sessionId)}" class="back-link">← Back to Queue</a>
         ` : `
 
         <div class="current-request">
             <h3>Your Current Request</h3>
             <div class="request-detail">
                 <div class="label">Singer:</div>
-                <strong>${song.singer_name}</strong>
+                <strong>${escapeHtml(song.singer_name)}</strong>
             </div>
             <div class="request-detail">
                 <div class="label">Artist:</div>
-                <strong>${song.artist}</strong>
+                <strong>${escapeHtml(song.artist)}</strong>
             </div>
             <div class="request-detail">
                 <div class="label">Song:</div>
-                <strong>${song.song_title}</strong>
+                <strong>${escapeHtml(song.song_title)}</strong>
             </div>
+            ${song.status === 'pending' ? '' : `
             <div class="request-detail">
                 <div class="label">Position:</div>
                 <strong>#${song.position}</strong>
-            </div>
+            </div>`}
+        </div>
+
+        ${song.status === 'pending' ? `
+        <div class="status-message status-info">
+            ⏳ Awaiting DJ approval
         </div>
+        ` : ''}
 
         ${delayStatus ? `
         <div class="status-message status-delayed">
@@ -993,17 +1361,18 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
             <form id="updateForm">
                 <div class="form-group">
                     <label for="artist">Artist</label>
-                    <input type="text" id="artist" name="artist" value="${song.artist}" required>
+                    <input type="text" id="artist" name="artist" value="${escapeHtml(song.artist)}" required>
                 </div>
                 <div class="form-group">
                     <label for="song_title">Song Title</label>
-                    <input type="text" id="song_title" name="song_title" value="${song.song_title}" required>
+                    <input type="text" id="song_title" name="song_title" value="${escapeHtml(song.song_title)}" required>
                 </div>
                 <button type="submit" class="btn-update">Update Song</button>
             </form>
         </div>
 
         <!-- Delay Section -->
+        ${song.status !== 'waiting' ? '' : `
         <div class="section">
             <h2>⏱ Delay Request</h2>
             <p style="opacity: 0.8; margin-bottom: 15px; font-size: 0.9rem;">
@@ -1024,7 +1393,7 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
                 </div>
                 <button type="submit" class="btn-delay">Delay Request</button>
             </form>
-        </div>
+        </div>`}
 
         <!-- Cancel Section -->
         <div class="section">
@@ -1035,13 +1404,14 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
             <button id="cancelBtn" class="btn-cancel">Cancel Request</button>
         </div>
 
-        <a href="/queue/${sessionId}" class="back-link">← Back to Queue</a>
+        <a href="/queue/${escapeUrl(sessionId)}" class="back-link">← Back to Queue</a>
         `}
     </div>
 
     <script>
-        const songId = ${songId};
-        const sessionId = '${sessionId}';
+        const songId = ${toScriptJson(song.id)};
+        const sessionId = ${toScriptJson(sessionId)};
+        const manageToken = ${toScriptJson(song.manage_token_hash ? manageToken : '')};
 
         // Update form handler
         document.getElementById('updateForm')?.addEventListener('submit', async function(e) {
@@ -1051,7 +1421,7 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
             try {
                 const response = await fetch(\`/api/songs/\${songId}/update\`, {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': manageToken },
                     body: JSON.stringify({
                         artist: formData.get('artist'),
                         song_title: formData.get('song_title')
@@ -1089,7 +1459,7 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
             try {
                 const response = await fetch(\`/api/songs/\${songId}/delay\`, {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': manageToken },
                     body: JSON.stringify({ delay_minutes: delayMinutes })
                 });
 
@@ -1124,7 +1494,7 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
             try {
                 const response = await fetch(\`/api/songs/\${songId}/cancel\`, {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' }
+                    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': manageToken }
                 });
 
                 const data = await response.json();
@@ -1134,7 +1504,7 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
                         <div class="success">
                             <h3>❌ Request Cancelled</h3>
                             <p>Your request has been cancelled.</p>
-                            <a href="/queue/\${sessionId}" style="display: inline-block; margin-top: 15px; padding: 10px 20px; background: linear-gradient(135deg, #FFB612 0%, #ff9500 100%); text-decoration: none; border-radius: 8px; color: #000; font-weight: 600;">
+                            <a href="/queue/\${encodeURIComponent(sessionId)}" style="display: inline-block; margin-top: 15px; padding: 10px 20px; background: linear-gradient(135deg, #FFB612 0%, #ff9500 100%); text-decoration: none; border-radius: 8px; color: #000; font-weight: 600;">
                                 View Queue
                             </a>
                         </div>
@@ -1156,16 +1526,68 @@ app.get('/singer/manage/:sessionId/:songId', (req, res) => {
 });
 
 // Submit song request
-app.post('/api/sessions/:sessionId/songs', (req, res) => {
+app.post('/api/sessions/:sessionId/songs', assignSingerDevice, (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { singer_name, artist, song_title } = req.body;
+    const { singer_name, artist, song_title, catalog_id, allow_duplicate } = req.body;
 
     const session = getSession(sessionId);
     if (!session) {
       return res.status(404).send('<div class="error">Session not found</div>');
     }
 
+    if (getSessionState(sessionId)?.value === 'ended') {
+      return res.status(403).send('<div class="error">🔴 This session has ended, so the DJ isn\'t taking requests anymore.</div>');
+    }
+
+    // Requests the session's policies refuse don't count against the rate limit.
+    // New singer names have no songs yet, so checking the name as typed is enough
+    const settings = resolveSessionSettings(sessionId);
+    const violation = findPolicyViolation(getSongs(sessionId), singer_name, settings);
+    if (violation) {
+      return res.status(403).send(`<div class="error">🚫 ${escapeHtml(violation.message)}</div>`);
+    }
+
+    // Repeat songs: warn the singer, who can request it anyway, unless the DJ blocks repeats
+    const repeat = findDuplicateRequest(getSongs(sessionId), artist, song_title);
+    if (repeat && (settings.block_duplicates || allow_duplicate !== '1')) {
+      const song = `"${escapeHtml(song_title)}" by ${escapeHtml(artist)}`;
+      const when = repeat.song.status === 'done'
+        ? `was already sung tonight at ${escapeHtml(formatClockTime(repeat.song.started_at || repeat.song.requested_at))}`
+        : repeat.song.status === 'playing' ? 'is being sung right now' : 'is already in the queue';
+
+      if (settings.block_duplicates) {
+        return res.status(409).send(`<div class="error">🔁 ${song} ${when}. The DJ isn't taking repeats, so please pick another song.</div>`);
+      }
+      return res.status(409).send(`
+      <div class="duplicate-warning">
+        <p>🔁 ${song} ${when}.</p>
+        <div class="duplicate-actions">
+          <button type="button" onclick="requestAnyway()">Request Anyway</button>
+          <button type="button" class="secondary" onclick="pickAnotherSong()">Pick Another Song</button>
+        </div>
+      </div>`);
+    }
+
+    const rate = checkSubmissionRate(sessionId, { ip: req.ip, deviceId: req.deviceId, singerName: singer_name }, settings);
+    if (!rate.allowed) {
+      if (rate.isNewBurst) {
+        recordEvent(sessionId, 'submission-burst-flagged', { actorRole: 'singer', payload: rate.burst });
+        publishSessionEvent(sessionId, 'submission-flagged', { burstId: rate.burst.id });
+      }
+
+      const minutes = Math.ceil(rate.retryAfterSeconds / 60);
+      const reason = rate.limitedBy === 'device'
+        ? `You've sent ${settings.rate_limit_device} request${settings.rate_limit_device !== 1 ? 's' : ''} in the last ${settings.rate_limit_window_minutes} minutes.`
+        : 'Lots of requests are coming from your network right now.';
+      res.set('Retry-After', String(rate.retryAfterSeconds));
+      return res.status(429).send(`
+      <div class="error">
+        🐢 Whoa, slow down! ${reason}
+        Please try again in about ${minutes} minute${minutes !== 1 ? 's' : ''}.
+      </div>`);
+    }
+
     // Use the singer name as-is if it's from the dropdown (existing singer)
     // Only apply deduplication if it's a new singer name
     const existingSingers = getUniqueSingers(sessionId);
@@ -1177,66 +1599,66 @@ app.post('/api/sessions/:sessionId/songs', (req, res) => {
     }
 
     // Add song to queue
-    const result = addSong(sessionId, finalName, artist, song_title);
+    // Only link the catalog entry if the singer kept its artist and title
+    const catalogSong = getCatalogSong(catalog_id);
+    const catalogId = catalogSong && catalogSong.artist === artist && catalogSong.title === song_title
+      ? catalogSong.id
+      : null;
+
+    const status = settings.require_approval ? 'pending' : 'waiting';
+    const result = withTransaction(() => {
+      assertRequestAllowed(getSongs(sessionId), finalName, settings);
+      return addSong(sessionId, finalName, artist, song_title, catalogId, status);
+    });
     const songId = result.lastInsertRowid;
-    const songs = getSongs(sessionId);
-    const position = songs.length;
+    recordSongEvent(getSongById(songId), 'song-added', 'singer', {
+      catalog_id: catalogId,
+      ...(repeat && { duplicate_of: repeat.song.id }),
+    });
+    const manageUrl = `/singer/manage/${escapeUrl(sessionId)}/${songId}?token=${escapeUrl(result.manageToken)}`;
+    refreshQueueOrder(sessionId);
+    publishSessionEvent(sessionId, 'song-added', { songId: Number(songId) });
+    const position = getSongById(songId).position;
+    const waitSeconds = estimateWaitTimes(sessionId).waits.get(Number(songId)) || 0;
 
     console.log('Session data:', session); // Debug log
     console.log('Tip handles:', { venmo: session.venmo_handle, cashapp: session.cashapp_handle, zelle: session.zelle_handle }); // Debug log
 
-    const tipSection = (session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
+    const tipSection = tipLinks(session).length > 0 ? `
       <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid rgba(255,255,255,0.3);">
         <h4 style="margin-bottom: 10px; color: #4fc3f7;">💰 Tip Your DJ!</h4>
         <div style="display: flex; flex-direction: column; gap: 8px;">
-          ${session.venmo_handle ? `
-          <div style="display: flex; gap: 8px; align-items: center;">
-            <a href="https://venmo.com/${session.venmo_handle.replace('@', '')}" target="_blank"
-               style="display: block; padding: 10px; background: linear-gradient(135deg, #8B5CF6, #A855F7);
-                      color: white; text-decoration: none; border-radius: 8px; font-weight: 600; text-align: center; flex: 1;">
-              💜 Venmo: ${session.venmo_handle}
-            </a>
-            <button onclick="showQRCode('https://venmo.com/${session.venmo_handle.replace('@', '')}', 'Venmo: ${session.venmo_handle}')"
-                    style="background: rgba(255, 255, 255, 0.2); border: 2px solid rgba(255, 255, 255, 0.3); color: white;
-                           padding: 10px 12px; border-radius: 8px; cursor: pointer; font-size: 16px;">📱</button>
-          </div>` : ''}
-          ${session.cashapp_handle ? `
+          ${tipLinks(session).map(tip => `
           <div style="display: flex; gap: 8px; align-items: center;">
-            <a href="https://cash.app/${session.cashapp_handle.replace('$', '')}" target="_blank"
-               style="display: block; padding: 10px; background: linear-gradient(135deg, #10B981, #059669);
+            ${tip.href ? `<a href="${escapeHtml(tip.href)}" target="_blank"` : '<div'}
+               style="display: block; padding: 10px; background: linear-gradient(135deg, ${TIP_GRADIENTS[tip.key]});
                       color: white; text-decoration: none; border-radius: 8px; font-weight: 600; text-align: center; flex: 1;">
-              💚 Cash App: ${session.cashapp_handle}
-            </a>
-            <button onclick="showQRCode('https://cash.app/${session.cashapp_handle.replace('$', '')}', 'Cash App: ${session.cashapp_handle}')"
-                    style="background: rgba(255, 255, 255, 0.2); border: 2px solid rgba(255, 255, 255, 0.3); color: white;
-                           padding: 10px 12px; border-radius: 8px; cursor: pointer; font-size: 16px;">📱</button>
-          </div>` : ''}
-          ${session.zelle_handle ? `
-          <div style="display: flex; gap: 8px; align-items: center;">
-            <div style="display: block; padding: 10px; background: linear-gradient(135deg, #F59E0B, #D97706);
-                        color: white; border-radius: 8px; font-weight: 600; text-align: center; flex: 1;">
-              💛 Zelle: ${session.zelle_handle}
-            </div>
-            <button onclick="showQRCode('${session.zelle_handle}', 'Zelle: ${session.zelle_handle}')"
+              ${tip.icon} ${escapeHtml(tip.label)}
+            ${tip.href ? '</a>' : '</div>'}
+            <button ${qrButtonAttributes(tip)}
                     style="background: rgba(255, 255, 255, 0.2); border: 2px solid rgba(255, 255, 255, 0.3); color: white;
                            padding: 10px 12px; border-radius: 8px; cursor: pointer; font-size: 16px;">📱</button>
-          </div>` : ''}
+          </div>`).join('')}
         </div>
       </div>` : '';
 
+    const queueDetails = status === 'pending' ? `
+        <p>⏳ Awaiting DJ approval. Check your manage link to see when it's in the queue.</p>` : `
+        <p>Queue position: <strong>#${position}</strong></p>
+        <p>Estimated wait: ~${Math.round(waitSeconds / 60)} minutes</p>`;
+
     const successHtml = `
       <div class="success">
-        <h3>🎉 Request Added!</h3>
-        <p><strong>${finalName}</strong></p>
-        <p>"${song_title}" by ${artist}</p>
-        <p>Queue position: <strong>#${position}</strong></p>
-        <p>Estimated wait: ~${Math.round((position - 1) * session.song_duration / 60)} minutes</p>
+        <h3>${status === 'pending' ? '📨 Request Sent!' : '🎉 Request Added!'}</h3>
+        <p><strong>${escapeHtml(finalName)}</strong></p>
+        <p>"${escapeHtml(song_title)}" by ${escapeHtml(artist)}</p>
+        ${queueDetails}
         ${tipSection}
         <div style="margin-top: 20px; display: flex; gap: 10px; flex-wrap: wrap;">
-          <a href="/queue/${sessionId}" style="display: inline-block; background: linear-gradient(135deg, #4fc3f7, #29b6f6); color: white; text-decoration: none; font-weight: 600; font-size: 16px; padding: 12px 20px; border-radius: 10px; box-shadow: 0 4px 15px rgba(79, 195, 247, 0.3); flex: 1; text-align: center; min-width: 120px;">
+          <a href="/queue/${escapeUrl(sessionId)}" style="display: inline-block; background: linear-gradient(135deg, #4fc3f7, #29b6f6); color: white; text-decoration: none; font-weight: 600; font-size: 16px; padding: 12px 20px; border-radius: 10px; box-shadow: 0 4px 15px rgba(79, 195, 247, 0.3); flex: 1; text-align: center; min-width: 120px;">
             📋 View Queue
           </a>
-          <a href="/singer/manage/${sessionId}/${songId}" style="display: inline-block; background: linear-gradient(135deg, #FFB612, #ff9500); color: #000; text-decoration: none; font-weight: 600; font-size: 16px; padding: 12px 20px; border-radius: 10px; box-shadow: 0 4px 15px rgba(255, 182, 18, 0.3); flex: 1; text-align: center; min-width: 120px;">
+          <a href="${escapeHtml(manageUrl)}" style="display: inline-block; background: linear-gradient(135deg, #FFB612, #ff9500); color: #000; text-decoration: none; font-weight: 600; font-size: 16px; padding: 12px 20px; border-radius: 10px; box-shadow: 0 4px 15px rgba(255, 182, 18, 0.3); flex: 1; text-align: center; min-width: 120px;">
             ✏️ Manage
           </a>
           <button onclick="location.reload()" style="background: linear-gradient(135deg, #A5ACAF, #707070); color: white; border: none; font-weight: 600; font-size: 16px; padding: 12px 20px; border-radius: 10px; box-shadow: 0 4px 15px rgba(165, 172, 175, 0.3); flex: 1; cursor: pointer; min-width: 120px;">
@@ -1247,6 +1669,9 @@ app.post('/api/sessions/:sessionId/songs', (req, res) => {
 
     res.send(successHtml);
   } catch (error) {
+    if (error instanceof RequestPolicyError) {
+      return res.status(403).send(`<div class="error">🚫 ${escapeHtml(error.message)}</div>`);
+    }
     console.error('Error adding song:', error);
     res.status(500).send('<div class="error">Failed to add song request</div>');
   }
@@ -1262,7 +1687,7 @@ app.get('/queue/:sessionId', (req, res) => {
   }
 
   const allSongs = getSongs(sessionId);
-  const queueSongs = allSongs.filter(song => song.status === 'waiting' || song.status === 'playing');
+  const queueSongs = allSongs.filter(song => QUEUE_PAGE_STATUSES.includes(song.status));
   const playedSongs = allSongs.filter(song => song.status === 'done');
 
   const html = `
@@ -1527,8 +1952,11 @@ app.get('/queue/:sessionId', (req, res) => {
     <div class="container">
         <h1>🎵 Karaoke Queue</h1>
 
+        <!-- Session state banner -->
+        <div id="session-state-banner">${renderStateBanner(sessionId)}</div>
+
         <div style="text-align: center; margin-bottom: 30px;">
-            <a href="/singer/${sessionId}" style="display: inline-block; background: linear-gradient(135deg, #FFB612 0%, #ff9500 100%); color: #000; text-decoration: none; font-weight: 700; font-size: 18px; padding: 15px 30px; border-radius: 12px; text-transform: uppercase; letter-spacing: 1px; box-shadow: 0 4px 15px rgba(255, 182, 18, 0.4), inset 0 1px 0 rgba(255, 255, 255, 0.2); transition: all 0.3s ease; border: 2px solid rgba(0, 0, 0, 0.2); text-shadow: 1px 1px 2px rgba(255, 255, 255, 0.3);">
+            <a href="/singer/${escapeUrl(sessionId)}" style="display: inline-block; background: linear-gradient(135deg, #FFB612 0%, #ff9500 100%); color: #000; text-decoration: none; font-weight: 700; font-size: 18px; padding: 15px 30px; border-radius: 12px; text-transform: uppercase; letter-spacing: 1px; box-shadow: 0 4px 15px rgba(255, 182, 18, 0.4), inset 0 1px 0 rgba(255, 255, 255, 0.2); transition: all 0.3s ease; border: 2px solid rgba(0, 0, 0, 0.2); text-shadow: 1px 1px 2px rgba(255, 255, 255, 0.3);">
                 🎤 Request a Song
             </a>
         </div>
@@ -1551,13 +1979,13 @@ app.get('/queue/:sessionId', (req, res) => {
               }
 
               return `
-                <div class="song ${song.status}">
+                <div class="song ${escapeHtml(song.status)}">
                     <div class="position">#${song.position}</div>
                     <div class="singer">
-                        ${song.singer_name}
+                        ${escapeHtml(song.singer_name)}
                         ${song.status === 'skipped' ? '<span style="margin-left: 8px; padding: 2px 8px; background: linear-gradient(135deg, #f44336, #d32f2f); border-radius: 4px; font-size: 0.75rem; font-weight: 700; text-transform: uppercase;">CANCELLED</span>' : ''}
                     </div>
-                    <div class="track">"${song.song_title}" by ${song.artist}</div>
+                    <div class="track">"${escapeHtml(song.song_title)}" by ${escapeHtml(song.artist)}</div>
                     ${delayMinutesLeft ? `<div style="margin-top: 8px; padding: 6px 10px; background: linear-gradient(135deg, rgba(255, 152, 0, 0.3), rgba(255, 152, 0, 0.2)); border: 1px solid rgba(255, 152, 0, 0.5); border-radius: 6px; font-size: 0.9rem; font-weight: 600; text-align: center;">⏱ Delayed: ${delayMinutesLeft} minute${delayMinutesLeft !== 1 ? 's' : ''} left</div>` : ''}
                 </div>
               `;
@@ -1577,40 +2005,20 @@ app.get('/queue/:sessionId', (req, res) => {
             <div class="played-songs">
                 ${playedSongs.slice().reverse().map(song => `
                     <div class="song done">
-                        <div class="singer">${song.singer_name}</div>
-                        <div class="track">"${song.song_title}" by ${song.artist}</div>
+                        <div class="singer">${escapeHtml(song.singer_name)}</div>
+                        <div class="track">"${escapeHtml(song.song_title)}" by ${escapeHtml(song.artist)}</div>
                     </div>
                 `).join('')}
             </div>
         </div>` : ''}
 
         <!-- Tip Section for Queue View -->
-        ${(session.venmo_handle || session.cashapp_handle || session.zelle_handle) ? `
+        ${tipLinks(session).length > 0 ? `
         <div class="tip-section queue-tips">
             <h3>💰 Tip Your DJ!</h3>
             <p>Enjoying the music? Show some love!</p>
             <div class="tip-buttons">
-                ${session.venmo_handle ? `
-                <div class="tip-button-container">
-                    <a href="https://venmo.com/${session.venmo_handle.replace('@', '')}" target="_blank" class="tip-button venmo">
-                        💜 Venmo: ${session.venmo_handle}
-                    </a>
-                    <button onclick="showQRCode('https://venmo.com/${session.venmo_handle.replace('@', '')}', 'Venmo: ${session.venmo_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
-                ${session.cashapp_handle ? `
-                <div class="tip-button-container">
-                    <a href="https://cash.app/${session.cashapp_handle.replace('$', '')}" target="_blank" class="tip-button cashapp">
-                        💚 Cash App: ${session.cashapp_handle}
-                    </a>
-                    <button onclick="showQRCode('https://cash.app/${session.cashapp_handle.replace('$', '')}', 'Cash App: ${session.cashapp_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
-                ${session.zelle_handle ? `
-                <div class="tip-button-container">
-                    <div class="tip-button zelle">
-                        💛 Zelle: ${session.zelle_handle}
-                    </div>
-                    <button onclick="showQRCode('${session.zelle_handle}', 'Zelle: ${session.zelle_handle}')" class="qr-btn">📱</button>
-                </div>` : ''}
+                ${renderTipButtons(session)}
             </div>
         </div>` : ''}
     </div>
@@ -1630,7 +2038,12 @@ app.get('/queue/:sessionId', (req, res) => {
     </div>
 
     <script src="https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js"></script>
+    <script src="/js/live-updates.js"></script>
+    <script src="/js/escape-html.js"></script>
+    <script src="/js/countdown.js"></script>
     <script>
+        const sessionId = ${toScriptJson(sessionId)};
+        const queueStatuses = ${toScriptJson(QUEUE_PAGE_STATUSES)};
         let isUpdating = false;
 
         // QR Code functionality
@@ -1683,13 +2096,13 @@ app.get('/queue/:sessionId', (req, res) => {
             isUpdating = true;
 
             try {
-                const response = await fetch('/api/sessions/${sessionId}/songs');
+                const response = await fetch(\`/api/sessions/\${encodeURIComponent(sessionId)}/songs\`);
                 if (!response.ok) {
                     throw new Error('Failed to fetch queue data');
                 }
 
                 const data = await response.json();
-                const queueSongs = data.songs.filter(song => song.status === 'waiting' || song.status === 'playing');
+                const queueSongs = data.songs.filter(song => queueStatuses.includes(song.status));
                 const playedSongs = data.songs.filter(song => song.status === 'done');
 
                 // Update current queue section
@@ -1721,10 +2134,10 @@ app.get('/queue/:sessionId', (req, res) => {
                                 \`<div style="margin-top: 8px; padding: 6px 10px; background: linear-gradient(135deg, rgba(255, 152, 0, 0.3), rgba(255, 152, 0, 0.2)); border: 1px solid rgba(255, 152, 0, 0.5); border-radius: 6px; font-size: 0.9rem; font-weight: 600; text-align: center;">⏱ Delayed: \${delayMinutesLeft} minute\${delayMinutesLeft !== 1 ? 's' : ''} left</div>\` : '';
 
                             return \`
-                                <div class="song \${song.status}">
+                                <div class="song \${escapeHtml(song.status)}">
                                     <div class="position">#\${song.position}</div>
-                                    <div class="singer">\${song.singer_name}\${cancelledBadge}</div>
-                                    <div class="track">"\${song.song_title}" by \${song.artist}</div>
+                                    <div class="singer">\${escapeHtml(song.singer_name)}\${cancelledBadge}</div>
+                                    <div class="track">"\${escapeHtml(song.song_title)}" by \${escapeHtml(song.artist)}</div>
                                     \${delayBadge}
                                 </div>
                             \`;
@@ -1747,8 +2160,8 @@ app.get('/queue/:sessionId', (req, res) => {
                                 <div class="played-songs">
                                     \${playedSongs.slice().reverse().map(song => \`
                                         <div class="song done">
-                                            <div class="singer">\${song.singer_name}</div>
-                                            <div class="track">"\${song.song_title}" by \${song.artist}</div>
+                                            <div class="singer">\${escapeHtml(song.singer_name)}</div>
+                                            <div class="track">"\${escapeHtml(song.song_title)}" by \${escapeHtml(song.artist)}</div>
                                         </div>
                                     \`).join('')}
                                 </div>
@@ -1777,8 +2190,8 @@ app.get('/queue/:sessionId', (req, res) => {
                         if (playedContainer) {
                             playedContainer.innerHTML = playedSongs.slice().reverse().map(song => \`
                                 <div class="song done">
-                                    <div class="singer">\${song.singer_name}</div>
-                                    <div class="track">"\${song.song_title}" by \${song.artist}</div>
+                                    <div class="singer">\${escapeHtml(song.singer_name)}</div>
+                                    <div class="track">"\${escapeHtml(song.song_title)}" by \${escapeHtml(song.artist)}</div>
                                 </div>
                             \`).join('');
                         }
@@ -1807,8 +2220,24 @@ app.get('/queue/:sessionId', (req, res) => {
             }
         }
 
-        // Update queue every 5 seconds
-        setInterval(updateQueue, 5000);
+        async function updateBanner() {
+            try {
+                const response = await fetch(\`/api/sessions/\${encodeURIComponent(sessionId)}/state-banner\`);
+                document.getElementById('session-state-banner').innerHTML = await response.text();
+            } catch (error) {
+                console.error('Error updating session state banner:', error);
+            }
+        }
+
+        // Update queue and banner on live events (falls back to polling every 5 seconds if the stream drops)
+        connectLiveUpdates(sessionId, {
+            events: ['song-added', 'reordered', 'status-changed', 'session-state-changed'],
+            onUpdate: (type) => {
+                if (type !== 'session-state-changed') updateQueue();
+                if (type === 'session-state-changed' || type === 'poll' || type === 'reconnect') updateBanner();
+            },
+            pollInterval: 5000
+        });
 
         // Also update when page becomes visible again
         document.addEventListener('visibilitychange', () => {
@@ -1844,15 +2273,46 @@ app.get('/dj/:sessionId', (req, res) => {
 // API: Get songs for session
 app.get('/api/sessions/:sessionId/songs', (req, res) => {
   try {
-    const songs = getSongs(req.params.sessionId);
+    const session = getSession(req.params.sessionId);
+    const allSongs = getSongs(req.params.sessionId);
+    const repeats = findRepeatedSongs(allSongs);
+    const songs = allSongs.map(song => ({ ...toPublicSong(song), duplicate_of: repeats.get(song.id) ?? null }));
     const stats = getSingerStats(req.params.sessionId);
-    res.json({ songs, stats });
+    const timing = getPerformanceTiming(req.params.sessionId, session?.song_duration || 270);
+    const pausedSeconds = session ? getPausedSeconds(session) : 0;
+    res.json({ songs, stats, timing, pausedSeconds });
   } catch (error) {
     console.error('Error getting songs:', error);
     res.status(500).json({ error: 'Failed to get songs' });
   }
 });
 
+// API: Audit log of every change to the session (newest first)
+app.get('/api/sessions/:sessionId/events/history', requireSessionDj, (req, res) => {
+  try {
+    const events = getEventHistory(req.params.sessionId, {
+      limit: req.query.limit,
+      before: req.query.before,
+    });
+    res.json({ events });
+  } catch (error) {
+    console.error('Error getting event history:', error);
+    res.status(500).json({ error: 'Failed to get event history' });
+  }
+});
+
+// API: Search the song catalog (singer autocomplete)
+app.get('/api/catalog/search', (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    const results = searchCatalog(query.slice(0, 100));
+    res.json({ results });
+  } catch (error) {
+    console.error('Error searching catalog:', error);
+    res.status(500).json({ error: 'Failed to search catalog' });
+  }
+});
+
 // API: Get existing singers for session
 app.get('/api/sessions/:sessionId/singers', (req, res) => {
   try {
@@ -1869,10 +2329,17 @@ app.get('/api/sessions/:sessionId/singers', (req, res) => {
 });
 
 // API: Update song position
-app.put('/api/songs/:id/position', (req, res) => {
+app.put('/api/songs/:id/position', requireSongDj, (req, res) => {
   try {
     const { position } = req.body;
+    const song = getSongById(req.params.id);
+    const songsBefore = getSongs(song.session_id);
     updateSongPosition(req.params.id, position);
+    if (song) {
+      recordReorder(song.session_id, songsBefore, `Move "${song.song_title}" (${song.singer_name})`);
+      recordSongEvent(song, 'song-moved', 'dj', { from: song.position, to: position });
+      publishSessionEvent(song.session_id, 'reordered', { songId: song.id });
+    }
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating position:', error);
@@ -1880,22 +2347,50 @@ app.put('/api/songs/:id/position', (req, res) => {
   }
 });
 
-// API: Update song status
-app.put('/api/songs/:id/status', (req, res) => {
+// API: Update song status (sends the song machine the event that gets there)
+app.put('/api/songs/:id/status', requireSongDj, (req, res) => {
   try {
     const { status } = req.body;
-    updateSongStatus(req.params.id, status);
-    res.json({ success: true });
+    if (!SETTABLE_SONG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${SETTABLE_SONG_STATUSES.join(', ')}` });
+    }
+
+    const song = getSongById(req.params.id);
+    const result = transitionSongToStatus(song.id, status, 'dj');
+    recordStatusChange(song, getSongById(song.id));
+    res.json(result);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendInvalidTransition(res, error);
+    }
     console.error('Error updating status:', error);
     res.status(500).json({ error: 'Failed to update status' });
   }
 });
 
 // API: Delete song
-app.delete('/api/songs/:id', (req, res) => {
+app.delete('/api/songs/:id', requireSongDj, (req, res) => {
   try {
+    const song = getSongById(req.params.id);
+
+    // The song on stage has to be finished or skipped first
+    const state = song && getSongState(song.id);
+    if (state?.value === 'playing') {
+      return res.status(409).json({
+        error: 'Finish or skip the song that is playing before removing it',
+        state: state.value,
+        allowedEvents: state.allowedEvents,
+      });
+    }
+
     deleteSong(req.params.id);
+    if (song) {
+      clearSongActor(song.id);
+      recordDelete(song);
+      recordSongEvent(song, 'song-deleted', 'dj');
+      refreshQueueOrder(song.session_id);
+      publishSessionEvent(song.session_id, 'status-changed', { songId: song.id, status: 'removed' });
+    }
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting song:', error);
@@ -1904,10 +2399,25 @@ app.delete('/api/songs/:id', (req, res) => {
 });
 
 // API: Reorder songs
-app.put('/api/sessions/:sessionId/reorder', (req, res) => {
+app.put('/api/sessions/:sessionId/reorder', requireSessionDj, (req, res) => {
   try {
-    const { songPositions } = req.body;
+    const { songPositions, movedSongId } = req.body;
+    const songsBefore = getSongs(req.params.sessionId);
     reorderSongs(req.params.sessionId, songPositions);
+
+    // In rotation mode a song the DJ moved by hand stays where it was put
+    const session = getSession(req.params.sessionId);
+    if (session.queue_mode === 'rotation' && movedSongId) {
+      setSongPinned(movedSongId, true);
+    }
+    refreshQueueOrder(req.params.sessionId);
+
+    recordReorder(req.params.sessionId, songsBefore);
+    recordEvent(req.params.sessionId, 'queue-reordered', {
+      actorRole: 'dj',
+      payload: { moved_song_id: movedSongId || null, positions: songPositions },
+    });
+    publishSessionEvent(req.params.sessionId, 'reordered');
     res.json({ success: true });
   } catch (error) {
     console.error('Error reordering songs:', error);
@@ -1915,39 +2425,70 @@ app.put('/api/sessions/:sessionId/reorder', (req, res) => {
   }
 });
 
-// API: Update session tip information
-app.put('/api/sessions/:sessionId/tips', (req, res) => {
+// API: Set queue ordering mode (fifo or rotation)
+app.put('/api/sessions/:sessionId/queue-mode', requireSessionDj, (req, res) => {
   try {
-    const { venmo_handle, cashapp_handle, zelle_handle } = req.body;
-    const tipHandles = { venmo_handle, cashapp_handle, zelle_handle };
-    updateSessionTips(req.params.sessionId, tipHandles);
+    const { queue_mode } = req.body;
+
+    if (!QUEUE_MODES.includes(queue_mode)) {
+      return res.status(400).json({ error: `Queue mode must be one of: ${QUEUE_MODES.join(', ')}` });
+    }
+
+    const previousMode = getSession(req.params.sessionId).queue_mode;
+    updateSessionQueueMode(req.params.sessionId, queue_mode);
+    if (queue_mode === 'fifo') {
+      clearSessionPins(req.params.sessionId);
+    }
+    refreshQueueOrder(req.params.sessionId);
+
+    recordEvent(req.params.sessionId, 'queue-mode-changed', { actorRole: 'dj', payload: { from: previousMode, to: queue_mode } });
+    publishSessionEvent(req.params.sessionId, 'reordered');
+    res.json({ success: true, queue_mode });
+  } catch (error) {
+    console.error('Error updating queue mode:', error);
+    res.status(500).json({ error: 'Failed to update queue mode' });
+  }
+});
+
+// API: Pin or unpin a song's position (rotation mode overrides)
+app.put('/api/songs/:id/pin', requireSongDj, (req, res) => {
+  try {
+    const song = getSongById(req.params.id);
+    const songsBefore = getSongs(song.session_id);
+    setSongPinned(song.id, req.body.pinned === true);
+    refreshQueueOrder(song.session_id);
+    recordReorder(song.session_id, songsBefore, `${req.body.pinned === true ? 'Pin' : 'Unpin'} "${song.song_title}" (${song.singer_name})`);
+    recordSongEvent(song, req.body.pinned === true ? 'song-pinned' : 'song-unpinned', 'dj');
+
+    publishSessionEvent(song.session_id, 'reordered', { songId: song.id });
     res.json({ success: true });
   } catch (error) {
-    console.error('Error updating session tips:', error);
-    res.status(500).json({ error: 'Failed to update tip information' });
+    console.error('Error pinning song:', error);
+    res.status(500).json({ error: 'Failed to pin song' });
   }
 });
 
-// API: Update song details (artist/title)
-app.put('/api/songs/:id/update', (req, res) => {
+// API: DJ edit of a waiting song's artist/title
+app.put('/api/songs/:id/details', requireSongDj, (req, res) => {
   try {
     const { artist, song_title } = req.body;
     const song = getSongById(req.params.id);
 
-    if (!song) {
-      return res.status(404).json({ error: 'Song not found' });
+    if (!artist || !song_title) {
+      return res.status(400).json({ error: 'Artist and song title are required' });
     }
 
-    if (song.status !== 'waiting') {
+    if (!OPEN_REQUEST_STATUSES.includes(song.status)) {
       return res.status(400).json({ error: 'Can only update songs that are waiting' });
     }
 
-    const result = updateSongDetails(req.params.id, artist, song_title);
-
-    if (result.changes === 0) {
-      return res.status(400).json({ error: 'Failed to update song' });
-    }
-
+    updateSongDetails(song.id, artist, song_title);
+    recordEdit(song, artist, song_title);
+    recordSongEvent(song, 'song-edited', 'dj', {
+      from: { artist: song.artist, song_title: song.song_title },
+      to: { artist, song_title },
+    });
+    publishSessionEvent(song.session_id, 'status-changed', { songId: song.id, status: song.status });
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating song details:', error);
@@ -1955,29 +2496,167 @@ app.put('/api/songs/:id/update', (req, res) => {
   }
 });
 
-// API: Cancel song request
-app.put('/api/songs/:id/cancel', (req, res) => {
+// API: What undo/redo would do next
+app.get('/api/sessions/:sessionId/undo-state', requireSessionDj, (req, res) => {
   try {
-    const song = getSongById(req.params.id);
+    res.json(getUndoState(req.params.sessionId));
+  } catch (error) {
+    console.error('Error getting undo state:', error);
+    res.status(500).json({ error: 'Failed to get undo state' });
+  }
+});
 
-    if (!song) {
-      return res.status(404).json({ error: 'Song not found' });
-    }
+// API: Undo the last DJ action
+app.post('/api/sessions/:sessionId/undo', requireSessionDj, (req, res) => {
+  replayHistory(req, res, 'undo');
+});
 
-    if (song.status !== 'waiting') {
-      return res.status(400).json({ error: 'Can only cancel songs that are waiting' });
+// API: Redo the last undone DJ action
+app.post('/api/sessions/:sessionId/redo', requireSessionDj, (req, res) => {
+  replayHistory(req, res, 'redo');
+});
+
+function replayHistory(req, res, direction) {
+  const { sessionId } = req.params;
+
+  try {
+    const result = direction === 'undo' ? undo(sessionId) : redo(sessionId);
+    if (!result) {
+      return res.status(409).json({ error: `Nothing to ${direction}`, ...getUndoState(sessionId) });
     }
 
-    updateSongStatus(req.params.id, 'skipped');
-    res.json({ success: true });
+    recordEvent(sessionId, direction, { actorRole: 'dj', payload: result });
+    publishSessionEvent(sessionId, 'reordered');
+    res.json({ success: true, [direction === 'undo' ? 'undone' : 'redone']: result, ...getUndoState(sessionId) });
   } catch (error) {
-    console.error('Error cancelling song:', error);
-    res.status(500).json({ error: 'Failed to cancel song' });
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({ error: error.message, allowedEvents: error.allowedEvents, ...getUndoState(sessionId) });
+    }
+    console.error(`Error during ${direction}:`, error);
+    res.status(500).json({ error: error.message || `Failed to ${direction}` });
   }
-});
+}
+
+// API: Update session tip information
+app.put('/api/sessions/:sessionId/tips', requireSessionDj, (req, res) => {
+  try {
+    const { venmo_handle, cashapp_handle, zelle_handle } = req.body;
+    const tipHandles = { venmo_handle, cashapp_handle, zelle_handle };
+    const session = getSession(req.params.sessionId);
+    updateSessionTips(req.params.sessionId, tipHandles);
+    recordEvent(req.params.sessionId, 'tips-updated', {
+      actorRole: 'dj',
+      payload: {
+        from: { venmo_handle: session.venmo_handle, cashapp_handle: session.cashapp_handle, zelle_handle: session.zelle_handle },
+        to: tipHandles,
+      },
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating session tips:', error);
+    res.status(500).json({ error: 'Failed to update tip information' });
+  }
+});
+
+// API: Get session settings
+app.get('/api/sessions/:sessionId/settings', requireSessionDj, (req, res) => {
+  try {
+    res.json({ settings: resolveSessionSettings(req.params.sessionId) });
+  } catch (error) {
+    console.error('Error fetching session settings:', error);
+    res.status(500).json({ error: 'Failed to fetch session settings' });
+  }
+});
+
+// API: Update session settings
+app.put('/api/sessions/:sessionId/settings', requireSessionDj, (req, res) => {
+  try {
+    const { changes, errors } = validateSessionSettings(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const previous = resolveSessionSettings(req.params.sessionId);
+    const settings = updateSessionSettings(req.params.sessionId, changes);
+    recordEvent(req.params.sessionId, 'settings-updated', { actorRole: 'dj', payload: { from: previous, to: settings } });
+    scheduleSessionTimer(req.params.sessionId);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error updating session settings:', error);
+    res.status(500).json({ error: 'Failed to update session settings' });
+  }
+});
+
+// API: Bursts of song requests refused by the rate limits
+app.get('/api/sessions/:sessionId/flagged-bursts', requireSessionDj, (req, res) => {
+  try {
+    res.json({ bursts: getFlaggedBursts(req.params.sessionId) });
+  } catch (error) {
+    console.error('Error fetching flagged bursts:', error);
+    res.status(500).json({ error: 'Failed to fetch flagged bursts' });
+  }
+});
+
+// API: Update song details (artist/title)
+app.put('/api/songs/:id/update', requireManageToken, (req, res) => {
+  try {
+    const { artist, song_title } = req.body;
+    const song = getSongById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    if (!OPEN_REQUEST_STATUSES.includes(song.status)) {
+      return res.status(400).json({ error: 'Can only update songs that are waiting' });
+    }
+
+    const result = updateSongDetails(req.params.id, artist, song_title);
+
+    if (result.changes === 0) {
+      return res.status(400).json({ error: 'Failed to update song' });
+    }
+
+    recordSongEvent(song, 'song-edited', 'singer', {
+      from: { artist: song.artist, song_title: song.song_title },
+      to: { artist, song_title },
+    });
+    publishSessionEvent(song.session_id, 'status-changed', { songId: song.id, status: song.status });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating song details:', error);
+    res.status(500).json({ error: 'Failed to update song details' });
+  }
+});
+
+// API: Cancel song request
+app.put('/api/songs/:id/cancel', requireManageToken, (req, res) => {
+  try {
+    const song = getSongById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    if (!OPEN_REQUEST_STATUSES.includes(song.status)) {
+      return res.status(400).json({ error: 'Can only cancel songs that are waiting' });
+    }
+
+    transitionSong(song.id, 'SKIP', 'singer');
+    recordSongEvent(song, 'song-cancelled', 'singer', { from: song.status, to: 'skipped' });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendInvalidTransition(res, error);
+    }
+    console.error('Error cancelling song:', error);
+    res.status(500).json({ error: 'Failed to cancel song' });
+  }
+});
 
 // API: Delay song request
-app.put('/api/songs/:id/delay', (req, res) => {
+app.put('/api/songs/:id/delay', requireManageToken, (req, res) => {
   try {
     const { delay_minutes } = req.body;
     const song = getSongById(req.params.id);
@@ -1994,14 +2673,17 @@ app.put('/api/songs/:id/delay', (req, res) => {
       return res.status(400).json({ error: 'Delay must be between 1 and 30 minutes' });
     }
 
-    const result = setSongDelay(req.params.id, delay_minutes);
-
-    if (result.changes === 0) {
-      return res.status(400).json({ error: 'Failed to delay song' });
-    }
+    // The song machine saves the delay, and puts the song back in the queue
+    // (telling live clients) when it runs out
+    const delayedUntil = new Date(Date.now() + delay_minutes * 60 * 1000).toISOString();
+    transitionSong(song.id, { type: 'DELAY', delayedUntil, delayMinutes: delay_minutes }, 'singer');
+    recordSongEvent(song, 'song-delayed', 'singer', { delay_minutes });
 
-    res.json({ success: true, delayed_until: new Date(Date.now() + delay_minutes * 60 * 1000).toISOString() });
+    res.json({ success: true, delayed_until: delayedUntil });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendInvalidTransition(res, error);
+    }
     console.error('Error delaying song:', error);
     res.status(500).json({ error: 'Failed to delay song' });
   }
@@ -2024,17 +2706,26 @@ app.get('/api/songs/:id/state', (req, res) => {
 });
 
 // API: Transition song to new state via state machine
-app.post('/api/songs/:id/transition', (req, res) => {
+app.post('/api/songs/:id/transition', requireSongDj, (req, res) => {
   try {
     const { event } = req.body;
 
-    if (!event) {
+    // Events are names; the server builds any data they carry
+    if (!event || typeof event !== 'string') {
       return res.status(400).json({ error: 'Event is required' });
     }
+    if (!DJ_SONG_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `Event must be one of: ${DJ_SONG_EVENTS.join(', ')}` });
+    }
 
-    const result = transitionSong(req.params.id, event);
+    const before = getSongById(req.params.id);
+    const result = transitionSong(req.params.id, event, 'dj');
+    recordStatusChange(before, getSongById(req.params.id));
     res.json(result);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendInvalidTransition(res, error);
+    }
     console.error('Error transitioning song:', error);
     res.status(500).json({ error: error.message || 'Failed to transition song' });
   }
@@ -2066,24 +2757,257 @@ app.get('/api/sessions/:id/state', (req, res) => {
 });
 
 // API: Transition session to new state via state machine
-app.post('/api/sessions/:id/transition', (req, res) => {
+app.post('/api/sessions/:id/transition', requireSessionIdDj, (req, res) => {
   try {
-    const { event } = req.body;
+    const { event, minutes } = req.body;
 
-    if (!event) {
+    // Events are names; the server builds any data they carry
+    if (!event || typeof event !== 'string') {
       return res.status(400).json({ error: 'Event is required' });
     }
+    if (!SESSION_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `Event must be one of: ${SESSION_EVENTS.join(', ')}` });
+    }
 
-    const result = transitionSession(req.params.id, event);
+    // Breaks need a length, and end on their own once it's up
+    if (event === 'BREAK') {
+      const breakMinutes = Number(minutes);
+      if (!Number.isInteger(breakMinutes) || breakMinutes < 1 || breakMinutes > MAX_BREAK_MINUTES) {
+        return res.status(400).json({ error: `Break length must be a whole number of minutes from 1 to ${MAX_BREAK_MINUTES}` });
+      }
+      const endsAt = new Date(Date.now() + breakMinutes * 60 * 1000).toISOString();
+      return res.json(transitionSession(req.params.id, { type: 'BREAK', endsAt }, 'dj'));
+    }
+
+    const result = transitionSession(req.params.id, event, 'dj');
     res.json(result);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendInvalidTransition(res, error);
+    }
     console.error('Error transitioning session:', error);
     res.status(500).json({ error: error.message || 'Failed to transition session' });
   }
 });
 
+// Admin login form
+app.get('/admin/login', (req, res) => {
+  const failed = req.query.error === '1';
+
+  res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Admin Login - Karaoke DJ Queue</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 400px;
+            margin: 50px auto;
+            padding: 20px;
+            background: linear-gradient(135deg, #000000 0%, #1a1a1a 50%, #2d2d2d 100%);
+            background-attachment: fixed;
+            min-height: 100vh;
+            color: white;
+        }
+        h1 {
+            text-align: center;
+            margin-bottom: 30px;
+            font-size: 2rem;
+            font-weight: 900;
+            text-transform: uppercase;
+            letter-spacing: 2px;
+            text-shadow: 0 0 10px rgba(255, 182, 18, 0.5), 0 0 20px rgba(255, 182, 18, 0.3), 2px 2px 4px rgba(0, 0, 0, 0.8);
+        }
+        .form-section {
+            background: linear-gradient(135deg, rgba(20, 20, 20, 0.95) 0%, rgba(40, 40, 40, 0.95) 100%);
+            border: 2px solid rgba(255, 182, 18, 0.3);
+            border-radius: 15px;
+            padding: 30px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), inset 0 1px 0 rgba(255, 182, 18, 0.1);
+        }
+        .form-group {
+            margin-bottom: 20px;
+        }
+        label {
+            display: block;
+            margin-bottom: 8px;
+            font-weight: 600;
+        }
+        input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid rgba(165, 172, 175, 0.3);
+            border-radius: 8px;
+            font-size: 16px;
+            background: rgba(20, 20, 20, 0.6);
+            color: #ffffff;
+            box-sizing: border-box;
+        }
+        input:focus {
+            outline: none;
+            border-color: #FFB612;
+        }
+        button {
+            width: 100%;
+            padding: 15px;
+            background: linear-gradient(135deg, #FFB612 0%, #ff9500 100%);
+            color: #000000;
+            border: 2px solid rgba(0, 0, 0, 0.2);
+            border-radius: 10px;
+            font-size: 18px;
+            font-weight: 900;
+            cursor: pointer;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .error {
+            color: #FFB612;
+            margin-bottom: 20px;
+            text-align: center;
+            font-weight: 700;
+        }
+    </style>
+</head>
+<body>
+    <h1>🔒 Admin Login</h1>
+    <form method="POST" action="/admin/login" class="form-section">
+        ${failed ? '<div class="error">Invalid username or password</div>' : ''}
+        <div class="form-group">
+            <label for="username">Username</label>
+            <input type="text" id="username" name="username" autocomplete="username" required autofocus>
+        </div>
+        <div class="form-group">
+            <label for="password">Password</label>
+            <input type="password" id="password" name="password" autocomplete="current-password" required>
+        </div>
+        <button type="submit">Log In</button>
+    </form>
+</body>
+</html>`);
+});
+
+// Admin login
+app.post('/admin/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const login = loginAdmin(username, password);
+
+    if (!login) {
+      return res.redirect('/admin/login?error=1');
+    }
+
+    setAdminCookie(res, login.token);
+    res.redirect('/admin');
+  } catch (error) {
+    console.error('Error logging in admin:', error);
+    res.status(500).send('<h1>Login failed</h1>');
+  }
+});
+
+// Admin logout
+app.post('/admin/logout', (req, res) => {
+  try {
+    logoutAdmin(getCookie(req, ADMIN_COOKIE));
+  } catch (error) {
+    console.error('Error logging out admin:', error);
+  }
+  clearAdminCookie(res);
+  res.redirect('/admin/login');
+});
+
+// Admin API: List admin users
+app.get('/api/admin/users', requireAdminApi, (_req, res) => {
+  try {
+    res.json({ users: getAdminUsers() });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({ error: 'Failed to fetch admin users' });
+  }
+});
+
+// Admin API: Add another admin user
+app.post('/api/admin/users', requireAdminApi, (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = createAdmin(username, password);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(400).json({ error: error.message || 'Failed to create admin user' });
+  }
+});
+
+// Admin API: Catalog size
+app.get('/api/admin/catalog', requireAdminApi, (_req, res) => {
+  try {
+    res.json({ count: getCatalogCount() });
+  } catch (error) {
+    console.error('Error fetching catalog size:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+});
+
+// Admin API: Import a catalog file (raw file contents as text/plain; options in the query string)
+app.post('/api/admin/catalog/import', requireAdminApi, express.text({ limit: '20mb' }), (req, res) => {
+  try {
+    const { format, fileName, source, mapping, dryRun } = req.query;
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Catalog file is empty' });
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const report = importCatalog(req.body, {
+      format: format || undefined,
+      fileName: fileName || '',
+      source: source || null,
+      mapping: typeof mapping === 'object' ? mapping : {},
+      dryRun: dryRun === 'true',
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing catalog:', error);
+    res.status(400).json({ error: error.message || 'Failed to import catalog' });
+  }
+});
+
+// Admin API: Restore a session from an exported JSON bundle (?overwrite=true replaces an existing session)
+app.post('/api/admin/sessions/import', requireAdminApi, async (req, res) => {
+  try {
+    const bundle = req.body;
+    const problems = validateSessionBundle(bundle);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid session bundle', problems });
+    }
+
+    const overwrite = req.query.overwrite === 'true';
+    if (getSession(bundle.session.id) && !overwrite) {
+      return res.status(409).json({ error: `Session ${bundle.session.id} already exists. Import with overwrite to replace it.` });
+    }
+
+    const result = importSessionBundle(bundle, { overwrite });
+    const qrCodePath = await generateQRCode(result.sessionId, req);
+
+    recordEvent(result.sessionId, 'session-imported', {
+      actorRole: 'admin',
+      payload: { admin: req.admin.username, song_count: result.songCount, overwrite, exported_at: bundle.exportedAt || null },
+    });
+    publishSessionEvent(result.sessionId, 'reordered');
+    publishSessionEvent(result.sessionId, 'session-state-changed', { state: getSession(result.sessionId).status });
+
+    res.json({ success: true, ...result, qrCodePath, djUrl: `/dj/${result.sessionId}` });
+  } catch (error) {
+    console.error('Error importing session:', error);
+    res.status(500).json({ error: 'Failed to import session' });
+  }
+});
+
 // Admin API endpoint
-app.get('/api/admin/sessions', (_req, res) => {
+app.get('/api/admin/sessions', requireAdminApi, (_req, res) => {
   try {
     const sessions = getAllSessionsWithStats();
     res.json({ sessions });
@@ -2094,7 +3018,7 @@ app.get('/api/admin/sessions', (_req, res) => {
 });
 
 // Admin dashboard
-app.get('/admin', (_req, res) => {
+app.get('/admin', requireAdminPage, (req, res) => {
   res.send(`
 <!DOCTYPE html>
 <html>
@@ -2222,6 +3146,36 @@ app.get('/admin', (_req, res) => {
             border-color: rgba(255, 182, 18, 0.4);
         }
 
+        .session-card-link {
+            display: block;
+            text-decoration: none;
+            color: inherit;
+        }
+
+        .session-exports {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-top: 12px;
+            padding-top: 12px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 0.85rem;
+        }
+
+        .session-exports span {
+            opacity: 0.7;
+        }
+
+        .session-exports a {
+            color: #FFB612;
+            text-decoration: none;
+            font-weight: 600;
+        }
+
+        .session-exports a:hover {
+            text-decoration: underline;
+        }
+
         .session-header {
             display: flex;
             justify-content: space-between;
@@ -2282,6 +3236,12 @@ app.get('/admin', (_req, res) => {
             letter-spacing: 0.5px;
         }
 
+        .state-scheduled {
+            background: linear-gradient(135deg, #2196f3, #1976d2);
+            color: white;
+            box-shadow: 0 0 10px rgba(33, 150, 243, 0.4);
+        }
+
         .state-active {
             background: linear-gradient(135deg, #4caf50, #45a049);
             color: white;
@@ -2294,6 +3254,12 @@ app.get('/admin', (_req, res) => {
             box-shadow: 0 0 10px rgba(255, 152, 0, 0.4);
         }
 
+        .state-intermission {
+            background: linear-gradient(135deg, #9c27b0, #7b1fa2);
+            color: white;
+            box-shadow: 0 0 10px rgba(156, 39, 176, 0.4);
+        }
+
         .state-ending {
             background: linear-gradient(135deg, #ff5722, #e64a19);
             color: white;
@@ -2334,6 +3300,99 @@ app.get('/admin', (_req, res) => {
             box-shadow: 0 6px 16px rgba(165, 172, 175, 0.5), inset 0 1px 0 rgba(255, 255, 255, 0.3);
         }
 
+        button.back-link {
+            cursor: pointer;
+            font-size: 1rem;
+            font-family: inherit;
+        }
+
+        .admin-bar {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 10px;
+        }
+
+        .admin-user {
+            margin-right: 10px;
+            opacity: 0.8;
+        }
+
+        .admins-section {
+            margin-top: 40px;
+        }
+
+        .admins-list {
+            list-style: none;
+            margin-bottom: 20px;
+        }
+
+        .admins-list li {
+            padding: 8px 0;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .catalog-import-form .import-row {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-bottom: 10px;
+        }
+
+        .catalog-import-form input,
+        .catalog-import-form select {
+            flex: 1;
+            min-width: 140px;
+            padding: 10px;
+            border: 2px solid rgba(165, 172, 175, 0.3);
+            border-radius: 8px;
+            font-size: 14px;
+            background: rgba(20, 20, 20, 0.6);
+            color: #ffffff;
+        }
+
+        .import-note {
+            font-size: 0.85rem;
+            opacity: 0.7;
+            margin-bottom: 10px;
+        }
+
+        .import-report {
+            margin-top: 15px;
+            font-size: 0.9rem;
+        }
+
+        .import-report table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 10px;
+        }
+
+        .import-report td,
+        .import-report th {
+            text-align: left;
+            padding: 4px 8px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .add-admin-form {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+
+        .add-admin-form input {
+            flex: 1;
+            min-width: 150px;
+            padding: 10px;
+            border: 2px solid rgba(165, 172, 175, 0.3);
+            border-radius: 8px;
+            font-size: 16px;
+            background: rgba(20, 20, 20, 0.6);
+            color: #ffffff;
+        }
+
         @media (max-width: 768px) {
             .stats-grid {
                 grid-template-columns: repeat(2, 1fr);
@@ -2351,7 +3410,13 @@ app.get('/admin', (_req, res) => {
 </head>
 <body>
     <div class="container">
-        <a href="/" class="back-link">← Back to Home</a>
+        <div class="admin-bar">
+            <a href="/" class="back-link">← Back to Home</a>
+            <form method="POST" action="/admin/logout">
+                <span class="admin-user">Logged in as <strong>${escapeHtml(req.admin.username)}</strong></span>
+                <button type="submit" class="back-link">Log Out</button>
+            </form>
+        </div>
 
         <div class="header">
             <h1>🎤 Admin Dashboard</h1>
@@ -2383,19 +3448,266 @@ app.get('/admin', (_req, res) => {
                 <div class="loading">Loading sessions...</div>
             </div>
         </div>
+
+        <div class="sessions-section admins-section">
+            <h2 class="section-title">Restore Session</h2>
+            <form id="session-import-form" class="catalog-import-form">
+                <div class="import-row">
+                    <input type="file" name="file" accept=".json,application/json" required>
+                </div>
+                <label class="import-note">
+                    <input type="checkbox" name="overwrite"> Replace the session if it already exists
+                </label>
+                <div class="import-row" style="margin-top: 10px;">
+                    <button type="submit" class="back-link">Restore</button>
+                </div>
+            </form>
+            <div id="session-import-result" class="import-report"></div>
+        </div>
+
+        <div class="sessions-section admins-section">
+            <h2 class="section-title">Song Catalog (<span id="catalog-count">-</span> songs)</h2>
+            <form id="catalog-import-form" class="catalog-import-form">
+                <div class="import-row">
+                    <input type="file" name="file" accept=".csv,.json,.txt,.tsv" required>
+                    <select name="format">
+                        <option value="">Detect format</option>
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="text">Host export (Artist - Title - DiscID)</option>
+                    </select>
+                    <input type="text" name="source" placeholder="Source label (optional)">
+                </div>
+                <div class="import-row">
+                    <input type="text" name="map_artist" placeholder="Artist column">
+                    <input type="text" name="map_title" placeholder="Title column">
+                    <input type="text" name="map_duration" placeholder="Duration column">
+                    <input type="text" name="map_tags" placeholder="Tags column">
+                    <input type="text" name="map_source" placeholder="Disc/source column">
+                </div>
+                <div class="import-note">Leave columns blank to detect them from the header row. For host exports, use column numbers starting at 0.</div>
+                <div class="import-row">
+                    <button type="submit" name="action" value="preview" class="back-link">Preview</button>
+                    <button type="submit" name="action" value="import" class="back-link">Import</button>
+                </div>
+            </form>
+            <div id="import-report" class="import-report"></div>
+        </div>
+
+        <div class="sessions-section admins-section">
+            <h2 class="section-title">Admins</h2>
+            <ul class="admins-list" id="admins-list"></ul>
+            <form id="add-admin-form" class="add-admin-form">
+                <input type="text" name="username" placeholder="Username" autocomplete="off" required>
+                <input type="password" name="password" placeholder="Password (8+ characters)" autocomplete="new-password" minlength="8" required>
+                <button type="submit" class="back-link">Add Admin</button>
+            </form>
+        </div>
     </div>
 
+    <script src="/js/escape-html.js"></script>
     <script>
+        async function loadAdmins() {
+            try {
+                const response = await fetch('/api/admin/users');
+                if (response.status === 401) {
+                    window.location.href = '/admin/login';
+                    return;
+                }
+                const data = await response.json();
+                const list = document.getElementById('admins-list');
+                list.innerHTML = '';
+                data.users.forEach(user => {
+                    const item = document.createElement('li');
+                    item.textContent = \`\${user.username} (since \${new Date(user.created_at).toLocaleDateString()})\`;
+                    list.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading admins:', error);
+            }
+        }
+
+        document.getElementById('add-admin-form').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+
+            try {
+                const response = await fetch('/api/admin/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        username: formData.get('username'),
+                        password: formData.get('password')
+                    })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    alert(data.error || 'Failed to add admin');
+                    return;
+                }
+
+                e.target.reset();
+                loadAdmins();
+            } catch (error) {
+                console.error('Error adding admin:', error);
+                alert('Failed to add admin');
+            }
+        });
+
+        async function loadCatalogCount() {
+            try {
+                const response = await fetch('/api/admin/catalog');
+                if (response.ok) {
+                    const data = await response.json();
+                    document.getElementById('catalog-count').textContent = data.count;
+                }
+            } catch (error) {
+                console.error('Error loading catalog size:', error);
+            }
+        }
+
+        function renderImportReport(report) {
+            const container = document.getElementById('import-report');
+            container.innerHTML = '';
+
+            const summary = document.createElement('p');
+            summary.textContent = (report.dryRun ? 'Preview: ' : 'Imported: ') +
+                \`\${report.totalRows} rows read (\${report.format}), \${report.added} new, \${report.merged} merged into existing songs, \` +
+                \`\${report.unchanged} already in catalog, \${report.duplicatesInFile} duplicates in file, \${report.rejectedCount} rejected.\`;
+            container.appendChild(summary);
+
+            const addTable = (title, headers, rows) => {
+                if (rows.length === 0) return;
+                const heading = document.createElement('h4');
+                heading.textContent = title;
+                heading.style.marginTop = '15px';
+                container.appendChild(heading);
+
+                const table = document.createElement('table');
+                const headerRow = table.insertRow();
+                headers.forEach(text => {
+                    const th = document.createElement('th');
+                    th.textContent = text;
+                    headerRow.appendChild(th);
+                });
+                rows.forEach(cells => {
+                    const row = table.insertRow();
+                    cells.forEach(text => { row.insertCell().textContent = text ?? ''; });
+                });
+                container.appendChild(table);
+            };
+
+            addTable('New songs (first 20)', ['Artist', 'Title', 'Duration', 'Tags', 'Source'],
+                report.preview.map(song => [song.artist, song.title, song.duration, song.tags.join(', '), song.source]));
+            addTable('Rejected rows', ['Line', 'Reason', 'Data'],
+                report.rejected.map(row => [row.line, row.reason, JSON.stringify(row.raw)]));
+        }
+
+        document.getElementById('catalog-import-form').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const form = e.target;
+            const formData = new FormData(form);
+            const file = formData.get('file');
+            const dryRun = e.submitter && e.submitter.value === 'preview';
+
+            if (!file || !file.size) {
+                alert('Choose a catalog file first');
+                return;
+            }
+
+            const params = new URLSearchParams({ fileName: file.name, dryRun: String(dryRun) });
+            if (formData.get('format')) params.set('format', formData.get('format'));
+            if (formData.get('source')) params.set('source', formData.get('source'));
+            ['artist', 'title', 'duration', 'tags', 'source'].forEach(field => {
+                const column = formData.get('map_' + field);
+                if (column) params.set(\`mapping[\${field}]\`, column);
+            });
+
+            try {
+                const response = await fetch('/api/admin/catalog/import?' + params.toString(), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: await file.text()
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    alert(data.error || 'Failed to import catalog');
+                    return;
+                }
+
+                renderImportReport(data);
+                if (!dryRun) loadCatalogCount();
+            } catch (error) {
+                console.error('Error importing catalog:', error);
+                alert('Failed to import catalog');
+            }
+        });
+
+        document.getElementById('session-import-form').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const file = formData.get('file');
+            const result = document.getElementById('session-import-result');
+
+            if (!file || !file.size) {
+                alert('Choose an exported session file first');
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/admin/sessions/import?overwrite=' + (formData.get('overwrite') ? 'true' : 'false'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: await file.text()
+                });
+                const data = await response.json();
+                result.innerHTML = '';
+
+                if (!response.ok) {
+                    const message = document.createElement('p');
+                    message.textContent = data.error || 'Failed to restore session';
+                    result.appendChild(message);
+                    (data.problems || []).forEach(problem => {
+                        const item = document.createElement('div');
+                        item.textContent = '• ' + problem;
+                        result.appendChild(item);
+                    });
+                    return;
+                }
+
+                const summary = document.createElement('p');
+                summary.textContent = \`Restored session \${data.sessionId} with \${data.songCount} songs.\`;
+                result.appendChild(summary);
+
+                const link = document.createElement('a');
+                link.className = 'back-link';
+                link.href = data.djToken ? \`\${data.djUrl}#token=\${encodeURIComponent(data.djToken)}\` : data.djUrl;
+                link.textContent = data.djToken ? 'Open DJ dashboard (new DJ link - save it)' : 'Open DJ dashboard';
+                result.appendChild(link);
+
+                loadAdminData();
+            } catch (error) {
+                console.error('Error restoring session:', error);
+                alert('Failed to restore session');
+            }
+        });
+
         async function loadAdminData() {
             try {
                 const response = await fetch('/api/admin/sessions');
+                if (response.status === 401) {
+                    window.location.href = '/admin/login';
+                    return;
+                }
                 const data = await response.json();
 
                 // Fetch session states
                 const sessionsWithStates = await Promise.all(
                     data.sessions.map(async (session) => {
                         try {
-                            const stateResponse = await fetch(\`/api/sessions/\${session.id}/state\`);
+                            const stateResponse = await fetch(\`/api/sessions/\${encodeURIComponent(session.id)}/state\`);
                             if (stateResponse.ok) {
                                 const stateData = await stateResponse.json();
                                 return { ...session, state: stateData.value };
@@ -2447,27 +3759,32 @@ app.get('/admin', (_req, res) => {
                 });
 
                 const stateIcons = {
+                    scheduled: '🕒',
                     active: '🟢',
                     paused: '⏸️',
+                    intermission: '☕',
                     ending: '⏹️',
                     ended: '🔴'
                 };
 
                 const stateLabels = {
+                    scheduled: 'Scheduled',
                     active: 'Active',
                     paused: 'Paused',
+                    intermission: 'Intermission',
                     ending: 'Ending',
                     ended: 'Ended'
                 };
 
                 const stateIcon = stateIcons[session.state] || '🟢';
                 const stateLabel = stateLabels[session.state] || 'Active';
-                const stateClass = \`state-\${session.state || 'active'}\`;
+                const stateClass = \`state-\${escapeHtml(session.state || 'active')}\`;
 
                 return \`
-                    <a href="/dj/\${session.id}" class="session-card">
+                    <div class="session-card">
+                    <a href="/dj/\${encodeURIComponent(session.id)}" class="session-card-link">
                         <div class="session-header">
-                            <div class="session-id">\${session.id}</div>
+                            <div class="session-id">\${escapeHtml(session.id)}</div>
                             <div>
                                 <span class="session-state-badge \${stateClass}">
                                     \${stateIcon} \${stateLabel}
@@ -2499,6 +3816,13 @@ app.get('/admin', (_req, res) => {
                             \${session.unique_singers} unique singers
                         </div>
                     </a>
+                    <div class="session-exports">
+                        <span>Export:</span>
+                        <a href="/api/sessions/\${encodeURIComponent(session.id)}/export?format=csv">CSV</a>
+                        <a href="/api/sessions/\${encodeURIComponent(session.id)}/export?format=json">JSON</a>
+                        <a href="/api/sessions/\${encodeURIComponent(session.id)}/export?format=html" target="_blank">Setlist</a>
+                    </div>
+                    </div>
                 \`;
             }).join('');
 
@@ -2507,6 +3831,8 @@ app.get('/admin', (_req, res) => {
 
         // Load data when page loads
         loadAdminData();
+        loadAdmins();
+        loadCatalogCount();
 
         // Refresh every 30 seconds
         setInterval(loadAdminData, 30000);
@@ -2693,6 +4019,12 @@ app.get('/', (_req, res) => {
                 </div>
             </div>
 
+            <div class="form-group">
+                <label for="startsAt">Start Time (Optional)</label>
+                <input type="datetime-local" id="startsAt" name="startsAt">
+                <div class="tip-note">Singers can request songs early; the queue starts at this time.</div>
+            </div>
+
             <button type="submit">🎵 Start New Session</button>
         </form>
 
@@ -2712,7 +4044,8 @@ app.get('/', (_req, res) => {
                 const payload = {
                     venmo_handle: formData.get('venmo') || null,
                     cashapp_handle: formData.get('cashapp') || null,
-                    zelle_handle: formData.get('zelle') || null
+                    zelle_handle: formData.get('zelle') || null,
+                    starts_at: formData.get('startsAt') ? new Date(formData.get('startsAt')).toISOString() : null
                 };
 
                 const response = await fetch('/api/sessions', {
@@ -2724,6 +4057,9 @@ app.get('/', (_req, res) => {
                 });
 
                 const data = await response.json();
+
+                // Keep the DJ token on this device; the dashboard offers a recovery link for others
+                localStorage.setItem('djToken:' + data.sessionId, data.djToken);
                 window.location.href = data.djUrl;
             } catch (error) {
                 alert('Failed to create session');
@@ -2734,6 +4070,16 @@ app.get('/', (_req, res) => {
 </html>`);
 });
 
-app.listen(PORT, () => {
-  console.log(`🎤 Karaoke DJ Queue server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Delayed songs go back in the queue on time, and sessions start, close and
+// expire on time, even across a restart
+restoreDelayedSongs();
+restoreSessionTimers();
+
+// Listen when run directly; tests import the app and listen on their own port
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`🎤 Karaoke DJ Queue server running on http://localhost:${PORT}`);
+  });
+}
+
+export { app };
\ No newline at end of file
@@ -0,0 +1,32 @@
+import Database from 'better-sqlite3';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+/**
+ * Database Connection
+ *
+ * Where the SQLite file lives and how it's opened. Shared by the app and the
+ * migration CLI, which needs the database without migrating it on import.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Use persistent volume path in production, local path in development.
+// DATABASE_PATH overrides both (e.g. a scratch copy for testing migrations).
+const DB_DIR = process.env.NODE_ENV === 'production' ? '/data' : join(__dirname, '..', '..');
+export const DB_PATH = process.env.DATABASE_PATH || join(DB_DIR, 'karaoke.db');
+
+/**
+ * Open the database, creating its directory if needed
+ */
+export function openDatabase(path = DB_PATH) {
+  const dir = dirname(path);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  return db;
+}
@@ -0,0 +1,127 @@
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+
+/**
+ * Schema Migrations
+ *
+ * Numbered up-scripts in /migrations, applied in order and recorded in the
+ * schema_migrations table.
+ *
+ * - File names are <version>_<name>.sql or <version>_<name>.js
+ *   (e.g. 002_session_settings.sql)
+ * - .sql files are run as-is; .js files export a synchronous up(db)
+ * - Each migration runs in its own transaction together with its
+ *   schema_migrations row, so it either lands completely or not at all
+ * - Any failure stops the run and is thrown; the app refuses to start on a
+ *   schema it can't vouch for
+ *
+ * Migrations are never edited once released; change the schema by adding the
+ * next number.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = join(__dirname, '..', '..', 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+/**
+ * Read the migration files, sorted by version
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, extension] = match;
+    const path = join(dir, file);
+    let up;
+
+    if (extension === 'sql') {
+      const sql = fs.readFileSync(path, 'utf8');
+      up = (db) => db.exec(sql);
+    } else {
+      ({ up } = await import(pathToFileURL(path).href));
+      if (typeof up !== 'function') {
+        throw new Error(`Migration ${file} must export an up(db) function`);
+      }
+    }
+
+    migrations.push({ version: Number(version), name, file, up });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Compare the migration files with what the database has applied.
+ * Returns { current, applied, pending, unknown }; unknown lists versions
+ * recorded in the database with no matching file (a newer app ran here).
+ */
+export async function getMigrationStatus(db, dir = MIGRATIONS_DIR) {
+  ensureMigrationsTable(db);
+
+  const migrations = await loadMigrations(dir);
+  const appliedRows = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  const appliedVersions = new Map(appliedRows.map(row => [row.version, row]));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: appliedRows.length > 0 ? appliedRows[appliedRows.length - 1].version : 0,
+    applied: migrations
+      .filter(migration => appliedVersions.has(migration.version))
+      .map(migration => ({ ...migration, appliedAt: appliedVersions.get(migration.version).applied_at })),
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: appliedRows.filter(row => !knownVersions.has(row.version)),
+  };
+}
+
+/**
+ * Apply every pending migration. Returns the migrations that were applied.
+ */
+export async function runMigrations(db, dir = MIGRATIONS_DIR) {
+  const { pending, unknown } = await getMigrationStatus(db, dir);
+
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations this version doesn't know about (${unknown.map(row => `${row.version}_${row.name}`).join(', ')}); refusing to run against a newer schema`);
+  }
+
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of pending) {
+    console.log(`Running database migration ${migration.file}...`);
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordMigration.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    } catch (error) {
+      throw new Error(`Database migration ${migration.file} failed: ${error.message}`, { cause: error });
+    }
+    console.log(`Migration ${migration.file} completed successfully.`);
+  }
+
+  return pending;
+}
@@ -6,20 +6,35 @@ import { createMachine, assign } from 'xstate';
  * Manages the lifecycle of a DJ karaoke session from creation to archival.
  *
  * States:
+ * - scheduled: Session hasn't started yet, but already accepts early requests
  * - active: Session is running, accepting and processing song requests
  * - paused: Session is temporarily paused, queue doesn't advance (but can still accept requests)
+ * - intermission: DJ break of a set length (BREAK carries its end time); the
+ *   queue doesn't advance and the session resumes by itself when it's over
  * - ending: Session is in the process of ending (grace period for current song)
  * - ended: Session has ended (final state)
  *
+ * Automatic events, sent by the state manager's timers (see session-schedule.js):
+ * - START: The scheduled start time has come
+ * - CLOSE: The closing time has come
+ * - EXPIRE: The session has gone too long without activity
+ * - GRACE_EXPIRED: The grace period of an ending session is over
+ * - INTERMISSION_OVER: The DJ's break is over
+ *
+ * The timers live outside the machine so they can be restored after a
+ * restart; entering `ending` saves when the grace period ends, and entering
+ * `intermission` saves when the break ends.
+ *
  * Context:
  * - sessionId: Unique identifier for the session
  * - songDuration: Average song duration in seconds (for wait time calculations)
  * - createdAt: Timestamp when session was created
  * - tipHandles: Object containing venmo_handle, cashapp_handle, zelle_handle
+ * - breakEndsAt: When the current intermission ends (ISO time), or null
  */
 export const sessionMachine = createMachine({
   id: 'session',
-  initial: 'active',
+  initial: 'scheduled',
   context: {
     sessionId: null,
     songDuration: 270,
@@ -29,17 +44,39 @@ export const sessionMachine = createMachine({
       cashapp_handle: null,
       zelle_handle: null,
     },
+    breakEndsAt: null,
   },
   states: {
+    scheduled: {
+      on: {
+        START: {
+          target: 'active',
+        },
+        END: {
+          target: 'ending',
+        },
+      },
+    },
     active: {
       entry: 'onSessionActive',
       on: {
         PAUSE: {
           target: 'paused',
         },
+        BREAK: {
+          target: 'intermission',
+          actions: 'assignBreak',
+        },
         END: {
           target: 'ending',
         },
+        CLOSE: {
+          target: 'ending',
+        },
+        // Nobody is around to need a grace period
+        EXPIRE: {
+          target: 'ended',
+        },
         UPDATE_DURATION: {
           target: 'active',
           actions: assign({
@@ -60,22 +97,51 @@ export const sessionMachine = createMachine({
         RESUME: {
           target: 'active',
         },
+        BREAK: {
+          target: 'intermission',
+          actions: 'assignBreak',
+        },
+        END: {
+          target: 'ending',
+        },
+        CLOSE: {
+          target: 'ending',
+        },
+        EXPIRE: {
+          target: 'ended',
+        },
+      },
+    },
+    intermission: {
+      entry: 'startIntermission',
+      exit: ['clearIntermission', assign({ breakEndsAt: null })],
+      on: {
+        // Back early
+        RESUME: {
+          target: 'active',
+        },
+        INTERMISSION_OVER: {
+          target: 'active',
+        },
         END: {
           target: 'ending',
         },
+        CLOSE: {
+          target: 'ending',
+        },
       },
     },
     ending: {
-      entry: 'onSessionEnding',
-      // Give a 5-second grace period before fully ending
-      after: {
-        5000: {
+      // Grace period (ending_grace_minutes) before fully ending
+      entry: ['onSessionEnding', 'startGracePeriod'],
+      exit: 'clearGracePeriod',
+      on: {
+        GRACE_EXPIRED: {
           target: 'ended',
         },
-      },
-      on: {
         CANCEL_END: {
           target: 'active',
+          actions: 'clearPassedClosingTime',
         },
       },
     },
@@ -95,6 +161,15 @@ export const sessionMachine = createMachine({
     onSessionEnding: ({ context }) => {
       console.log(`Session ${context.sessionId} is ending...`);
     },
+    assignBreak: assign({
+      breakEndsAt: ({ event }) => event.endsAt,
+    }),
+    startIntermission: () => {},
+    clearIntermission: () => {},
+    startGracePeriod: () => {},
+    clearGracePeriod: () => {},
+    // A DJ who keeps the session going past its closing time doesn't want it to close again
+    clearPassedClosingTime: () => {},
     onSessionEnded: ({ context }) => {
       console.log(`Session ${context.sessionId} has ended`);
     },
@@ -115,6 +190,7 @@ export function createSessionMachine(sessionData) {
         cashapp_handle: sessionData.cashapp_handle,
         zelle_handle: sessionData.zelle_handle,
       },
+      breakEndsAt: sessionData.break_ends_at || null,
     },
   });
 }
@@ -124,8 +200,10 @@ export function createSessionMachine(sessionData) {
  */
 export function getStateFromStatus(status) {
   const statusMap = {
+    scheduled: 'scheduled',
     active: 'active',
     paused: 'paused',
+    intermission: 'intermission',
     ending: 'ending',
     ended: 'ended',
   };
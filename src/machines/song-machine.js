@@ -1,4 +1,4 @@
-import { createMachine, assign } from 'xstate';
+import { createMachine, assign, and } from 'xstate';
 
 /**
  * Song State Machine
@@ -6,14 +6,19 @@ import { createMachine, assign } from 'xstate';
  * Manages the lifecycle of a karaoke song request from submission to completion.
  *
  * States:
+ * - pending: Song is waiting for DJ approval (sessions with approval required)
  * - waiting: Song is in queue, waiting to be played
  * - delayed: Song is temporarily delayed by DJ (returns to waiting after delay expires)
  * - playing: Song is currently being performed
  * - done: Song was successfully performed (final state)
  * - skipped: Song was skipped/cancelled (final state)
+ * - rejected: DJ declined the request (final state)
  *
  * Guards:
+ * - sessionIsRunning: Songs can't start while the session is paused, on a
+ *   break or ended
  * - isNextInQueue: Validates that the song is the next eligible song to play
+ * - noOtherSongPlaying: Only one song in a session can be playing at a time
  * - canBeDelayed: Ensures only waiting songs can be delayed
  * - canBeEdited: Ensures only waiting songs can have details edited
  */
@@ -27,13 +32,29 @@ export const songMachine = createMachine({
     delayedUntil: null,
     delayMinutes: null,
     isNextInQueue: false,
+    isOtherSongPlaying: false,
+    isSessionRunning: true,
   },
   states: {
+    pending: {
+      on: {
+        APPROVE: {
+          target: 'waiting',
+          actions: 'markAsApproved',
+        },
+        REJECT: {
+          target: 'rejected',
+        },
+        SKIP: {
+          target: 'skipped',
+        },
+      },
+    },
     waiting: {
       on: {
         PLAY: {
           target: 'playing',
-          guard: 'isNextInQueue',
+          guard: and(['sessionIsRunning', 'isNextInQueue', 'noOtherSongPlaying']),
         },
         SKIP: {
           target: 'skipped',
@@ -97,12 +118,22 @@ export const songMachine = createMachine({
       type: 'final',
       entry: 'markAsSkipped',
     },
+    rejected: {
+      type: 'final',
+      entry: 'markAsRejected',
+    },
   },
 }, {
   guards: {
+    sessionIsRunning: ({ context }) => {
+      return context.isSessionRunning !== false;
+    },
     isNextInQueue: ({ context }) => {
       return context.isNextInQueue === true;
     },
+    noOtherSongPlaying: ({ context }) => {
+      return context.isOtherSongPlaying !== true;
+    },
     canBeDelayed: ({ context }) => {
       return context.delayedUntil === null;
     },
@@ -127,6 +158,12 @@ export const songMachine = createMachine({
     markAsSkipped: ({ context }) => {
       console.log(`Song ${context.songId} marked as skipped`);
     },
+    markAsApproved: ({ context }) => {
+      console.log(`Song ${context.songId} approved`);
+    },
+    markAsRejected: ({ context }) => {
+      console.log(`Song ${context.songId} rejected`);
+    },
   },
   delays: {
     DELAY_DURATION: ({ context }) => {
@@ -144,6 +181,7 @@ export function createSongMachine(songData) {
   return songMachine.provide({
     guards: {
       isNextInQueue: ({ context }) => context.isNextInQueue === true,
+      noOtherSongPlaying: ({ context }) => context.isOtherSongPlaying !== true,
       canBeDelayed: ({ context }) => context.delayedUntil === null,
       canBeEdited: () => true,
     },
@@ -155,6 +193,7 @@ export function createSongMachine(songData) {
       delayedUntil: songData.delayed_until,
       delayMinutes: songData.delay_minutes,
       isNextInQueue: songData.isNextInQueue || false,
+      isOtherSongPlaying: songData.isOtherSongPlaying || false,
     },
   });
 }
@@ -164,11 +203,13 @@ export function createSongMachine(songData) {
  */
 export function getStateFromStatus(status) {
   const statusMap = {
+    pending: 'pending',
     waiting: 'waiting',
     delayed: 'delayed',
     playing: 'playing',
     done: 'done',
     skipped: 'skipped',
+    rejected: 'rejected',
   };
   return statusMap[status] || 'waiting';
 }
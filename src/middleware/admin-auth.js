@@ -0,0 +1,78 @@
+import { getAdminForToken, ADMIN_SESSION_TTL } from '../services/admin-auth.js';
+
+/**
+ * Admin Authorization Middleware
+ *
+ * Reads the admin session cookie and attaches the logged-in admin to req.admin.
+ * Pages redirect to the login form; API routes answer 401.
+ */
+
+export const ADMIN_COOKIE = 'admin_session';
+
+/**
+ * Read a single cookie value from the request. A value that isn't valid
+ * percent-encoding counts as missing.
+ */
+export function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Set the admin session cookie
+ */
+export function setAdminCookie(res, token) {
+  res.cookie(ADMIN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: ADMIN_SESSION_TTL,
+    path: '/',
+  });
+}
+
+/**
+ * Clear the admin session cookie
+ */
+export function clearAdminCookie(res) {
+  res.clearCookie(ADMIN_COOKIE, { path: '/' });
+}
+
+function resolveAdmin(req) {
+  req.admin = getAdminForToken(getCookie(req, ADMIN_COOKIE));
+  return req.admin;
+}
+
+/**
+ * Require an admin login for HTML pages (redirects to the login form)
+ */
+export function requireAdminPage(req, res, next) {
+  if (!resolveAdmin(req)) {
+    return res.redirect('/admin/login');
+  }
+  next();
+}
+
+/**
+ * Require an admin login for API routes (responds 401)
+ */
+export function requireAdminApi(req, res, next) {
+  if (!resolveAdmin(req)) {
+    return res.status(401).json({ error: 'Admin login required' });
+  }
+  next();
+}
@@ -0,0 +1,79 @@
+import { getSession, getSongById } from '../../database.js';
+import { tokenMatchesHash } from '../services/tokens.js';
+import { getAdminForToken } from '../services/admin-auth.js';
+import { getCookie, ADMIN_COOKIE } from './admin-auth.js';
+
+/**
+ * DJ Authorization Middleware
+ *
+ * Restricts queue-control routes to the DJ who created the session.
+ * The DJ token is issued once by POST /api/sessions and sent back on
+ * every DJ request in the X-DJ-Token header.
+ *
+ * Sessions created before DJ tokens existed have no stored hash and
+ * remain open so existing nights aren't locked out.
+ */
+
+export const DJ_TOKEN_HEADER = 'x-dj-token';
+
+/**
+ * Resolve the session from a route parameter holding the session ID
+ */
+export function sessionFromParam(param) {
+  return (req) => req.params[param];
+}
+
+/**
+ * Resolve the session from the song referenced by the :id route parameter
+ */
+export function sessionFromSong(req) {
+  const song = getSongById(req.params.id);
+  return song ? song.session_id : null;
+}
+
+/**
+ * Build middleware that requires a valid DJ token for the resolved session
+ */
+export function requireDjToken(resolveSessionId, notFoundMessage = 'Session not found') {
+  return (req, res, next) => {
+    const sessionId = resolveSessionId(req);
+    const session = sessionId ? getSession(sessionId) : null;
+
+    if (!session) {
+      return res.status(404).json({ error: notFoundMessage });
+    }
+
+    // Legacy session without a DJ token
+    if (!session.dj_token_hash) {
+      return next();
+    }
+
+    const token = req.get(DJ_TOKEN_HEADER);
+    if (!token) {
+      return res.status(401).json({ error: 'DJ token required' });
+    }
+
+    if (!tokenMatchesHash(token, session.dj_token_hash)) {
+      return res.status(403).json({ error: 'Invalid DJ token' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Like requireDjToken, but a logged-in admin may also pass (for admin
+ * dashboard links, which can't send the DJ token header)
+ */
+export function requireDjTokenOrAdmin(resolveSessionId, notFoundMessage = 'Session not found') {
+  const requireDj = requireDjToken(resolveSessionId, notFoundMessage);
+
+  return (req, res, next) => {
+    const admin = getAdminForToken(getCookie(req, ADMIN_COOKIE));
+    if (admin && resolveSessionId(req) && getSession(resolveSessionId(req))) {
+      req.admin = admin;
+      return next();
+    }
+    requireDj(req, res, next);
+  };
+}
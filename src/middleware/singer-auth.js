@@ -0,0 +1,50 @@
+import { getSongById } from '../../database.js';
+import { tokenMatchesHash } from '../services/tokens.js';
+
+/**
+ * Singer Authorization Middleware
+ *
+ * Restricts the singer-facing song routes (update, cancel, delay) to whoever
+ * holds the manage link returned when the request was added. The token is
+ * sent in the X-Manage-Token header.
+ *
+ * Songs added before manage tokens existed have no stored hash and remain open.
+ */
+
+export const MANAGE_TOKEN_HEADER = 'x-manage-token';
+
+/**
+ * Check a manage token against a song row
+ */
+export function isValidManageToken(song, token) {
+  if (!song.manage_token_hash) {
+    return true;
+  }
+  return tokenMatchesHash(token, song.manage_token_hash);
+}
+
+/**
+ * Middleware requiring a valid manage token for the song in the :id route parameter
+ */
+export function requireManageToken(req, res, next) {
+  const song = getSongById(req.params.id);
+
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  if (!song.manage_token_hash) {
+    return next();
+  }
+
+  const token = req.get(MANAGE_TOKEN_HEADER);
+  if (!token) {
+    return res.status(401).json({ error: 'Manage token required' });
+  }
+
+  if (!isValidManageToken(song, token)) {
+    return res.status(403).json({ error: 'Invalid manage token' });
+  }
+
+  next();
+}
@@ -0,0 +1,37 @@
+import { generateToken } from '../services/tokens.js';
+import { getCookie } from './admin-auth.js';
+
+/**
+ * Singer Device Middleware
+ *
+ * Gives each singer's browser a random device ID in a long-lived cookie and
+ * attaches it to req.deviceId. The ID only groups requests for rate limiting;
+ * it isn't a secret and grants nothing.
+ */
+
+export const DEVICE_COOKIE = 'singer_device';
+
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{21}$/;
+
+/**
+ * Middleware reading (or issuing) the device cookie
+ */
+export function assignSingerDevice(req, res, next) {
+  let deviceId = getCookie(req, DEVICE_COOKIE);
+
+  if (!deviceId || !DEVICE_ID_PATTERN.test(deviceId)) {
+    deviceId = generateToken(21).token;
+    res.cookie(DEVICE_COOKIE, deviceId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: DEVICE_COOKIE_MAX_AGE,
+      path: '/',
+    });
+  }
+
+  req.deviceId = deviceId;
+  next();
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import {
+  createAdminUser,
+  getAdminUserByUsername,
+  createAdminSession,
+  getAdminSession,
+  deleteAdminSession,
+  deleteExpiredAdminSessions
+} from '../../database.js';
+import { generateToken, hashToken } from './tokens.js';
+
+/**
+ * Admin Authentication Service
+ *
+ * Stores admin passwords as salted scrypt hashes and issues login sessions
+ * that are kept (hashed) in the admin_sessions table so logins survive restarts.
+ */
+
+// Admin logins last a week
+export const ADMIN_SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a fresh (or given) salt
+ */
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return { hash, salt };
+}
+
+/**
+ * Check a password against a stored hash and salt in constant time
+ */
+export function verifyPassword(password, storedHash, salt) {
+  const candidate = Buffer.from(hashPassword(password, salt).hash, 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+/**
+ * Create a new admin user
+ */
+export function createAdmin(username, password) {
+  const name = (username || '').trim();
+  if (!name) {
+    throw new Error('Username is required');
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (getAdminUserByUsername(name)) {
+    throw new Error(`Admin "${name}" already exists`);
+  }
+
+  const { hash, salt } = hashPassword(password);
+  const result = createAdminUser(name, hash, salt);
+  return { id: result.lastInsertRowid, username: name };
+}
+
+/**
+ * Log in with a username and password.
+ * Returns the plain session token (for the cookie) or null on bad credentials.
+ */
+export function loginAdmin(username, password) {
+  const user = getAdminUserByUsername((username || '').trim());
+
+  // Hash anyway so unknown usernames take as long as wrong passwords
+  if (!user) {
+    hashPassword(password || '');
+    return null;
+  }
+
+  if (!verifyPassword(password || '', user.password_hash, user.password_salt)) {
+    return null;
+  }
+
+  deleteExpiredAdminSessions();
+
+  const session = generateToken();
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL).toISOString();
+  createAdminSession(session.hash, user.id, expiresAt);
+
+  return { token: session.token, username: user.username, expiresAt };
+}
+
+/**
+ * Look up the admin for a session token, or null if missing/expired
+ */
+export function getAdminForToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const session = getAdminSession(hashToken(token));
+  return session ? { id: session.admin_user_id, username: session.username } : null;
+}
+
+/**
+ * End an admin session
+ */
+export function logoutAdmin(token) {
+  if (token) {
+    deleteAdminSession(hashToken(token));
+  }
+}
@@ -0,0 +1,68 @@
+import { addEvent, getEvents } from '../../database.js';
+
+/**
+ * Audit Log Service
+ *
+ * Append-only record of every change to a session and its queue, kept in the
+ * events table so disputes ("the DJ skipped me") can be settled afterwards.
+ *
+ * Each event records the session, the entity it touched (session or song),
+ * an event type, a JSON payload and who made the change:
+ * - dj: Requests made with the session's DJ token (dashboard)
+ * - singer: Song requests and the singer's manage page
+ * - admin: Admin dashboard
+ * - system: Timers and other automatic transitions
+ */
+
+export const ACTOR_ROLES = ['dj', 'singer', 'admin', 'system'];
+
+const MAX_HISTORY = 1000;
+
+/**
+ * Snapshot of a song for event payloads (kept readable after the song is deleted)
+ */
+export function describeSong(song) {
+  return {
+    singer_name: song.singer_name,
+    artist: song.artist,
+    song_title: song.song_title,
+    position: song.position,
+    status: song.status,
+  };
+}
+
+/**
+ * Record an event. Logging never breaks the change it describes.
+ */
+export function recordEvent(sessionId, eventType, { entityType = 'session', entityId = null, actorRole = 'system', payload = null } = {}) {
+  try {
+    addEvent({ sessionId, entityType, entityId, eventType, payload, actorRole });
+  } catch (error) {
+    console.error(`Error recording ${eventType} event for session ${sessionId}:`, error);
+  }
+}
+
+/**
+ * Record an event about a song
+ */
+export function recordSongEvent(song, eventType, actorRole, payload = {}) {
+  recordEvent(song.session_id, eventType, {
+    entityType: 'song',
+    entityId: song.id,
+    actorRole,
+    payload: { ...describeSong(song), ...payload },
+  });
+}
+
+/**
+ * A session's event history, newest first
+ */
+export function getEventHistory(sessionId, { limit = 200, before = null } = {}) {
+  const count = Math.min(Math.max(parseInt(limit) || 200, 1), MAX_HISTORY);
+  const beforeId = parseInt(before) || Number.MAX_SAFE_INTEGER;
+
+  return getEvents(sessionId, count, beforeId).map(event => ({
+    ...event,
+    payload: event.payload ? JSON.parse(event.payload) : null,
+  }));
+}
@@ -0,0 +1,409 @@
+import {
+  addCatalogEntry,
+  getCatalogEntries,
+  updateCatalogEntry,
+  withTransaction
+} from '../../database.js';
+import { normalizeText, buildSearchText } from './catalog.js';
+
+/**
+ * Catalog Import Service
+ *
+ * Loads song lists into the catalog table.
+ *
+ * Formats:
+ * - csv: Header row plus one song per line (comma, semicolon or tab delimited)
+ * - json: An array of song objects, or an object with a songs array
+ * - text: Karaoke host exports, one "Artist - Title - DiscID" per line
+ *   (tab or " - " separated)
+ *
+ * Rows are matched to catalog fields through a column mapping (auto-detected
+ * from headers when not given). Duplicates on normalized artist + title are
+ * merged, both within the file and against the existing catalog. A dry run
+ * returns the same report without writing anything.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json', 'text'];
+
+const FIELDS = ['artist', 'title', 'duration', 'tags', 'source'];
+
+// Header names recognized for each field when no mapping is given
+const FIELD_ALIASES = {
+  artist: ['artist', 'artist name', 'artists', 'performer', 'singer', 'band'],
+  title: ['title', 'song', 'song title', 'song name', 'track', 'track title', 'name'],
+  duration: ['duration', 'length', 'time', 'runtime', 'seconds'],
+  tags: ['tags', 'tag', 'genre', 'genres', 'category', 'categories'],
+  source: ['source', 'disc', 'disc id', 'discid', 'disc number', 'brand'],
+};
+
+// Host text exports list artist, title, then disc ID
+const TEXT_MAPPING = { artist: 0, title: 1, source: 2 };
+
+const MAX_ROWS = 100000;
+const MAX_REPORTED_REJECTIONS = 200;
+const PREVIEW_ROWS = 20;
+
+/**
+ * Guess the format from a file name or the content itself
+ */
+export function detectFormat(content, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'txt' || extension === 'tsv') return 'text';
+
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+
+  const firstLine = trimmed.split(/\r?\n/, 1)[0] || '';
+  return /,|;/.test(firstLine) && !/ - /.test(firstLine) ? 'csv' : 'text';
+}
+
+/**
+ * Parse delimited text with quoted fields (RFC 4180 style)
+ */
+export function parseCsv(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Split one line of a karaoke host export into fields
+ */
+function parseTextLine(line) {
+  const fields = line.includes('\t') ? line.split('\t') : line.split(' - ');
+  return fields.map(field => field.trim());
+}
+
+/**
+ * Parse a duration given as seconds or m:ss / h:mm:ss
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text));
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  return NaN;
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) {
+    return value.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  return String(value || '').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Work out which column holds each field from the header row
+ */
+export function detectMapping(headers) {
+  const normalized = headers.map(header => normalizeText(header));
+  const mapping = {};
+
+  for (const field of FIELDS) {
+    const index = normalized.findIndex(header => FIELD_ALIASES[field].includes(header));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Turn raw content into records of { line, values } where values is keyed by
+ * column name (csv/json) or column index (text)
+ */
+function readRecords(content, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const songs = Array.isArray(data) ? data : data.songs;
+    if (!Array.isArray(songs)) {
+      throw new Error('JSON must be an array of songs or an object with a "songs" array');
+    }
+
+    const headers = [...new Set(songs.flatMap(song => (song && typeof song === 'object') ? Object.keys(song) : []))];
+    return { headers, records: songs.map((values, index) => ({ line: index + 1, values })) };
+  }
+
+  if (format === 'csv') {
+    const [headers = [], ...rows] = parseCsv(content);
+    const trimmedHeaders = headers.map(header => header.trim());
+    const records = rows
+      .map((fields, index) => ({
+        line: index + 2,
+        values: Object.fromEntries(trimmedHeaders.map((header, column) => [header, fields[column]])),
+        blank: fields.every(field => field.trim() === ''),
+      }))
+      .filter(record => !record.blank);
+    return { headers: trimmedHeaders, records };
+  }
+
+  const records = content.split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, text: line.trim() }))
+    .filter(({ text }) => text && !text.startsWith('#'))
+    .map(({ line, text }) => ({ line, values: parseTextLine(text) }));
+
+  // Skip a header line such as "Artist<TAB>Title<TAB>DiscID"
+  if (records.length > 0) {
+    const first = records[0].values.map(value => normalizeText(value));
+    if (FIELD_ALIASES.artist.includes(first[0]) && FIELD_ALIASES.title.includes(first[1])) {
+      records.shift();
+    }
+  }
+
+  return { headers: [], records };
+}
+
+/**
+ * Map a record to catalog fields, or explain why it was rejected
+ */
+function toCatalogRow(record, mapping, defaultSource) {
+  const value = (field) => {
+    const column = mapping[field];
+    if (column === undefined || column === null || column === '') return undefined;
+    const raw = record.values?.[column];
+    return typeof raw === 'string' ? raw.trim() : raw;
+  };
+
+  const artist = value('artist');
+  const title = value('title');
+
+  if (!artist || !String(artist).trim()) {
+    return { error: 'Missing artist' };
+  }
+  if (!title || !String(title).trim()) {
+    return { error: 'Missing title' };
+  }
+
+  const duration = parseDuration(value('duration'));
+  if (Number.isNaN(duration)) {
+    return { error: `Unreadable duration "${value('duration')}"` };
+  }
+
+  return {
+    row: {
+      artist: String(artist).trim(),
+      title: String(title).trim(),
+      duration,
+      tags: parseTags(value('tags')),
+      source: value('source') ? String(value('source')) : defaultSource,
+    },
+  };
+}
+
+const matchKey = (artist, title) => `${normalizeText(artist)}|${normalizeText(title)}`;
+
+function mergeTags(...lists) {
+  const merged = [];
+  for (const tag of lists.flat()) {
+    if (!merged.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      merged.push(tag);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Import a catalog file.
+ *
+ * Options:
+ * - format: csv, json or text (detected when omitted)
+ * - fileName: used to help detect the format
+ * - mapping: { artist, title, duration, tags, source } -> column name (csv/json)
+ *   or zero-based column index (text)
+ * - source: source label for rows that don't name one
+ * - dryRun: build the report without writing
+ */
+export function importCatalog(content, options = {}) {
+  const format = options.format || detectFormat(content, options.fileName);
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const { headers, records } = readRecords(content, format);
+  if (records.length > MAX_ROWS) {
+    throw new Error(`Catalog files are limited to ${MAX_ROWS} rows`);
+  }
+
+  const detected = format === 'text' ? TEXT_MAPPING : detectMapping(headers);
+  const mapping = { ...detected, ...cleanMapping(options.mapping, format) };
+
+  if (mapping.artist === undefined || mapping.title === undefined) {
+    throw new Error('Could not find artist and title columns; provide a column mapping');
+  }
+
+  if (format !== 'text') {
+    const missing = Object.values(mapping).filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Unknown column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+  }
+
+  // Existing catalog, keyed for duplicate matching
+  const existing = new Map();
+  for (const entry of getCatalogEntries()) {
+    existing.set(matchKey(entry.artist, entry.title), {
+      ...entry,
+      tags: entry.tags ? parseTags(entry.tags) : [],
+    });
+  }
+
+  const additions = new Map();
+  const merges = new Map();
+  const rejected = [];
+  let duplicatesInFile = 0;
+
+  for (const record of records) {
+    const { row, error } = toCatalogRow(record, mapping, options.source || null);
+    if (error) {
+      rejected.push({ line: record.line, reason: error, raw: record.values });
+      continue;
+    }
+
+    const key = matchKey(row.artist, row.title);
+
+    if (additions.has(key)) {
+      duplicatesInFile++;
+      const pending = additions.get(key);
+      pending.duration = pending.duration ?? row.duration;
+      pending.tags = mergeTags(pending.tags, row.tags);
+      pending.source = pending.source || row.source;
+      continue;
+    }
+
+    if (existing.has(key)) {
+      if (merges.has(key)) duplicatesInFile++;
+      const current = merges.get(key) || { ...existing.get(key) };
+      const merged = {
+        ...current,
+        duration: current.duration ?? row.duration,
+        tags: mergeTags(current.tags, row.tags),
+        source: current.source || row.source,
+      };
+      merges.set(key, merged);
+      continue;
+    }
+
+    additions.set(key, row);
+  }
+
+  // Only count existing entries that actually gain something
+  const changedMerges = [...merges.entries()]
+    .filter(([key, merged]) => {
+      const before = existing.get(key);
+      return merged.duration !== before.duration
+        || merged.tags.join(',') !== before.tags.join(',')
+        || merged.source !== before.source;
+    })
+    .map(([, merged]) => merged);
+
+  const report = {
+    format,
+    mapping,
+    dryRun: Boolean(options.dryRun),
+    totalRows: records.length,
+    added: additions.size,
+    merged: changedMerges.length,
+    unchanged: merges.size - changedMerges.length,
+    duplicatesInFile,
+    rejectedCount: rejected.length,
+    rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS),
+    preview: [...additions.values()].slice(0, PREVIEW_ROWS),
+  };
+
+  if (options.dryRun) {
+    return report;
+  }
+
+  withTransaction(() => {
+    for (const row of additions.values()) {
+      addCatalogEntry({
+        artist: row.artist,
+        title: row.title,
+        duration: row.duration,
+        tags: row.tags.length > 0 ? row.tags.join(',') : null,
+        source: row.source,
+        searchText: buildSearchText(row.artist, row.title),
+      });
+    }
+
+    for (const entry of changedMerges) {
+      updateCatalogEntry(entry.id, {
+        duration: entry.duration,
+        tags: entry.tags.length > 0 ? entry.tags.join(',') : null,
+        source: entry.source,
+      });
+    }
+  });
+
+  return report;
+}
+
+// Drop empty mapping entries; text mappings are column numbers
+function cleanMapping(mapping = {}, format) {
+  const cleaned = {};
+  for (const field of FIELDS) {
+    const column = mapping[field];
+    if (column === undefined || column === null || String(column).trim() === '') continue;
+    cleaned[field] = format === 'text' ? Number(column) : String(column).trim();
+  }
+  return cleaned;
+}
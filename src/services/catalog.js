@@ -0,0 +1,140 @@
+import { findCatalogCandidates, getCatalogEntry } from '../../database.js';
+
+/**
+ * Catalog Service
+ *
+ * Fuzzy search over the local karaoke catalog.
+ *
+ * Candidates are prefiltered in SQL by three-letter fragments of each query word,
+ * so a typo only knocks out the fragments it touches. Candidates are then scored
+ * word by word: exact words beat prefixes, prefixes beat near-misses.
+ */
+
+const MAX_FRAGMENTS = 24;
+
+/**
+ * Normalize text for matching: lowercase, no accents, no punctuation
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the stored search text for a catalog entry
+ */
+export function buildSearchText(artist, title) {
+  return normalizeText(`${artist} ${title}`);
+}
+
+function getFragments(words) {
+  const fragments = new Set();
+  for (const word of words) {
+    if (word.length <= 3) {
+      fragments.add(word);
+      continue;
+    }
+    for (let i = 0; i <= word.length - 3; i++) {
+      fragments.add(word.slice(i, i + 3));
+    }
+  }
+  return [...fragments].slice(0, MAX_FRAGMENTS);
+}
+
+// Levenshtein distance, giving up early once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function scoreWord(queryWord, candidateWords) {
+  let best = 0;
+  const allowedTypos = queryWord.length >= 7 ? 2 : queryWord.length >= 4 ? 1 : 0;
+
+  for (const word of candidateWords) {
+    if (word === queryWord) return 3;
+    if (word.startsWith(queryWord)) {
+      best = Math.max(best, 2);
+    } else if (allowedTypos > 0 && editDistance(queryWord, word.slice(0, queryWord.length + allowedTypos), allowedTypos) <= allowedTypos) {
+      best = Math.max(best, 1);
+    }
+  }
+  return best;
+}
+
+/**
+ * Search the catalog. Every query word must match something (exactly, as a
+ * prefix, or within a typo or two).
+ */
+export function searchCatalog(query, limit = 10) {
+  const words = normalizeText(query).split(' ').filter(Boolean);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const scored = [];
+  for (const entry of findCatalogCandidates(getFragments(words))) {
+    const candidateWords = entry.search_text.split(' ');
+    let score = 0;
+
+    for (const word of words) {
+      const wordScore = scoreWord(word, candidateWords);
+      if (wordScore === 0) {
+        score = 0;
+        break;
+      }
+      score += wordScore;
+    }
+
+    if (score > 0) {
+      scored.push({ entry, score });
+    }
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.entry.artist.localeCompare(b.entry.artist) || a.entry.title.localeCompare(b.entry.title))
+    .slice(0, limit)
+    .map(({ entry }) => toPublicEntry(entry));
+}
+
+/**
+ * Look up a catalog entry by ID for linking to a song request
+ */
+export function getCatalogSong(catalogId) {
+  const id = parseInt(catalogId);
+  if (!id) {
+    return null;
+  }
+  const entry = getCatalogEntry(id);
+  return entry ? toPublicEntry(entry) : null;
+}
+
+function toPublicEntry({ id, artist, title, duration, tags, source }) {
+  return {
+    id,
+    artist,
+    title,
+    duration,
+    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    source,
+  };
+}
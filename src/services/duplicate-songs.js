@@ -0,0 +1,56 @@
+import { normalizeText } from './catalog.js';
+
+/**
+ * Duplicate Songs Service
+ *
+ * Spots songs requested more than once in a session. Artist and title are
+ * compared after the catalog's normalization, so "Don't Stop Believin'" and
+ * "dont stop believin" by "journey" are the same song.
+ *
+ * Cancelled and rejected requests never happened as far as this is concerned.
+ * Songs already sung and songs still in the queue both count.
+ */
+
+const IGNORED_STATUSES = ['skipped', 'rejected'];
+const SUNG_STATUSES = ['done', 'playing'];
+
+const songKey = (artist, title) => `${normalizeText(artist)}|${normalizeText(title)}`;
+
+const counts = (song) => !IGNORED_STATUSES.includes(song.status);
+
+/**
+ * The earlier request for the same song, if there is one:
+ * { song, sung } where sung means it's been (or is being) performed.
+ * Prefers a performance over a queued request.
+ */
+export function findDuplicateRequest(songs, artist, title) {
+  const key = songKey(artist, title);
+  const matches = songs.filter(song => counts(song) && songKey(song.artist, song.song_title) === key);
+
+  const sung = matches.find(song => SUNG_STATUSES.includes(song.status));
+  if (sung) {
+    return { song: sung, sung: true };
+  }
+  return matches.length > 0 ? { song: matches[0], sung: false } : null;
+}
+
+/**
+ * Map of song ID to the ID of the first request for the same song, for every
+ * song that repeats an earlier one
+ */
+export function findRepeatedSongs(songs) {
+  const firstByKey = new Map();
+  const repeats = new Map();
+
+  const byRequestTime = [...songs].sort((a, b) => a.requested_at.localeCompare(b.requested_at) || a.id - b.id);
+  for (const song of byRequestTime.filter(counts)) {
+    const key = songKey(song.artist, song.song_title);
+    if (firstByKey.has(key)) {
+      repeats.set(song.id, firstByKey.get(key));
+    } else {
+      firstByKey.set(key, song.id);
+    }
+  }
+
+  return repeats;
+}
@@ -0,0 +1,80 @@
+/**
+ * HTML Service
+ *
+ * Encoding for everything the server writes into HTML. Every page and HTMX
+ * partial builds its markup with these, so anything a singer or DJ typed
+ * renders as text.
+ *
+ * - escapeHtml: Text content and quoted attribute values
+ * - escapeUrl: A value used as one path segment of a URL
+ * - toScriptJson: A value embedded in an inline <script>
+ * - tipLinks: The tip payment links shown on singer-facing pages
+ *
+ * Browser scripts that build markup from API data use public/js/escape-html.js.
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+/**
+ * Escape a value for use as HTML text or inside a quoted attribute
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Encode a value as a single URL path segment
+ */
+export function escapeUrl(value) {
+  return encodeURIComponent(String(value ?? ''));
+}
+
+/**
+ * Serialize a value for an inline <script>: valid JavaScript that can't close
+ * the script element or start an HTML comment
+ */
+export function toScriptJson(value) {
+  return JSON.stringify(value ?? null)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * The session's tip options as { key, icon, label, href, qrValue }. href is
+ * null for Zelle, which has no payment link; qrValue is what its QR code holds.
+ */
+export function tipLinks(session) {
+  const links = [];
+
+  if (session.venmo_handle) {
+    const href = `https://venmo.com/${escapeUrl(session.venmo_handle.replace('@', ''))}`;
+    links.push({ key: 'venmo', icon: '💜', label: `Venmo: ${session.venmo_handle}`, href, qrValue: href });
+  }
+  if (session.cashapp_handle) {
+    const href = `https://cash.app/${escapeUrl(session.cashapp_handle.replace('$', ''))}`;
+    links.push({ key: 'cashapp', icon: '💚', label: `Cash App: ${session.cashapp_handle}`, href, qrValue: href });
+  }
+  if (session.zelle_handle) {
+    links.push({ key: 'zelle', icon: '💛', label: `Zelle: ${session.zelle_handle}`, href: null, qrValue: session.zelle_handle });
+  }
+
+  return links;
+}
+
+/**
+ * Attributes for a button that opens the QR modal for a tip option. The
+ * values travel in data attributes, never inside the onclick code.
+ */
+export function qrButtonAttributes(tip) {
+  return `data-qr-value="${escapeHtml(tip.qrValue)}" data-qr-title="${escapeHtml(tip.label)}" onclick="showQRCode(this.dataset.qrValue, this.dataset.qrTitle)"`;
+}
@@ -0,0 +1,113 @@
+/**
+ * Live Updates Service
+ *
+ * Pushes queue and session changes to connected clients over Server-Sent Events.
+ * Clients subscribe per session; mutations publish a small event and clients
+ * refetch whatever they display.
+ *
+ * Events:
+ * - song-added: A new request entered the queue
+ * - reordered: Queue positions changed
+ * - status-changed: A song changed status (or was edited, delayed or removed)
+ * - session-state-changed: The session machine moved to a new state
+ * - submission-flagged: A device or address went over the request rate limits
+ */
+
+// Keep idle connections open through proxies (Fly closes idle streams after ~60s)
+const HEARTBEAT_INTERVAL = 25000;
+
+// Suggested reconnect delay sent to EventSource clients
+const RETRY_INTERVAL = 3000;
+
+// sessionId -> Set of open responses
+const subscribers = new Map();
+
+let heartbeatTimer = null;
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    for (const clients of subscribers.values()) {
+      for (const res of clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  // Don't keep the process alive just for heartbeats
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeatIfIdle() {
+  if (heartbeatTimer && subscribers.size === 0) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Open an event stream on the given response and register it for a session
+ */
+export function subscribeToSession(sessionId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+  if (!subscribers.has(sessionId)) {
+    subscribers.set(sessionId, new Set());
+  }
+  subscribers.get(sessionId).add(res);
+  startHeartbeat();
+
+  req.on('close', () => {
+    const clients = subscribers.get(sessionId);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) {
+        subscribers.delete(sessionId);
+      }
+    }
+    stopHeartbeatIfIdle();
+  });
+}
+
+/**
+ * Publish an event to every client subscribed to a session
+ */
+export function publishSessionEvent(sessionId, type, data = {}) {
+  const clients = subscribers.get(sessionId);
+  if (!clients || clients.size === 0) return;
+
+  const payload = JSON.stringify({ ...data, sessionId, timestamp: new Date().toISOString() });
+  const message = `event: ${type}\ndata: ${payload}\n\n`;
+
+  for (const res of clients) {
+    res.write(message);
+  }
+}
+
+/**
+ * Number of open streams for a session (useful for diagnostics)
+ */
+export function getSubscriberCount(sessionId) {
+  return subscribers.get(sessionId)?.size || 0;
+}
+
+/**
+ * Close every open stream (useful for testing or shutdown)
+ */
+export function closeAllStreams() {
+  for (const clients of subscribers.values()) {
+    for (const res of clients) {
+      res.end();
+    }
+  }
+  subscribers.clear();
+  stopHeartbeatIfIdle();
+}
@@ -0,0 +1,110 @@
+import { getSession, getSongs, reorderSongs } from '../../database.js';
+
+/**
+ * Queue Order Service
+ *
+ * Decides the play order of a session's queue.
+ *
+ * Modes:
+ * - fifo: Songs play in request order (positions are only changed by the DJ)
+ * - rotation: Each singer gets at most one song per round. Singers rotate in the
+ *   order they first joined; a new singer joins the end of the current round.
+ *   Songs the DJ drags into place are pinned at that position.
+ *
+ * The computed order is written back to songs.position, so everything that
+ * reads the queue by position (queue page, DJ dashboard, isNextInQueue guard)
+ * follows it.
+ */
+
+export const QUEUE_MODES = ['fifo', 'rotation'];
+
+// Songs that have left the queue keep their place at the top of the list
+const isQueued = (song) => song.status === 'waiting';
+
+const byPosition = (a, b) => a.position - b.position || a.id - b.id;
+const byRequestTime = (a, b) => a.requested_at.localeCompare(b.requested_at) || a.id - b.id;
+
+/**
+ * Compute the rotation order for a session's songs.
+ * Returns every song in its new order (history first, then the queue).
+ */
+export function computeRotationOrder(songs) {
+  const history = songs.filter(song => !isQueued(song)).sort(byPosition);
+  const queued = songs.filter(isQueued);
+  const pinned = queued.filter(song => song.pinned).sort(byPosition);
+  const unpinned = queued.filter(song => !song.pinned);
+
+  // Rotation list: singers in the order they first requested a song
+  const rotation = [];
+  for (const song of [...songs].sort(byRequestTime)) {
+    if (!rotation.includes(song.singer_name)) {
+      rotation.push(song.singer_name);
+    }
+  }
+
+  // The current round continues after whoever sang most recently
+  const lastPerformed = history.filter(song => song.status === 'playing' || song.status === 'done').pop();
+  const lastIndex = lastPerformed ? rotation.indexOf(lastPerformed.singer_name) : -1;
+
+  // Each singer's waiting songs, oldest request first
+  const pending = new Map(rotation.map(name => [name, []]));
+  for (const song of unpinned.sort(byPosition)) {
+    pending.get(song.singer_name).push(song);
+  }
+
+  const ordered = [];
+  let remaining = unpinned.length;
+
+  // Finish the current round, then run full rounds until every song is placed
+  let round = rotation.slice(lastIndex + 1);
+  while (remaining > 0) {
+    for (const name of round) {
+      const next = pending.get(name).shift();
+      if (next) {
+        ordered.push(next);
+        remaining--;
+      }
+    }
+    round = rotation;
+  }
+
+  // Put pinned songs back at the position the DJ chose
+  const result = [...history, ...ordered];
+  for (const song of pinned) {
+    const index = Math.min(Math.max(song.position - 1, history.length), result.length);
+    result.splice(index, 0, song);
+  }
+
+  return result;
+}
+
+/**
+ * Recompute and persist the play order for a session (no-op in fifo mode)
+ */
+export function refreshQueueOrder(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || session.queue_mode !== 'rotation') {
+    return { changes: 0 };
+  }
+
+  const songs = getSongs(sessionId);
+  const songPositions = computeRotationOrder(songs)
+    .map((song, index) => ({ id: song.id, position: index + 1 }))
+    .filter(({ id, position }) => songs.find(song => song.id === id).position !== position);
+
+  if (songPositions.length === 0) {
+    return { changes: 0 };
+  }
+
+  return reorderSongs(sessionId, songPositions);
+}
+
+/**
+ * Find the next song that can be played (first waiting song by position)
+ */
+export function getNextPlayableSong(sessionId) {
+  const waitingSongs = getSongs(sessionId)
+    .filter(song => song.status === 'waiting')
+    .sort(byPosition);
+  return waitingSongs.length > 0 ? waitingSongs[0] : null;
+}
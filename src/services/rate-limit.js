@@ -0,0 +1,148 @@
+import { hashToken } from './tokens.js';
+import { SESSION_SETTINGS } from './session-settings.js';
+
+/**
+ * Rate Limit Service
+ *
+ * Sliding-window limits on song requests, per session, counted per device
+ * (the singer device cookie) and per network address. Everything lives in
+ * this process: counters reset on restart, which is fine for limits measured
+ * in minutes.
+ *
+ * Requests over a limit are refused and flagged as a burst for the DJ. Repeat
+ * refusals for the same device or address within one window add to the same
+ * burst rather than starting a new one.
+ */
+
+const MAX_WINDOW_MS = SESSION_SETTINGS.rate_limit_window_minutes.max * 60 * 1000;
+
+// Bursts older than this are dropped from the dashboard
+const FLAG_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const MAX_FLAGGED_BURSTS = 20;
+const MAX_BURST_NAMES = 5;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// "sessionId kind client" -> timestamps of accepted requests
+const hits = new Map();
+
+// sessionId -> bursts, newest first
+const flagged = new Map();
+
+let nextBurstId = 1;
+let sweepTimer = null;
+
+/**
+ * A label for the DJ that identifies a client without exposing it:
+ * IPv4 addresses lose their last number, IPv6 addresses keep their network
+ * prefix, devices show a short fingerprint.
+ */
+function describeClient(kind, client) {
+  if (kind === 'device') {
+    return `Device ${hashToken(client).slice(0, 6)}`;
+  }
+
+  const address = client.replace(/^::ffff:/, '');
+  if (address.includes(':')) {
+    return `${address.split(':').slice(0, 4).join(':')}:…`;
+  }
+  return address.replace(/\.\d+$/, '.x');
+}
+
+function startSweeping() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - MAX_WINDOW_MS) {
+        hits.delete(key);
+      }
+    }
+    for (const [sessionId, bursts] of flagged) {
+      const kept = bursts.filter(burst => burst.lastBlockedAt > now - FLAG_RETENTION_MS);
+      if (kept.length > 0) {
+        flagged.set(sessionId, kept);
+      } else {
+        flagged.delete(sessionId);
+      }
+    }
+  }, SWEEP_INTERVAL);
+
+  // Don't keep the process alive just for cleanup
+  sweepTimer.unref();
+}
+
+function flagBurst(sessionId, kind, client, singerName, windowMs, now) {
+  const bursts = flagged.get(sessionId) || [];
+  let burst = bursts.find(existing => existing.kind === kind && existing.client === client && existing.lastBlockedAt > now - windowMs);
+  const isNew = !burst;
+
+  if (isNew) {
+    burst = { id: nextBurstId++, kind, client, label: describeClient(kind, client), attempts: 0, firstBlockedAt: now, lastBlockedAt: now, singerNames: [] };
+    bursts.unshift(burst);
+    flagged.set(sessionId, bursts.slice(0, MAX_FLAGGED_BURSTS));
+  }
+
+  burst.attempts++;
+  burst.lastBlockedAt = now;
+  if (singerName && !burst.singerNames.includes(singerName) && burst.singerNames.length < MAX_BURST_NAMES) {
+    burst.singerNames.push(singerName);
+  }
+
+  return { burst: toPublicBurst(burst), isNew };
+}
+
+const toPublicBurst = ({ client, firstBlockedAt, lastBlockedAt, singerNames, ...burst }) => ({
+  ...burst,
+  firstBlockedAt: new Date(firstBlockedAt).toISOString(),
+  lastBlockedAt: new Date(lastBlockedAt).toISOString(),
+  singerNames: [...singerNames],
+});
+
+/**
+ * Count a song request against the session's limits. Accepted requests are
+ * recorded; refused ones aren't, so a client that backs off gets back in.
+ *
+ * Returns { allowed: true } or
+ * { allowed: false, limitedBy, retryAfterSeconds, burst, isNewBurst }.
+ */
+export function checkSubmissionRate(sessionId, { ip, deviceId, singerName }, settings, now = Date.now()) {
+  const windowMs = settings.rate_limit_window_minutes * 60 * 1000;
+  const limits = [
+    { kind: 'device', client: deviceId, limit: settings.rate_limit_device },
+    { kind: 'ip', client: ip, limit: settings.rate_limit_ip },
+  ].filter(({ client, limit }) => client && limit > 0);
+
+  for (const entry of limits) {
+    entry.key = `${sessionId} ${entry.kind} ${entry.client}`;
+    entry.recent = (hits.get(entry.key) || []).filter(time => time > now - windowMs);
+
+    if (entry.recent.length >= entry.limit) {
+      const { burst, isNew } = flagBurst(sessionId, entry.kind, entry.client, singerName, windowMs, now);
+      return {
+        allowed: false,
+        limitedBy: entry.kind,
+        retryAfterSeconds: Math.max(1, Math.ceil((entry.recent[0] + windowMs - now) / 1000)),
+        burst,
+        isNewBurst: isNew,
+      };
+    }
+  }
+
+  for (const { key, recent } of limits) {
+    hits.set(key, [...recent, now]);
+  }
+  if (limits.length > 0) {
+    startSweeping();
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Bursts of refused requests for a session, newest first
+ */
+export function getFlaggedBursts(sessionId) {
+  return (flagged.get(sessionId) || []).map(toPublicBurst);
+}
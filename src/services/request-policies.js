@@ -0,0 +1,88 @@
+/**
+ * Request Policies Service
+ *
+ * Per-singer limits and the last-call cutoff from a session's settings (see
+ * session-settings.js). The submission route checks them to give singers a
+ * clear answer, then checks them again in the same transaction that adds the
+ * song, so nothing can slip in between the check and the insert.
+ *
+ * Singers are matched by name, the same way the queue groups them. Cancelled
+ * and rejected songs don't count towards the song limits, but still start the
+ * gap before a singer's next request.
+ */
+
+// Songs still to be sung
+const OPEN_STATUSES = ['pending', 'waiting', 'delayed', 'playing'];
+
+// Songs that count towards the night's total
+const COUNTED_STATUSES = [...OPEN_STATUSES, 'done'];
+
+/**
+ * A refused request. `policy` names the setting that refused it and the
+ * message is written for the singer.
+ */
+export class RequestPolicyError extends Error {
+  constructor(policy, message) {
+    super(message);
+    this.name = 'RequestPolicyError';
+    this.policy = policy;
+  }
+}
+
+const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+/**
+ * Check a new request from singerName against the session's policies, given
+ * the session's songs. Returns null if it's allowed, otherwise
+ * { policy, message }.
+ */
+export function findPolicyViolation(songs, singerName, settings, now = Date.now()) {
+  if (settings.last_call_at && now >= Date.parse(settings.last_call_at)) {
+    return {
+      policy: 'last_call_at',
+      message: 'Last call has passed. The DJ isn\'t taking new requests tonight.',
+    };
+  }
+
+  const singerSongs = songs.filter(song => song.singer_name === singerName);
+
+  const counted = singerSongs.filter(song => COUNTED_STATUSES.includes(song.status)).length;
+  if (settings.max_songs_per_singer > 0 && counted >= settings.max_songs_per_singer) {
+    return {
+      policy: 'max_songs_per_singer',
+      message: `${singerName} has already requested ${plural(counted, 'song')} tonight, the most this session allows.`,
+    };
+  }
+
+  const open = singerSongs.filter(song => OPEN_STATUSES.includes(song.status)).length;
+  if (settings.max_waiting_per_singer > 0 && open >= settings.max_waiting_per_singer) {
+    return {
+      policy: 'max_waiting_per_singer',
+      message: `${singerName} already has ${plural(open, 'song')} in the queue. Request another once one has been sung.`,
+    };
+  }
+
+  if (settings.min_submission_gap_minutes > 0 && singerSongs.length > 0) {
+    const lastRequestedAt = Math.max(...singerSongs.map(song => Date.parse(song.requested_at)));
+    const nextAllowedAt = lastRequestedAt + settings.min_submission_gap_minutes * 60 * 1000;
+    if (now < nextAllowedAt) {
+      const minutes = Math.ceil((nextAllowedAt - now) / 60000);
+      return {
+        policy: 'min_submission_gap_minutes',
+        message: `${singerName} can request another song in about ${plural(minutes, 'minute')}.`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Throw a RequestPolicyError if the request isn't allowed
+ */
+export function assertRequestAllowed(songs, singerName, settings, now = Date.now()) {
+  const violation = findPolicyViolation(songs, singerName, settings, now);
+  if (violation) {
+    throw new RequestPolicyError(violation.policy, violation.message);
+  }
+}
@@ -0,0 +1,196 @@
+import { getSession, getSongs, getSingerStats } from '../../database.js';
+import { escapeHtml } from './html.js';
+import { resolveSessionSettings } from './session-settings.js';
+
+/**
+ * Session Export Service
+ *
+ * Gets a night's data out of the app.
+ *
+ * Formats:
+ * - json: Full bundle (session, settings, songs, singer stats), also the format that
+ *   session import reads back
+ * - csv: One row per song, for spreadsheets
+ * - html: Printable setlist
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Bump when the bundle layout changes so imports can reject what they don't understand
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const SESSION_FIELDS = [
+  'id', 'created_at', 'song_duration', 'is_active', 'status', 'queue_mode',
+  'venmo_handle', 'cashapp_handle', 'zelle_handle', 'ends_at', 'break_ends_at',
+  'paused_at', 'paused_seconds',
+];
+
+const SONG_FIELDS = [
+  'id', 'position', 'singer_name', 'artist', 'song_title', 'status',
+  'requested_at', 'started_at', 'ended_at', 'delayed_until', 'delay_minutes',
+  'pinned', 'catalog_id',
+];
+
+const CSV_COLUMNS = [
+  'position', 'singer_name', 'artist', 'song_title', 'status',
+  'requested_at', 'started_at', 'ended_at', 'duration_seconds', 'singer_song_count',
+];
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+/**
+ * Collect everything about a session. Returns null if the session doesn't exist.
+ * Secrets (DJ and manage token hashes) are left out.
+ */
+export function buildSessionExport(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: pick(session, SESSION_FIELDS),
+    settings: resolveSessionSettings(sessionId),
+    songs: getSongs(sessionId).map(song => pick(song, SONG_FIELDS)),
+    singerStats: getSingerStats(sessionId).map(({ singer_name, song_count }) => ({ singer_name, song_count })),
+  };
+}
+
+const performedSeconds = (song) => (song.started_at && song.ended_at
+  ? Math.round((new Date(song.ended_at) - new Date(song.started_at)) / 1000)
+  : null);
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep singer-entered text from running as a spreadsheet formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per song
+ */
+export function toCsv(bundle) {
+  const songCounts = new Map(bundle.singerStats.map(stat => [stat.singer_name, stat.song_count]));
+  const rows = bundle.songs.map(song => ({
+    ...song,
+    duration_seconds: performedSeconds(song),
+    singer_song_count: songCounts.get(song.singer_name) ?? null,
+  }));
+
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+const formatTime = (iso) => (iso
+  ? new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+  : '');
+
+const formatDuration = (seconds) => (seconds === null
+  ? ''
+  : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+
+/**
+ * Printable setlist: performed songs in the order they were sung, then
+ * everything that wasn't, then singer totals
+ */
+export function toSetlistHtml(bundle) {
+  const { session, songs, singerStats } = bundle;
+  const performed = songs
+    .filter(song => song.status === 'done' || song.status === 'playing')
+    .sort((a, b) => (a.started_at || a.requested_at).localeCompare(b.started_at || b.requested_at));
+  const notPerformed = songs.filter(song => !performed.includes(song));
+
+  const tips = [
+    session.venmo_handle && `Venmo: ${session.venmo_handle}`,
+    session.cashapp_handle && `Cash App: ${session.cashapp_handle}`,
+    session.zelle_handle && `Zelle: ${session.zelle_handle}`,
+  ].filter(Boolean);
+
+  const performedRows = performed.map((song, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(formatTime(song.started_at))}</td>
+          <td>${escapeHtml(song.singer_name)}</td>
+          <td>${escapeHtml(song.song_title)}</td>
+          <td>${escapeHtml(song.artist)}</td>
+          <td>${escapeHtml(formatDuration(performedSeconds(song)))}</td>
+        </tr>`).join('');
+
+  const notPerformedRows = notPerformed.map(song => `
+        <tr>
+          <td>${escapeHtml(formatTime(song.requested_at))}</td>
+          <td>${escapeHtml(song.singer_name)}</td>
+          <td>${escapeHtml(song.song_title)}</td>
+          <td>${escapeHtml(song.artist)}</td>
+          <td>${escapeHtml(song.status)}</td>
+        </tr>`).join('');
+
+  const singerRows = singerStats.map(stat => `
+        <tr>
+          <td>${escapeHtml(stat.singer_name)}</td>
+          <td>${stat.song_count}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Setlist - ${escapeHtml(session.id)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 30px auto; padding: 0 20px; color: #111; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 30px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+    .meta { color: #555; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ccc; }
+    th { font-size: 0.85rem; text-transform: uppercase; color: #555; }
+    .print-button { margin-bottom: 20px; padding: 8px 16px; font-size: 1rem; cursor: pointer; }
+    @media print {
+      .print-button { display: none; }
+      body { margin: 0; }
+      tr { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">🖨 Print</button>
+  <h1>🎤 Karaoke Setlist</h1>
+  <div class="meta">
+    Session ${escapeHtml(session.id)} &middot; ${escapeHtml(new Date(session.created_at).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }))}
+    &middot; ${performed.length} performed of ${songs.length} requested
+    ${tips.length > 0 ? `<br>Tips: ${escapeHtml(tips.join(' · '))}` : ''}
+  </div>
+
+  <h2>Performed</h2>
+  ${performed.length > 0 ? `
+  <table>
+    <thead><tr><th>#</th><th>Time</th><th>Singer</th><th>Song</th><th>Artist</th><th>Length</th></tr></thead>
+    <tbody>${performedRows}
+    </tbody>
+  </table>` : '<p>No songs were performed.</p>'}
+
+  ${notPerformed.length > 0 ? `
+  <h2>Not Performed</h2>
+  <table>
+    <thead><tr><th>Requested</th><th>Singer</th><th>Song</th><th>Artist</th><th>Status</th></tr></thead>
+    <tbody>${notPerformedRows}
+    </tbody>
+  </table>` : ''}
+
+  ${singerStats.length > 0 ? `
+  <h2>Singers</h2>
+  <table>
+    <thead><tr><th>Singer</th><th>Songs Requested</th></tr></thead>
+    <tbody>${singerRows}
+    </tbody>
+  </table>` : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,202 @@
+import {
+  getSession,
+  getCatalogEntry,
+  importSession,
+  importSong,
+  setSingerStats,
+  getSessionSongIds,
+  clearSessionData,
+  withTransaction
+} from '../../database.js';
+import { EXPORT_SCHEMA_VERSION } from './session-export.js';
+import { QUEUE_MODES } from './queue-order.js';
+import { generateToken } from './tokens.js';
+import { clearSessionActor, clearSongActor, getSongActor, scheduleSessionTimer } from './state-manager.js';
+import { validateSessionSettings, updateSessionSettings } from './session-settings.js';
+
+/**
+ * Session Import Service
+ *
+ * Restores a session from the JSON bundle written by the session export.
+ *
+ * - Song IDs are reassigned by the database; the old -> new mapping is returned
+ * - Token hashes aren't part of the bundle, so a restored session gets a new
+ *   DJ token (unless it replaces a session that already has one) and songs get
+ *   unguessable manage tokens, so old manage links fail closed
+ * - Catalog links to entries missing on this server are dropped
+ */
+
+const SESSION_STATUSES = ['scheduled', 'active', 'paused', 'intermission', 'ending', 'ended'];
+const SONG_STATUSES = ['pending', 'waiting', 'delayed', 'playing', 'done', 'skipped', 'rejected'];
+
+// Session IDs end up in file paths (QR codes), so keep them plain
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const MAX_REPORTED_PROBLEMS = 20;
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const optionalTimestamp = (value) => (isTimestamp(value) ? value : null);
+
+/**
+ * Check a bundle before importing. Returns a list of problems (empty if valid).
+ */
+export function validateSessionBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['Bundle must be a JSON object'];
+  }
+
+  if (bundle.schemaVersion !== EXPORT_SCHEMA_VERSION) {
+    return [`Unsupported schema version ${JSON.stringify(bundle.schemaVersion)} (expected ${EXPORT_SCHEMA_VERSION})`];
+  }
+
+  const problems = [];
+  const { session, songs, singerStats = [] } = bundle;
+
+  if (!session || typeof session !== 'object') {
+    problems.push('Missing session');
+  } else {
+    if (typeof session.id !== 'string' || !SESSION_ID_PATTERN.test(session.id)) {
+      problems.push('Session ID must be 1-32 letters, numbers, dashes or underscores');
+    }
+    if (!isTimestamp(session.created_at)) {
+      problems.push('Session created_at must be a timestamp');
+    }
+  }
+
+  if (!Array.isArray(songs)) {
+    problems.push('Songs must be an array');
+  } else {
+    songs.forEach((song, index) => {
+      const label = `Song ${index + 1}`;
+      if (!song || typeof song !== 'object') {
+        problems.push(`${label} must be an object`);
+        return;
+      }
+      for (const field of ['singer_name', 'artist', 'song_title']) {
+        if (!isText(song[field])) {
+          problems.push(`${label} is missing ${field}`);
+        }
+      }
+      if (!SONG_STATUSES.includes(song.status)) {
+        problems.push(`${label} has unknown status ${JSON.stringify(song.status)}`);
+      }
+      if (!Number.isInteger(song.position)) {
+        problems.push(`${label} position must be a whole number`);
+      }
+      if (!isTimestamp(song.requested_at)) {
+        problems.push(`${label} requested_at must be a timestamp`);
+      }
+    });
+  }
+
+  if (bundle.settings !== undefined) {
+    problems.push(...validateSessionSettings(bundle.settings).errors.map(error => `Settings: ${error}`));
+  }
+
+  if (!Array.isArray(singerStats) || singerStats.some(stat => !isText(stat?.singer_name) || !Number.isInteger(stat?.song_count))) {
+    problems.push('Singer stats must be a list of { singer_name, song_count }');
+  }
+
+  if (problems.length > MAX_REPORTED_PROBLEMS) {
+    return [...problems.slice(0, MAX_REPORTED_PROBLEMS), `...and ${problems.length - MAX_REPORTED_PROBLEMS} more`];
+  }
+  return problems;
+}
+
+/**
+ * Import a validated bundle. Set overwrite to replace an existing session with
+ * the same ID. Returns { sessionId, djToken, songCount, songIdMap }; djToken is
+ * null when the existing session's DJ token was kept.
+ */
+export function importSessionBundle(bundle, { overwrite = false } = {}) {
+  const { session, songs } = bundle;
+  const existing = getSession(session.id);
+
+  if (existing && !overwrite) {
+    throw new Error(`Session ${session.id} already exists`);
+  }
+
+  const djToken = existing?.dj_token_hash ? null : generateToken();
+  const previousSongIds = existing ? getSessionSongIds(session.id) : [];
+  const songIdMap = {};
+  const delayedSongIds = [];
+
+  // Rebuild singer totals from the songs if the bundle has none
+  const singerStats = bundle.singerStats?.length > 0
+    ? bundle.singerStats
+    : Object.entries(songs.reduce((counts, song) => ({ ...counts, [song.singer_name]: (counts[song.singer_name] || 0) + 1 }), {}))
+      .map(([singer_name, song_count]) => ({ singer_name, song_count }));
+
+  withTransaction(() => {
+    if (existing) {
+      clearSessionData(session.id);
+    }
+
+    importSession({
+      id: session.id,
+      created_at: session.created_at,
+      song_duration: Number.isInteger(session.song_duration) && session.song_duration > 0 ? session.song_duration : 270,
+      is_active: session.is_active === 0 ? 0 : 1,
+      venmo_handle: session.venmo_handle || null,
+      cashapp_handle: session.cashapp_handle || null,
+      zelle_handle: session.zelle_handle || null,
+      status: SESSION_STATUSES.includes(session.status) ? session.status : 'active',
+      dj_token_hash: djToken ? djToken.hash : existing.dj_token_hash,
+      queue_mode: QUEUE_MODES.includes(session.queue_mode) ? session.queue_mode : 'fifo',
+      ends_at: optionalTimestamp(session.ends_at),
+      break_ends_at: optionalTimestamp(session.break_ends_at),
+      paused_at: ['paused', 'intermission'].includes(session.status) ? optionalTimestamp(session.paused_at) : null,
+      paused_seconds: Number.isInteger(session.paused_seconds) && session.paused_seconds > 0 ? session.paused_seconds : 0,
+    });
+
+    for (const song of songs) {
+      const catalogId = Number.isInteger(song.catalog_id) && getCatalogEntry(song.catalog_id) ? song.catalog_id : null;
+      const result = importSong(session.id, {
+        singer_name: song.singer_name.trim(),
+        artist: song.artist.trim(),
+        song_title: song.song_title.trim(),
+        position: song.position,
+        status: song.status,
+        requested_at: song.requested_at,
+        started_at: optionalTimestamp(song.started_at),
+        ended_at: optionalTimestamp(song.ended_at),
+        delayed_until: optionalTimestamp(song.delayed_until),
+        delay_minutes: Number.isInteger(song.delay_minutes) ? song.delay_minutes : null,
+        pinned: song.pinned ? 1 : 0,
+        catalog_id: catalogId,
+        manage_token_hash: generateToken().hash,
+      });
+
+      if (song.id !== undefined && song.id !== null) {
+        songIdMap[song.id] = Number(result.lastInsertRowid);
+      }
+      if (song.status === 'delayed') {
+        delayedSongIds.push(Number(result.lastInsertRowid));
+      }
+    }
+
+    for (const stat of singerStats) {
+      setSingerStats(session.id, stat.singer_name, stat.song_count);
+    }
+
+    // Bundles from before session settings existed leave them as they are
+    if (bundle.settings) {
+      updateSessionSettings(session.id, validateSessionSettings(bundle.settings).changes);
+    }
+  });
+
+  // Cached state machines describe the replaced rows
+  clearSessionActor(session.id);
+  previousSongIds.forEach(clearSongActor);
+  scheduleSessionTimer(session.id);
+  // Imported delays need their timers, as after a restart
+  delayedSongIds.forEach(getSongActor);
+
+  return {
+    sessionId: session.id,
+    djToken: djToken ? djToken.token : null,
+    songCount: songs.length,
+    songIdMap,
+  };
+}
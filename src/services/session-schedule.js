@@ -0,0 +1,59 @@
+/**
+ * Session Schedule Service
+ *
+ * Works out a session's next automatic transition from its status and
+ * settings (see session-settings.js):
+ * - scheduled: START at starts_at (without one the DJ starts the session)
+ * - active / paused: CLOSE at closes_at, or EXPIRE once the session has gone
+ *   inactivity_timeout_hours without activity, whichever comes first
+ * - intermission: INTERMISSION_OVER at the session's break_ends_at, or CLOSE
+ *   if the closing time comes first
+ * - ending: GRACE_EXPIRED at the session's ends_at
+ *
+ * Activity is anything in the audit log not done by the system, counted from
+ * when the session was created or started. The state manager keeps a timer
+ * for each session's next deadline and works it out again when the timer
+ * fires, so activity since it was set just pushes expiry back.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const latest = (...times) => times.filter(Boolean).reduce((a, b) => (Date.parse(a) >= Date.parse(b) ? a : b));
+
+/**
+ * The next automatic transition for a session: { event, at } with an ISO
+ * time (possibly already past), or null if nothing is due
+ */
+export function findNextSessionDeadline(session, settings, lastActivityAt, now = Date.now()) {
+  const status = session.status || 'active';
+
+  if (status === 'scheduled') {
+    return settings.starts_at ? { event: 'START', at: settings.starts_at } : null;
+  }
+
+  if (status === 'ending') {
+    // Ending sessions imported without an end time end straight away
+    return { event: 'GRACE_EXPIRED', at: session.ends_at || new Date(now).toISOString() };
+  }
+
+  if (!['active', 'paused', 'intermission'].includes(status)) {
+    return null;
+  }
+
+  const deadlines = [];
+  if (settings.closes_at) {
+    deadlines.push({ event: 'CLOSE', at: settings.closes_at });
+  }
+  if (status === 'intermission') {
+    deadlines.push({ event: 'INTERMISSION_OVER', at: session.break_ends_at || new Date(now).toISOString() });
+  } else if (settings.inactivity_timeout_hours > 0) {
+    const startedAt = settings.starts_at && Date.parse(settings.starts_at) <= now ? settings.starts_at : null;
+    const since = Date.parse(latest(session.created_at, startedAt, lastActivityAt));
+    deadlines.push({
+      event: 'EXPIRE',
+      at: new Date(since + settings.inactivity_timeout_hours * HOUR).toISOString(),
+    });
+  }
+
+  return deadlines.reduce((next, deadline) => (!next || Date.parse(deadline.at) < Date.parse(next.at) ? deadline : next), null);
+}
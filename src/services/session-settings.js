@@ -0,0 +1,104 @@
+import { getSessionSettings, saveSessionSettings } from '../../database.js';
+
+/**
+ * Session Settings Service
+ *
+ * Per-session settings the DJ changes from the dashboard. Sessions start with
+ * the defaults below; the first change saves a row in session_settings.
+ *
+ * Settings:
+ * - rate_limit_device: Song requests one phone can make per window (0 = no limit)
+ * - rate_limit_ip: Song requests one network address can make per window
+ *   (0 = no limit). Venue wifi puts many phones behind one address, so this
+ *   sits well above the per-device limit
+ * - rate_limit_window_minutes: Length of the rate limit window
+ * - require_approval: 1 to hold new requests as pending until the DJ approves them
+ * - max_songs_per_singer: Songs one singer can request in the session (0 = no limit)
+ * - max_waiting_per_singer: Songs one singer can have in the queue at once (0 = no limit)
+ * - min_submission_gap_minutes: Minutes a singer waits between requests (0 = none)
+ * - last_call_at: Time after which new requests are refused (null = no cutoff)
+ * - block_duplicates: 1 to refuse songs already requested tonight instead of
+ *   warning the singer (see duplicate-songs.js)
+ * - starts_at: When a scheduled session starts (null = when the DJ starts it)
+ * - closes_at: When the session starts ending by itself (null = no closing time)
+ * - ending_grace_minutes: Minutes an ending session waits before it ends
+ * - inactivity_timeout_hours: Hours without activity before the session ends
+ *   by itself (0 = never)
+ *
+ * The lifecycle settings are timed in session-schedule.js.
+ * The request policies are enforced in request-policies.js.
+ */
+
+export const SESSION_SETTINGS = {
+  rate_limit_device: { defaultValue: 5, min: 0, max: 50, label: 'Requests per device' },
+  rate_limit_ip: { defaultValue: 20, min: 0, max: 500, label: 'Requests per network address' },
+  rate_limit_window_minutes: { defaultValue: 10, min: 1, max: 120, label: 'Rate limit window (minutes)' },
+  require_approval: { defaultValue: 0, min: 0, max: 1, label: 'Require DJ approval' },
+  max_songs_per_singer: { defaultValue: 0, min: 0, max: 50, label: 'Songs per singer' },
+  max_waiting_per_singer: { defaultValue: 0, min: 0, max: 20, label: 'Queued songs per singer' },
+  min_submission_gap_minutes: { defaultValue: 0, min: 0, max: 120, label: 'Minutes between requests' },
+  last_call_at: { defaultValue: null, type: 'datetime', label: 'Last call' },
+  block_duplicates: { defaultValue: 0, min: 0, max: 1, label: 'Block repeat songs' },
+  starts_at: { defaultValue: null, type: 'datetime', label: 'Start time' },
+  closes_at: { defaultValue: null, type: 'datetime', label: 'Closing time' },
+  ending_grace_minutes: { defaultValue: 5, min: 0, max: 60, label: 'Grace period (minutes)' },
+  inactivity_timeout_hours: { defaultValue: 6, min: 0, max: 48, label: 'Hours before an idle session ends' },
+};
+
+export const DEFAULT_SESSION_SETTINGS = Object.fromEntries(
+  Object.entries(SESSION_SETTINGS).map(([key, { defaultValue }]) => [key, defaultValue])
+);
+
+/**
+ * A session's settings, with defaults for anything never saved
+ */
+export function resolveSessionSettings(sessionId) {
+  const saved = getSessionSettings(sessionId) || {};
+  return Object.fromEntries(
+    Object.keys(SESSION_SETTINGS).map(key => [key, saved[key] ?? DEFAULT_SESSION_SETTINGS[key]])
+  );
+}
+
+/**
+ * Check a partial settings update. Returns { changes, errors }; unknown keys
+ * are errors so typos don't silently do nothing.
+ */
+export function validateSessionSettings(input) {
+  const changes = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, errors: ['Settings must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const setting = SESSION_SETTINGS[key];
+    if (!setting) {
+      errors.push(`Unknown setting: ${key}`);
+    } else if (setting.type === 'datetime') {
+      // An ISO date and time, or null to clear it
+      if (value === null) {
+        changes[key] = null;
+      } else if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        errors.push(`${setting.label} must be a date and time`);
+      } else {
+        changes[key] = new Date(value).toISOString();
+      }
+    } else if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+      errors.push(`${setting.label} must be a whole number from ${setting.min} to ${setting.max}`);
+    } else {
+      changes[key] = value;
+    }
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Apply a validated update and return the session's full settings
+ */
+export function updateSessionSettings(sessionId, changes) {
+  const settings = { ...resolveSessionSettings(sessionId), ...changes };
+  saveSessionSettings(sessionId, settings);
+  return settings;
+}
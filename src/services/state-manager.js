@@ -2,24 +2,162 @@ import { createActor } from 'xstate';
 import { songMachine, createSongMachine, getStateFromStatus as getSongStateFromStatus, getStatusFromState as getSongStatusFromState } from '../machines/song-machine.js';
 import { sessionMachine, createSessionMachine, getStateFromStatus as getSessionStateFromStatus, getStatusFromState as getSessionStatusFromState } from '../machines/session-machine.js';
 import {
-  getSongs,
   getSongById,
+  getSongs,
+  updateSongPosition,
   updateSongStatus as dbUpdateSongStatus,
+  setSongStartedAt,
+  setSongEndedAt,
+  setSongDelay,
+  getDelayedSongs,
   getSession,
-  updateSessionStatus as dbUpdateSessionStatus
-} from '../../database-sqlite.js';
+  updateSessionStatus as dbUpdateSessionStatus,
+  setSessionEndsAt,
+  setSessionBreakEndsAt,
+  setSessionPause,
+  getUnfinishedSessions,
+  getLastActivityAt
+} from '../../database.js';
+import { publishSessionEvent } from './live-updates.js';
+import { resolveSessionSettings, updateSessionSettings } from './session-settings.js';
+import { findNextSessionDeadline } from './session-schedule.js';
+import { getNextPlayableSong, refreshQueueOrder } from './queue-order.js';
+import { recordEvent, recordSongEvent } from './audit-log.js';
 
 /**
  * State Manager Service
  *
  * Provides integration between XState machines and the database layer.
  * Manages state machine instances and ensures state changes are persisted.
+ *
+ * Timers don't survive a restart: actors restored from the database don't
+ * reschedule a state's `after` transitions, so restoreDelayedSongs() sets a
+ * timer of its own for each delayed song at startup. Session timers (start,
+ * closing time, expiry, grace period) are always kept here, one per session,
+ * and restoreSessionTimers() sets them up at startup.
+ *
+ * Every song status change goes through a song's machine, so its guards apply
+ * whichever route asked for it. Refused events throw InvalidTransitionError,
+ * which carries the events the song would accept instead.
  */
 
 // In-memory cache of active state machine actors
 const songActors = new Map();
 const sessionActors = new Map();
 
+// Event and actor role being handled by each actor, for the audit log.
+// Transitions with no entry here (timers) are recorded as the system.
+const songEventSources = new Map();
+const sessionEventSources = new Map();
+
+// songId -> timer returning a restored delayed song to the queue
+const delayTimers = new Map();
+
+// Delay timers don't hold the process open by themselves; the server does that
+const unrefSetTimeout = (callback, ms) => {
+  const timer = setTimeout(callback, ms);
+  timer.unref();
+  return timer;
+};
+const timerClock = { setTimeout: unrefSetTimeout, clearTimeout };
+
+// Events routes may send a song; DELAY_EXPIRED and EDIT are the machine's own
+export const SONG_EVENTS = ['APPROVE', 'REJECT', 'PLAY', 'COMPLETE', 'SKIP', 'DELAY'];
+
+// Events the DJ may send a session; CLOSE, EXPIRE, GRACE_EXPIRED and
+// INTERMISSION_OVER come only from the session's timer
+export const SESSION_EVENTS = ['START', 'PAUSE', 'RESUME', 'BREAK', 'END', 'CANCEL_END'];
+
+// Events that move a song into each status, for callers that ask for a status
+const STATUS_EVENTS = {
+  waiting: ['APPROVE', 'DELAY_EXPIRED'],
+  playing: ['PLAY'],
+  done: ['COMPLETE'],
+  skipped: ['SKIP'],
+  rejected: ['REJECT'],
+};
+
+// Statuses a song can be moved into by name
+export const SETTABLE_SONG_STATUSES = Object.keys(STATUS_EVENTS);
+
+/**
+ * An event a song's or session's machine won't accept in its current state.
+ * `state` is the machine's state and `allowedEvents` the events it would
+ * accept.
+ */
+export class InvalidTransitionError extends Error {
+  constructor(message, state, allowedEvents) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.state = state;
+    this.allowedEvents = allowedEvents;
+  }
+}
+
+const getAllowedEvents = (snapshot) => SONG_EVENTS.filter(type => snapshot.can({ type }));
+
+// Session states in which the queue doesn't advance, so no song can start
+const HALTED_SESSION_MESSAGES = {
+  paused: 'Songs can\'t start while the session is paused',
+  intermission: 'Songs can\'t start while the DJ is on a break',
+  ended: 'Songs can\'t start after the session has ended',
+};
+
+// The session's state if it keeps songs from starting, otherwise null
+function getHaltedSessionState(sessionId) {
+  const state = getSessionActor(sessionId)?.getSnapshot().value;
+  return state in HALTED_SESSION_MESSAGES ? state : null;
+}
+
+// Session statuses that count as paused time in the stats
+const PAUSED_SESSION_STATUSES = ['paused', 'intermission'];
+
+// Whether a song other than songId is playing in the session
+function isOtherSongPlaying(sessionId, songId) {
+  return getSongs(sessionId).some(song => song.status === 'playing' && song.id !== songId);
+}
+
+function refusal(snapshot, eventType) {
+  const { value, context } = snapshot;
+  let message = `Can't ${eventType.toLowerCase()} a song that is ${value}`;
+  if (eventType === 'PLAY' && value === 'waiting') {
+    const haltedState = getHaltedSessionState(context.sessionId);
+    if (haltedState) {
+      message = HALTED_SESSION_MESSAGES[haltedState];
+    } else if (isOtherSongPlaying(context.sessionId, context.songId)) {
+      message = 'Another song is already playing';
+    } else {
+      message = 'Only the next song in the queue can start';
+    }
+  }
+  return new InvalidTransitionError(message, value, getAllowedEvents(snapshot));
+}
+
+// sessionId -> timer for the session's next automatic transition
+const sessionTimers = new Map();
+
+// Longest wait setTimeout allows (about 24.8 days); longer waits check back then
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function clearDelayTimer(songId) {
+  clearTimeout(delayTimers.get(songId));
+  delayTimers.delete(songId);
+}
+
+// Return a restored delayed song to the queue when its delay ends. A delay
+// longer than setTimeout allows is checked again when the timer fires.
+function scheduleDelayTimer(songId, delayedUntil) {
+  const remaining = Math.max(0, (Date.parse(delayedUntil) || 0) - Date.now());
+  delayTimers.set(songId, unrefSetTimeout(() => {
+    delayTimers.delete(songId);
+    if (Date.parse(delayedUntil) > Date.now()) {
+      scheduleDelayTimer(songId, delayedUntil);
+      return;
+    }
+    sendSongEvent(songId, { type: 'DELAY_EXPIRED' });
+  }, Math.min(remaining, MAX_TIMER_MS)));
+}
+
 /**
  * Song State Management
  */
@@ -28,6 +166,9 @@ const sessionActors = new Map();
  * Get or create a song actor for the given song ID
  */
 export function getSongActor(songId) {
+  // Route params arrive as strings; cache by numeric ID
+  songId = Number(songId);
+
   if (songActors.has(songId)) {
     return songActors.get(songId);
   }
@@ -37,58 +178,126 @@ export function getSongActor(songId) {
     return null;
   }
 
-  // Determine if this song is next in queue
-  const sessionSongs = getSongs(songData.session_id);
-  const waitingSongs = sessionSongs
-    .filter(s => s.status === 'waiting')
-    .sort((a, b) => a.position - b.position);
-  const isNextInQueue = waitingSongs.length > 0 && waitingSongs[0].id === songId;
+  // Determine if this song is next in queue (follows the session's ordering mode)
+  const isNextInQueue = getNextPlayableSong(songData.session_id)?.id === songId;
 
   // Create machine with song context
   const machine = songMachine.provide({
     guards: {
-      isNextInQueue: ({ context }) => context.isNextInQueue === true,
+      // Checked against the live session and queue, since actors outlive both
+      sessionIsRunning: ({ context }) => !getHaltedSessionState(context.sessionId),
+      isNextInQueue: ({ context }) => getNextPlayableSong(context.sessionId)?.id === context.songId,
+      noOtherSongPlaying: ({ context }) => !isOtherSongPlaying(context.sessionId, context.songId),
       canBeDelayed: ({ context }) => context.delayedUntil === null,
       canBeEdited: () => true,
     },
+    actions: {
+      // Save the delay so it can be restored after a restart
+      startDelayTimer: ({ context }) => {
+        console.log(`Song ${context.songId} delayed until ${context.delayedUntil}`);
+        setSongDelay(context.songId, context.delayedUntil, context.delayMinutes);
+      },
+      clearDelayTimer: ({ context }) => {
+        console.log(`Song ${context.songId} delay cleared`);
+        clearDelayTimer(context.songId);
+        setSongDelay(context.songId, null, null);
+      },
+      // Record real performance times for wait estimates
+      markAsPlaying: ({ context }) => {
+        console.log(`Song ${context.songId} is now playing`);
+        setSongStartedAt(context.songId, new Date().toISOString());
+      },
+      markAsDone: ({ context }) => {
+        console.log(`Song ${context.songId} marked as done`);
+        setSongEndedAt(context.songId, new Date().toISOString());
+      },
+      // Approved songs join the end of the queue, not the place they were requested at
+      markAsApproved: ({ context }) => {
+        console.log(`Song ${context.songId} approved`);
+        const lastPosition = getSongs(context.sessionId).reduce((max, song) => Math.max(max, song.position), 0);
+        if (getSongById(context.songId).position !== lastPosition) {
+          updateSongPosition(context.songId, lastPosition + 1);
+        }
+      },
+    },
   });
 
   const actor = createActor(machine, {
+    clock: timerClock,
     snapshot: machine.resolveState({
       value: getSongStateFromStatus(songData.status),
       context: {
         songId: songData.id,
         sessionId: songData.session_id,
         position: songData.position,
-        delayedUntil: songData.delayed_until,
-        delayMinutes: songData.delay_minutes,
+        // Leftover delay columns on a song back in the queue would block the next DELAY
+        delayedUntil: songData.status === 'delayed' ? songData.delayed_until : null,
+        delayMinutes: songData.status === 'delayed' ? songData.delay_minutes : null,
         isNextInQueue,
       },
     }),
   });
 
-  // Subscribe to state changes and persist to database
+  // Subscribe to state changes, persist to database and notify live clients
+  let lastStatus = songData.status;
   actor.subscribe((state) => {
     const newStatus = getSongStatusFromState(state);
     dbUpdateSongStatus(songId, newStatus);
+
+    if (newStatus !== lastStatus) {
+      const source = songEventSources.get(songId) || { event: null, actorRole: 'system' };
+      recordSongEvent(getSongById(songId) || songData, 'status-changed', source.actorRole, {
+        from: lastStatus,
+        to: newStatus,
+        event: source.event,
+      });
+
+      lastStatus = newStatus;
+      refreshQueueOrder(songData.session_id);
+      publishSessionEvent(songData.session_id, 'status-changed', {
+        songId: songData.id,
+        status: newStatus,
+      });
+    }
   });
 
   actor.start();
   songActors.set(songId, actor);
 
+  if (songData.status === 'delayed') {
+    scheduleDelayTimer(songId, songData.delayed_until);
+  }
+
   return actor;
 }
 
+/**
+ * Recreate actors for delayed songs (at startup), so each returns to the
+ * queue when its delay runs out. Returns how many were restored.
+ */
+export function restoreDelayedSongs() {
+  const songs = getDelayedSongs();
+  for (const song of songs) {
+    getSongActor(song.id);
+  }
+  return songs.length;
+}
+
 /**
  * Send an event to a song's state machine
  */
-export function sendSongEvent(songId, event) {
+export function sendSongEvent(songId, event, actorRole = 'system') {
   const actor = getSongActor(songId);
   if (!actor) {
     throw new Error(`Song ${songId} not found`);
   }
 
-  actor.send(event);
+  songEventSources.set(Number(songId), { event: event.type, actorRole });
+  try {
+    actor.send(event);
+  } finally {
+    songEventSources.delete(Number(songId));
+  }
   return { success: true, state: actor.getSnapshot().value };
 }
 
@@ -105,36 +314,116 @@ export function getSongState(songId) {
   return {
     value: snapshot.value,
     context: snapshot.context,
+    allowedEvents: getAllowedEvents(snapshot),
     can: {
       play: snapshot.can({ type: 'PLAY' }),
       skip: snapshot.can({ type: 'SKIP' }),
       delay: snapshot.can({ type: 'DELAY' }),
       edit: snapshot.can({ type: 'EDIT' }),
+      approve: snapshot.can({ type: 'APPROVE' }),
+      reject: snapshot.can({ type: 'REJECT' }),
     },
   };
 }
 
 /**
- * Transition a song to a new state
+ * Transition a song to a new state. `event` is an event type or an event
+ * object (DELAY carries its end time). Throws InvalidTransitionError if the
+ * song's machine won't accept it.
  */
-export function transitionSong(songId, event) {
+export function transitionSong(songId, event, actorRole = 'system') {
+  songId = Number(songId);
+  if (typeof event === 'string') {
+    event = { type: event };
+  }
+
   try {
-    const result = sendSongEvent(songId, { type: event });
+    const actor = getSongActor(songId);
+    if (!actor) {
+      throw new Error(`Song ${songId} not found`);
+    }
+
+    const snapshot = actor.getSnapshot();
+    if (!snapshot.can(event)) {
+      throw refusal(snapshot, event.type);
+    }
+
+    const result = sendSongEvent(songId, event, actorRole);
 
     // Clean up actor if in final state
-    const actor = songActors.get(songId);
-    if (actor && actor.getSnapshot().status === 'done') {
+    if (actor.getSnapshot().status === 'done') {
       actor.stop();
       songActors.delete(songId);
     }
 
     return result;
   } catch (error) {
-    console.error(`Error transitioning song ${songId}:`, error);
+    if (!(error instanceof InvalidTransitionError)) {
+      console.error(`Error transitioning song ${songId}:`, error);
+    }
     throw error;
   }
 }
 
+/**
+ * Move a song into a status by sending whichever event gets it there from its
+ * current state. Asking for the status it already has changes nothing.
+ */
+export function transitionSongToStatus(songId, status, actorRole = 'system') {
+  const actor = getSongActor(songId);
+  if (!actor) {
+    throw new Error(`Song ${songId} not found`);
+  }
+
+  const snapshot = actor.getSnapshot();
+  if (getSongStatusFromState(snapshot) === status) {
+    return { success: true, state: snapshot.value };
+  }
+
+  const events = STATUS_EVENTS[status] || [];
+  const event = events.find(type => snapshot.can({ type }));
+  if (!event && events.length === 1) {
+    throw refusal(snapshot, events[0]);
+  }
+  if (!event) {
+    throw new InvalidTransitionError(
+      `Can't move a song that is ${snapshot.value} to ${status}`,
+      snapshot.value,
+      getAllowedEvents(snapshot)
+    );
+  }
+
+  return transitionSong(songId, event, actorRole);
+}
+
+/**
+ * Put a song back into an earlier status, for undo and redo. The machine has
+ * no events that go backwards, so this checks the session-wide rules its
+ * guards enforce (one song playing at a time, and only while the session is
+ * running) before writing the status.
+ * The song's actor is rebuilt from the database on next use.
+ */
+export function restoreSongStatus(songId, status) {
+  const song = getSongById(songId);
+  if (!song) {
+    throw new Error(`Song ${songId} not found`);
+  }
+
+  if (status === 'playing') {
+    const haltedState = getHaltedSessionState(song.session_id);
+    const message = haltedState
+      ? HALTED_SESSION_MESSAGES[haltedState]
+      : isOtherSongPlaying(song.session_id, song.id) && 'Another song is already playing';
+    if (message) {
+      const snapshot = getSongActor(song.id).getSnapshot();
+      throw new InvalidTransitionError(message, snapshot.value, getAllowedEvents(snapshot));
+    }
+  }
+
+  dbUpdateSongStatus(song.id, status);
+  clearSongActor(song.id);
+}
+
 /**
  * Validate if a song can transition to a new state
  */
@@ -150,6 +439,8 @@ export function canTransitionSong(songId, event) {
     delay: 'DELAY',
     edit: 'EDIT',
     complete: 'COMPLETE',
+    approve: 'APPROVE',
+    reject: 'REJECT',
   };
 
   const eventType = eventMap[event.toLowerCase()];
@@ -160,10 +451,11 @@ export function canTransitionSong(songId, event) {
  * Clear a song actor from memory
  */
 export function clearSongActor(songId) {
-  const actor = songActors.get(songId);
+  clearDelayTimer(Number(songId));
+  const actor = songActors.get(Number(songId));
   if (actor) {
     actor.stop();
-    songActors.delete(songId);
+    songActors.delete(Number(songId));
   }
 }
 
@@ -171,6 +463,37 @@ export function clearSongActor(songId) {
  * Session State Management
  */
 
+/**
+ * Time pauses as a session moves between statuses. Going from a pause to a
+ * break is one pause. Returns the length in seconds of a pause that has just
+ * finished, otherwise null.
+ */
+function recordPauseTime(sessionId, from, to) {
+  const wasPaused = PAUSED_SESSION_STATUSES.includes(from);
+  const isPaused = PAUSED_SESSION_STATUSES.includes(to);
+  const session = getSession(sessionId);
+
+  if (isPaused && !wasPaused) {
+    setSessionPause(sessionId, new Date().toISOString(), session.paused_seconds);
+    return null;
+  }
+  if (wasPaused && !isPaused && session.paused_at) {
+    const seconds = Math.max(0, Math.round((Date.now() - Date.parse(session.paused_at)) / 1000));
+    setSessionPause(sessionId, null, session.paused_seconds + seconds);
+    return seconds;
+  }
+  return null;
+}
+
+/**
+ * Total seconds a session has spent paused or on a break, including a pause
+ * still going on
+ */
+export function getPausedSeconds(session, now = Date.now()) {
+  const current = session.paused_at ? Math.max(0, Math.round((now - Date.parse(session.paused_at)) / 1000)) : 0;
+  return (session.paused_seconds || 0) + current;
+}
+
 /**
  * Get or create a session actor for the given session ID
  */
@@ -185,7 +508,31 @@ export function getSessionActor(sessionId) {
   }
 
   // Create machine with session context
-  const machine = sessionMachine.provide({});
+  const machine = sessionMachine.provide({
+    actions: {
+      // Save when the grace period ends so it can be restored after a restart
+      startGracePeriod: ({ context }) => {
+        const { ending_grace_minutes } = resolveSessionSettings(context.sessionId);
+        setSessionEndsAt(context.sessionId, new Date(Date.now() + ending_grace_minutes * 60 * 1000).toISOString());
+      },
+      clearGracePeriod: ({ context }) => {
+        setSessionEndsAt(context.sessionId, null);
+      },
+      // Save when the break ends, for the resume timer and singers' countdowns
+      startIntermission: ({ context }) => {
+        setSessionBreakEndsAt(context.sessionId, context.breakEndsAt);
+      },
+      clearIntermission: ({ context }) => {
+        setSessionBreakEndsAt(context.sessionId, null);
+      },
+      clearPassedClosingTime: ({ context }) => {
+        const { closes_at } = resolveSessionSettings(context.sessionId);
+        if (closes_at && Date.parse(closes_at) <= Date.now()) {
+          updateSessionSettings(context.sessionId, { closes_at: null });
+        }
+      },
+    },
+  });
 
   const actor = createActor(machine, {
     snapshot: machine.resolveState({
@@ -199,14 +546,34 @@ export function getSessionActor(sessionId) {
           cashapp_handle: sessionData.cashapp_handle,
           zelle_handle: sessionData.zelle_handle,
         },
+        breakEndsAt: sessionData.status === 'intermission' ? sessionData.break_ends_at : null,
       },
     }),
   });
 
-  // Subscribe to state changes and persist to database
+  // Subscribe to state changes, persist to database and notify live clients
+  let lastStatus = sessionData.status || 'active';
   actor.subscribe((state) => {
     const newStatus = getSessionStatusFromState(state);
     dbUpdateSessionStatus(sessionId, newStatus);
+
+    if (newStatus !== lastStatus) {
+      const source = sessionEventSources.get(sessionId) || { event: null, actorRole: 'system' };
+      const pausedSeconds = recordPauseTime(sessionId, lastStatus, newStatus);
+      recordEvent(sessionId, 'session-state-changed', {
+        actorRole: source.actorRole,
+        payload: {
+          from: lastStatus,
+          to: newStatus,
+          event: source.event,
+          ...(pausedSeconds !== null && { paused_seconds: pausedSeconds }),
+        },
+      });
+
+      lastStatus = newStatus;
+      scheduleSessionTimer(sessionId);
+      publishSessionEvent(sessionId, 'session-state-changed', { state: newStatus });
+    }
   });
 
   actor.start();
@@ -218,13 +585,18 @@ export function getSessionActor(sessionId) {
 /**
  * Send an event to a session's state machine
  */
-export function sendSessionEvent(sessionId, event) {
+export function sendSessionEvent(sessionId, event, actorRole = 'system') {
   const actor = getSessionActor(sessionId);
   if (!actor) {
     throw new Error(`Session ${sessionId} not found`);
   }
 
-  actor.send(event);
+  sessionEventSources.set(sessionId, { event: event.type, actorRole });
+  try {
+    actor.send(event);
+  } finally {
+    sessionEventSources.delete(sessionId);
+  }
   return { success: true, state: actor.getSnapshot().value };
 }
 
@@ -244,32 +616,112 @@ export function getSessionState(sessionId) {
     can: {
       pause: snapshot.can({ type: 'PAUSE' }),
       resume: snapshot.can({ type: 'RESUME' }),
+      break: snapshot.can({ type: 'BREAK' }),
       end: snapshot.can({ type: 'END' }),
     },
   };
 }
 
 /**
- * Transition a session to a new state
+ * Transition a session to a new state. `event` is an event type or an event
+ * object (BREAK carries its end time). Throws InvalidTransitionError if the
+ * session's machine won't accept it.
  */
-export function transitionSession(sessionId, event) {
+export function transitionSession(sessionId, event, actorRole = 'system') {
+  if (typeof event === 'string') {
+    event = { type: event };
+  }
+
   try {
-    const result = sendSessionEvent(sessionId, { type: event });
+    const actor = getSessionActor(sessionId);
+    if (!actor) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const snapshot = actor.getSnapshot();
+    if (!snapshot.can(event)) {
+      throw new InvalidTransitionError(
+        `Can't ${event.type.toLowerCase()} a session that is ${snapshot.value}`,
+        snapshot.value,
+        SESSION_EVENTS.filter(type => snapshot.can({ type }))
+      );
+    }
+
+    const result = sendSessionEvent(sessionId, event, actorRole);
 
     // Clean up actor if in final state
-    const actor = sessionActors.get(sessionId);
-    if (actor && actor.getSnapshot().status === 'done') {
+    if (actor.getSnapshot().status === 'done') {
       actor.stop();
       sessionActors.delete(sessionId);
     }
 
     return result;
   } catch (error) {
-    console.error(`Error transitioning session ${sessionId}:`, error);
+    if (!(error instanceof InvalidTransitionError)) {
+      console.error(`Error transitioning session ${sessionId}:`, error);
+    }
     throw error;
   }
 }
 
+/**
+ * Set (or reset) the timer for a session's next automatic transition. Call it
+ * whenever something the schedule depends on changes; state changes do it
+ * themselves. Returns the deadline ({ event, at }) or null.
+ */
+export function scheduleSessionTimer(sessionId) {
+  clearTimeout(sessionTimers.get(sessionId));
+  sessionTimers.delete(sessionId);
+
+  const session = getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const deadline = findNextSessionDeadline(session, resolveSessionSettings(sessionId), getLastActivityAt(sessionId));
+  if (!deadline) {
+    return null;
+  }
+  // A timer for an unreadable time would fire straight away, over and over
+  if (Number.isNaN(Date.parse(deadline.at))) {
+    console.error(`Session ${sessionId} has an invalid ${deadline.event} time: ${deadline.at}`);
+    return null;
+  }
+
+  const wait = Math.min(Math.max(0, Date.parse(deadline.at) - Date.now()), MAX_TIMER_MS);
+  sessionTimers.set(sessionId, unrefSetTimeout(() => {
+    sessionTimers.delete(sessionId);
+    runSessionTimer(sessionId);
+  }, wait));
+
+  return deadline;
+}
+
+// Send the session's automatic event if it's due; the state change sets the
+// next timer. Activity or a settings change since the timer was set may have
+// moved the deadline, so check again first.
+function runSessionTimer(sessionId) {
+  try {
+    const session = getSession(sessionId);
+    const deadline = session && findNextSessionDeadline(session, resolveSessionSettings(sessionId), getLastActivityAt(sessionId));
+    if (deadline && Date.parse(deadline.at) <= Date.now()) {
+      transitionSession(sessionId, deadline.event);
+      return;
+    }
+    scheduleSessionTimer(sessionId);
+  } catch (error) {
+    console.error(`Error running timer for session ${sessionId}:`, error);
+  }
+}
+
+/**
+ * Set up timers for every session that hasn't ended (at startup). Returns
+ * how many sessions have something scheduled.
+ */
+export function restoreSessionTimers() {
+  return getUnfinishedSessions().filter(session => scheduleSessionTimer(session.id)).length;
+}
+
 /**
  * Clear a session actor from memory
  */
@@ -285,6 +737,13 @@ export function clearSessionActor(sessionId) {
  * Clear all actors (useful for testing or shutdown)
  */
 export function clearAllActors() {
+  for (const songId of delayTimers.keys()) {
+    clearDelayTimer(songId);
+  }
+  for (const timer of sessionTimers.values()) {
+    clearTimeout(timer);
+  }
+  sessionTimers.clear();
   for (const [id, actor] of songActors.entries()) {
     actor.stop();
   }
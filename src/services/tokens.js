@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+/**
+ * Token Service
+ *
+ * Generates secret tokens and the hashes stored in the database.
+ * Plain tokens are only ever returned to the client once; the database
+ * keeps a SHA-256 hash so a leaked database doesn't leak control.
+ */
+
+/**
+ * Hash a plain token for storage or comparison
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a new secret token and its hash
+ */
+export function generateToken(length = 32) {
+  const token = nanoid(length);
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Compare a plain token against a stored hash in constant time
+ */
+export function tokenMatchesHash(token, storedHash) {
+  if (!token || !storedHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
@@ -0,0 +1,207 @@
+import {
+  getSongs,
+  getSongByIdWithDeleted,
+  setSongTimes,
+  deleteSong,
+  restoreSong,
+  reorderSongs,
+  setSongPinned,
+  updateSongDetails,
+  addUndoEntry,
+  getLastUndoEntry,
+  getNextRedoEntry,
+  setUndoEntryState,
+  withTransaction
+} from '../../database.js';
+import { clearSongActor, getSongActor, restoreSongStatus } from './state-manager.js';
+import { refreshQueueOrder } from './queue-order.js';
+
+/**
+ * Undo History Service
+ *
+ * Server-side undo/redo for DJ actions, shared by every device running the
+ * dashboard and kept across reloads.
+ *
+ * Each action is stored with the operations that reverse it (undo_ops) and
+ * the operations that apply it again (redo_ops):
+ * - status: Set a song's status and performance timestamps
+ * - delete / restore: Soft-delete or bring back a song
+ * - order: Set positions and pins for a set of songs
+ * - details: Set a song's artist and title
+ *
+ * Undo takes the newest done action; redo takes the oldest undone one.
+ * Recording a new action drops anything left to redo.
+ *
+ * Status operations are checked by the state manager, so undo can't leave two
+ * songs playing. A refused action throws InvalidTransitionError and changes
+ * nothing.
+ */
+
+const songLabel = (song) => `"${song.song_title}" (${song.singer_name})`;
+
+const statusOp = (song) => ({
+  op: 'status',
+  songId: song.id,
+  status: song.status,
+  startedAt: song.started_at,
+  endedAt: song.ended_at,
+});
+
+const orderOp = (songs) => ({
+  op: 'order',
+  songs: songs.map(({ id, position, pinned }) => ({ id, position, pinned: Boolean(pinned) })),
+});
+
+/**
+ * Record a song status change (before and after are song rows)
+ */
+export function recordStatusChange(before, after) {
+  if (!before || !after || before.status === after.status) {
+    return;
+  }
+
+  addUndoEntry(before.session_id, {
+    actionType: 'status',
+    description: `${songLabel(before)}: ${before.status} → ${after.status}`,
+    undoOps: [statusOp(before)],
+    redoOps: [statusOp(after)],
+  });
+}
+
+/**
+ * Record a song removal
+ */
+export function recordDelete(song) {
+  addUndoEntry(song.session_id, {
+    actionType: 'delete',
+    description: `Remove ${songLabel(song)}`,
+    undoOps: [{ op: 'restore', songId: song.id }],
+    redoOps: [{ op: 'delete', songId: song.id }],
+  });
+}
+
+/**
+ * Record a change to the queue order. Pass the session's songs from before the
+ * change; the current order is read back as the redo state.
+ */
+export function recordReorder(sessionId, songsBefore, description = 'Reorder queue') {
+  const before = new Map(songsBefore.map(song => [song.id, song]));
+  const after = getSongs(sessionId).filter(song => before.has(song.id));
+  const changed = after.filter(song => {
+    const previous = before.get(song.id);
+    return previous.position !== song.position || Boolean(previous.pinned) !== Boolean(song.pinned);
+  });
+
+  if (changed.length === 0) {
+    return;
+  }
+
+  addUndoEntry(sessionId, {
+    actionType: 'order',
+    description,
+    undoOps: [orderOp(changed.map(song => before.get(song.id)))],
+    redoOps: [orderOp(changed)],
+  });
+}
+
+/**
+ * Record an edit to a song's artist and title
+ */
+export function recordEdit(before, artist, songTitle) {
+  if (before.artist === artist && before.song_title === songTitle) {
+    return;
+  }
+
+  addUndoEntry(before.session_id, {
+    actionType: 'details',
+    description: `Edit ${songLabel(before)}`,
+    undoOps: [{ op: 'details', songId: before.id, artist: before.artist, songTitle: before.song_title }],
+    redoOps: [{ op: 'details', songId: before.id, artist, songTitle }],
+  });
+}
+
+function applyOp(sessionId, op) {
+  switch (op.op) {
+    case 'status':
+      restoreSongStatus(op.songId, op.status);
+      setSongTimes(op.songId, op.startedAt, op.endedAt);
+      break;
+    case 'delete':
+      deleteSong(op.songId);
+      clearSongActor(op.songId);
+      break;
+    case 'restore':
+      restoreSong(op.songId);
+      break;
+    case 'order':
+      reorderSongs(sessionId, op.songs.map(({ id, position }) => ({ id, position })));
+      for (const { id, pinned } of op.songs) {
+        setSongPinned(id, pinned);
+      }
+      break;
+    case 'details':
+      updateSongDetails(op.songId, op.artist, op.songTitle);
+      break;
+    default:
+      throw new Error(`Unknown undo operation: ${op.op}`);
+  }
+}
+
+// Songs touched by an action must still belong to the session
+function songsExist(sessionId, ops) {
+  const songIds = ops.flatMap(op => (op.op === 'order' ? op.songs.map(song => song.id) : [op.songId]));
+  return songIds.every(songId => getSongByIdWithDeleted(songId)?.session_id === sessionId);
+}
+
+function replay(sessionId, entry, direction) {
+  const ops = JSON.parse(direction === 'undo' ? entry.undo_ops : entry.redo_ops);
+  if (!songsExist(sessionId, ops)) {
+    throw new Error('The songs in this action no longer exist');
+  }
+
+  withTransaction(() => {
+    for (const op of ops) {
+      applyOp(sessionId, op);
+    }
+    setUndoEntryState(entry.id, direction === 'undo' ? 'undone' : 'done');
+  });
+
+  // Rebuild restored songs' machines once the change is committed, so a
+  // restored delay gets its timer back
+  for (const op of ops.filter(op => op.op === 'status' || op.op === 'restore')) {
+    getSongActor(op.songId);
+  }
+  refreshQueueOrder(sessionId);
+
+  return { action: entry.action_type, description: entry.description };
+}
+
+/**
+ * Undo the most recent action. Returns null when there's nothing to undo.
+ */
+export function undo(sessionId) {
+  const entry = getLastUndoEntry(sessionId);
+  return entry ? replay(sessionId, entry, 'undo') : null;
+}
+
+/**
+ * Redo the most recently undone action. Returns null when there's nothing to redo.
+ */
+export function redo(sessionId) {
+  const entry = getNextRedoEntry(sessionId);
+  return entry ? replay(sessionId, entry, 'redo') : null;
+}
+
+/**
+ * What undo and redo would do next, for the dashboard buttons
+ */
+export function getUndoState(sessionId) {
+  const summary = (entry) => (entry
+    ? { id: entry.id, action: entry.action_type, description: entry.description, created_at: entry.created_at }
+    : null);
+
+  return {
+    undo: summary(getLastUndoEntry(sessionId)),
+    redo: summary(getNextRedoEntry(sessionId)),
+  };
+}
@@ -0,0 +1,96 @@
+import { getSession, getSongs, getRecentPerformances } from '../../database.js';
+
+/**
+ * Wait Estimate Service
+ *
+ * Estimates how long each waiting singer has until their turn, based on how
+ * long songs have actually been taking in this session.
+ *
+ * - Average duration: rolling average of the last few real performances
+ *   (started_at -> ended_at), blended with the session's configured song
+ *   duration so one odd performance doesn't swing every estimate.
+ * - Catalog songs: known track length plus the session's average changeover
+ *   (real performance time beyond the track length).
+ * - The playing song only counts for the time it has left.
+ * - During an intermission, what's left of the break comes first.
+ */
+
+const ROLLING_WINDOW = 8;
+
+// The configured song duration counts as this many performances in the average
+const PRIOR_WEIGHT = 2;
+
+// Ignore performances the DJ forgot to start or finish on time
+const MIN_PERFORMANCE = 30;
+const MAX_PERFORMANCE = 20 * 60;
+
+const secondsBetween = (start, end) => (new Date(end) - new Date(start)) / 1000;
+
+/**
+ * Summarize recent performance times for a session
+ * Returns { averageDuration, changeover, samples } in seconds
+ */
+export function getPerformanceTiming(sessionId, fallbackDuration = 270) {
+  const performances = getRecentPerformances(sessionId, ROLLING_WINDOW)
+    .map(performance => ({ ...performance, duration: secondsBetween(performance.started_at, performance.ended_at) }))
+    .filter(({ duration }) => duration >= MIN_PERFORMANCE && duration <= MAX_PERFORMANCE);
+
+  const total = performances.reduce((sum, { duration }) => sum + duration, 0);
+  const averageDuration = (total + fallbackDuration * PRIOR_WEIGHT) / (performances.length + PRIOR_WEIGHT);
+
+  const withTrackLength = performances.filter(({ catalog_duration }) => catalog_duration);
+  const changeover = withTrackLength.length > 0
+    ? withTrackLength.reduce((sum, { duration, catalog_duration }) => sum + duration - catalog_duration, 0) / withTrackLength.length
+    : 0;
+
+  return {
+    averageDuration: Math.round(averageDuration),
+    changeover: Math.max(0, Math.round(changeover)),
+    samples: performances.length,
+  };
+}
+
+/**
+ * Estimated length of one song in seconds
+ */
+export function estimateSongDuration(song, timing) {
+  return song.catalog_duration
+    ? song.catalog_duration + timing.changeover
+    : timing.averageDuration;
+}
+
+/**
+ * Seconds left of a session's intermission (0 when it isn't on a break)
+ */
+export function getBreakRemaining(session, now = new Date()) {
+  if (session?.status !== 'intermission' || !session.break_ends_at) {
+    return 0;
+  }
+  return Math.max(0, secondsBetween(now, session.break_ends_at));
+}
+
+/**
+ * Estimate the wait before each waiting song starts
+ * Returns { timing, waits } where waits maps song ID -> seconds
+ */
+export function estimateWaitTimes(sessionId) {
+  const session = getSession(sessionId);
+  const timing = getPerformanceTiming(sessionId, session?.song_duration || 270);
+  const songs = getSongs(sessionId);
+  const waits = new Map();
+
+  // Time left on the DJ's break and whatever is playing now
+  let elapsed = getBreakRemaining(session) + songs
+    .filter(song => song.status === 'playing')
+    .reduce((sum, song) => {
+      const played = song.started_at ? secondsBetween(song.started_at, new Date()) : 0;
+      return sum + Math.max(0, estimateSongDuration(song, timing) - played);
+    }, 0);
+
+  for (const song of songs.filter(song => song.status === 'waiting')) {
+    waits.set(song.id, Math.round(elapsed));
+    elapsed += estimateSongDuration(song, timing);
+  }
+
+  return { timing, waits };
+}
@@ -0,0 +1,184 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startServer, createSession, submitSong, getSongs, songTransition } from './helpers.js';
+
+let server;
+let db;
+let stateManager;
+let sessionImport;
+
+before(async () => {
+  server = await startServer();
+  // The same module instances the server uses
+  db = await import('../database.js');
+  stateManager = await import('../src/services/state-manager.js');
+  sessionImport = await import('../src/services/session-import.js');
+});
+
+after(() => server.close());
+
+/**
+ * Open the session's live event stream; resolves with the first event
+ * matching `predicate`
+ */
+async function nextLiveEvent(sessionId, predicate) {
+  const controller = new AbortController();
+  const res = await fetch(`${server.baseUrl}/api/sessions/${sessionId}/events`, { signal: controller.signal });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+
+  const found = (async () => {
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += value;
+      for (const block of buffer.split('\n\n').slice(0, -1)) {
+        const type = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (type && data && predicate(type, JSON.parse(data))) {
+          return { type, data: JSON.parse(data) };
+        }
+      }
+      buffer = buffer.slice(buffer.lastIndexOf('\n\n') + 2);
+    }
+  })();
+
+  return {
+    found,
+    close: () => controller.abort(),
+  };
+}
+
+describe('delayed songs', () => {
+  test('a delayed song leaves the playable queue until its delay ends', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const next = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+
+    await server.request('PUT', `/api/songs/${song.songId}/delay`, {
+      headers: { 'X-Manage-Token': song.manageToken },
+      json: { delay_minutes: 5 },
+    });
+
+    const state = await server.request('GET', `/api/songs/${song.songId}/state`);
+    assert.equal(state.body.value, 'delayed');
+    assert.equal(state.body.can.play, false);
+    assert.equal((await songTransition(server.request, session, next.songId, 'PLAY')).body.state, 'playing');
+
+    const queue = await server.request('GET', `/queue/${session.sessionId}`);
+    assert.match(queue.body, /Ann/);
+  });
+
+  test('the song returns to waiting when the delay runs out, and clients hear about it', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const stream = await nextLiveEvent(session.sessionId, (type, data) => type === 'status-changed' && data.status === 'waiting');
+    const delayedUntil = new Date(Date.now() + 200).toISOString();
+    stateManager.sendSongEvent(song.songId, { type: 'DELAY', delayedUntil, delayMinutes: 1 });
+
+    let [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'delayed');
+    assert.equal(stored.delayed_until, delayedUntil);
+
+    const event = await stream.found;
+    stream.close();
+    assert.equal(event.data.songId, song.songId);
+
+    [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+    assert.equal(stored.delayed_until, null);
+    assert.equal(stored.delay_minutes, null);
+  });
+
+  test('delays are restored after a restart', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    // A song left delayed by the previous process, with no actor in memory
+    stateManager.clearSongActor(song.songId);
+    db.updateSongStatus(song.songId, 'delayed');
+    db.setSongDelay(song.songId, new Date(Date.now() + 200).toISOString(), 1);
+
+    assert.ok(stateManager.restoreDelayedSongs() >= 1);
+    assert.equal(stateManager.getSongState(song.songId).value, 'delayed');
+
+    await sleep(400);
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('delays that ran out while the server was down end straight away', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    stateManager.clearSongActor(song.songId);
+    db.updateSongStatus(song.songId, 'delayed');
+    db.setSongDelay(song.songId, new Date(Date.now() - 60000).toISOString(), 1);
+
+    stateManager.restoreDelayedSongs();
+    await sleep(50);
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('restored delays longer than a timer allows don\'t end early', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    stateManager.clearSongActor(song.songId);
+    db.updateSongStatus(song.songId, 'delayed');
+    db.setSongDelay(song.songId, new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), 1);
+
+    stateManager.restoreDelayedSongs();
+    await sleep(50);
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'delayed');
+    stateManager.clearSongActor(song.songId);
+  });
+
+  test('undoing the delete of a delayed song brings back its delay', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    stateManager.sendSongEvent(song.songId, { type: 'DELAY', delayedUntil: new Date(Date.now() + 300).toISOString(), delayMinutes: 1 });
+
+    await server.request('DELETE', `/api/songs/${song.songId}`, { headers: session.dj });
+    const undo = await server.request('POST', `/api/sessions/${session.sessionId}/undo`, { headers: session.dj });
+    assert.equal(undo.status, 200);
+    let [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'delayed');
+
+    await sleep(500);
+    [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('delays in an imported session still run out', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    stateManager.sendSongEvent(song.songId, { type: 'DELAY', delayedUntil: new Date(Date.now() + 300).toISOString(), delayMinutes: 1 });
+
+    const { body: bundle } = await server.request('GET', `/api/sessions/${session.sessionId}/export`, { headers: session.dj });
+    sessionImport.importSessionBundle(bundle, { overwrite: true });
+    let [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'delayed');
+
+    await sleep(500);
+    [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('singers can still cancel a delayed song', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const headers = { 'X-Manage-Token': song.manageToken };
+
+    await server.request('PUT', `/api/songs/${song.songId}/delay`, { headers, json: { delay_minutes: 5 } });
+    const { status } = await server.request('PUT', `/api/songs/${song.songId}/cancel`, { headers });
+    assert.equal(status, 200);
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'skipped');
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition } from './helpers.js';
+import { findDuplicateRequest, findRepeatedSongs } from '../src/services/duplicate-songs.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const JOURNEY = { artist: 'Journey', song_title: 'Don\'t Stop Believin\'' };
+
+describe('repeat songs', () => {
+  test('singers are warned about a song already in the queue', async () => {
+    const session = await createSession(server.request);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann', ...JOURNEY });
+
+    const warned = await submitSong(server.request, session.sessionId, {
+      singer_name: 'Bob',
+      artist: 'journey',
+      song_title: 'Dont Stop Believin',
+    });
+    assert.equal(warned.status, 409);
+    assert.match(warned.body, /is already in the queue/);
+    assert.match(warned.body, /Request Anyway/);
+    assert.match(warned.body, /Pick Another Song/);
+    assert.equal((await getSongs(server.request, session)).length, 1);
+  });
+
+  test('singers can request a repeat anyway and the DJ sees it marked', async () => {
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann', ...JOURNEY });
+    const repeat = await submitSong(server.request, session.sessionId, { singer_name: 'Bob', ...JOURNEY, allow_duplicate: '1' });
+    assert.equal(repeat.status, 200);
+
+    const songs = await getSongs(server.request, session);
+    assert.equal(songs.find(song => song.id === first.songId).duplicate_of, null);
+    assert.equal(songs.find(song => song.id === repeat.songId).duplicate_of, first.songId);
+  });
+
+  test('the warning says when a song was already sung', async () => {
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann', ...JOURNEY });
+    await songTransition(server.request, session, first.songId, 'PLAY');
+    await songTransition(server.request, session, first.songId, 'COMPLETE');
+
+    const warned = await submitSong(server.request, session.sessionId, { singer_name: 'Bob', ...JOURNEY });
+    assert.equal(warned.status, 409);
+    assert.match(warned.body, /was already sung tonight at \d{1,2}:\d{2} [AP]M/);
+  });
+
+  test('cancelled requests aren\'t repeats', async () => {
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann', ...JOURNEY });
+    await server.request('PUT', `/api/songs/${first.songId}/cancel`, { headers: { 'X-Manage-Token': first.manageToken } });
+
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Bob', ...JOURNEY })).status, 200);
+  });
+
+  test('the DJ can block repeats entirely', async () => {
+    const session = await createSession(server.request);
+    await server.request('PUT', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj, json: { block_duplicates: 1 } });
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann', ...JOURNEY });
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Bob', ...JOURNEY, allow_duplicate: '1' });
+    assert.equal(refused.status, 409);
+    assert.match(refused.body, /<div class="error">/);
+    assert.match(refused.body, /isn't taking repeats/);
+    assert.doesNotMatch(refused.body, /Request Anyway/);
+    assert.equal((await getSongs(server.request, session)).length, 1);
+  });
+});
+
+describe('duplicate matching', () => {
+  const songs = [
+    { id: 1, artist: 'Journey', song_title: 'Don\'t Stop Believin\'', status: 'waiting', requested_at: '2026-10-18T21:00:00Z' },
+    { id: 2, artist: 'JOURNEY', song_title: 'Dont Stop Believin', status: 'done', requested_at: '2026-10-18T21:05:00Z' },
+    { id: 3, artist: 'Journey', song_title: 'Don’t stop believin’', status: 'skipped', requested_at: '2026-10-18T21:10:00Z' },
+    { id: 4, artist: 'Toto', song_title: 'Africa', status: 'waiting', requested_at: '2026-10-18T21:15:00Z' },
+  ];
+
+  test('a performance is preferred over a queued request', () => {
+    const match = findDuplicateRequest(songs, 'journey', 'DON\'T STOP BELIEVIN\'');
+    assert.equal(match.song.id, 2);
+    assert.equal(match.sung, true);
+    assert.equal(findDuplicateRequest(songs, 'Journey', 'Separate Ways'), null);
+  });
+
+  test('repeats point at the first request for the song', () => {
+    assert.deepEqual([...findRepeatedSongs(songs)], [[2, 1]]);
+  });
+});
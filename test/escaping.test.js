@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong } from './helpers.js';
+import { escapeHtml, toScriptJson } from '../src/services/html.js';
+
+const SCRIPT = '<script>alert(1)</script>';
+const ESCAPED = '&lt;script&gt;alert(1)&lt;/script&gt;';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('escapeHtml encodes markup and quote characters', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&\``), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(3), '3');
+});
+
+test('toScriptJson can\'t close the script element', () => {
+  const json = toScriptJson('</script><!--');
+  assert.equal(json.includes('<'), false);
+  assert.equal(JSON.parse(json), '</script><!--');
+});
+
+test('a song title with a script tag renders as text on every page', async () => {
+  const session = await createSession(server.request);
+  const song = await submitSong(server.request, session.sessionId, { singer_name: SCRIPT, artist: SCRIPT, song_title: SCRIPT });
+
+  assert.equal(song.status, 200);
+  assert.equal(song.body.includes(SCRIPT), false);
+  assert.ok(song.body.includes(ESCAPED));
+
+  const queue = await server.request('GET', `/queue/${session.sessionId}`);
+  assert.equal(queue.body.includes(SCRIPT), false);
+  assert.ok(queue.body.includes(ESCAPED));
+
+  const manage = await server.request('GET', `/singer/manage/${session.sessionId}/${song.songId}?token=${encodeURIComponent(song.manageToken)}`);
+  assert.equal(manage.status, 200);
+  assert.equal(manage.body.includes(SCRIPT), false);
+  assert.ok(manage.body.includes(`value="${ESCAPED}"`));
+});
+
+test('tip handles can\'t break out of attributes', async () => {
+  const handle = '@dj" onmouseover="alert(1)';
+  const session = await createSession(server.request, { venmo_handle: handle, zelle_handle: handle });
+
+  const { body } = await server.request('GET', `/singer/${session.sessionId}`);
+  assert.equal(body.includes(handle), false);
+  assert.ok(body.includes('href="https://venmo.com/dj%22%20onmouseover%3D%22alert(1)"'));
+  assert.ok(body.includes('data-qr-value="@dj&quot; onmouseover=&quot;alert(1)"'));
+});
+
+test('every response carries a Content-Security-Policy', async () => {
+  for (const path of ['/', '/dj/index.html', '/api/sessions/NOPE00']) {
+    const res = await fetch(`${server.baseUrl}${path}`);
+    const policy = res.headers.get('content-security-policy');
+    assert.match(policy, /default-src 'self'/, path);
+    assert.match(policy, /object-src 'none'/, path);
+    assert.match(policy, /frame-ancestors 'none'/, path);
+  }
+});
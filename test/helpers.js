@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+/**
+ * Test Helpers
+ *
+ * Boots the Express app against the in-memory storage backend on a random
+ * port, with QR codes written to a temporary directory. Each test file runs
+ * in its own process, so each gets a fresh database. X-Forwarded-For is
+ * trusted so tests can submit from different addresses.
+ */
+
+export async function startServer() {
+  process.env.STORAGE_BACKEND = 'memory';
+  process.env.TRUST_PROXY = '1';
+  process.env.QR_CODE_DIR = fs.mkdtempSync(join(os.tmpdir(), 'karaoke-qr-'));
+
+  const { app } = await import('../server.js');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const request = async (method, path, { json, form, headers = {} } = {}) => {
+    const options = { method, headers: { ...headers } };
+    if (json !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(json);
+    } else if (form !== undefined) {
+      options.body = new URLSearchParams(form);
+    }
+
+    const res = await fetch(`${baseUrl}${path}`, options);
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, body: isJson ? JSON.parse(text) : text };
+  };
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      fs.rmSync(process.env.QR_CODE_DIR, { recursive: true, force: true });
+    }),
+  };
+}
+
+/**
+ * Create a session; returns { sessionId, djToken, dj } where dj holds the
+ * DJ token header
+ */
+export async function createSession(request, body = {}) {
+  const { status, body: session } = await request('POST', '/api/sessions', { json: body });
+  if (status !== 200) {
+    throw new Error(`Creating a session failed with ${status}`);
+  }
+  return { ...session, dj: { 'X-DJ-Token': session.djToken } };
+}
+
+let songCount = 0;
+
+/**
+ * Submit a song through the singer form; returns the response plus the new
+ * song's ID and manage token, read from the manage link in the HTML. Each
+ * song gets its own title unless one is given, so they aren't repeats.
+ */
+export async function submitSong(request, sessionId, { singer_name, artist = 'Artist', song_title = `Song ${++songCount}`, ...fields }, headers = {}) {
+  const res = await request('POST', `/api/sessions/${sessionId}/songs`, {
+    form: { singer_name, artist, song_title, ...fields },
+    headers,
+  });
+  const match = typeof res.body === 'string' && res.body.match(/\/singer\/manage\/[^/]+\/(\d+)\?token=([^"]+)"/);
+  return {
+    ...res,
+    songId: match ? Number(match[1]) : null,
+    manageToken: match ? decodeURIComponent(match[2]) : null,
+  };
+}
+
+/**
+ * The session's songs as the DJ dashboard sees them
+ */
+export async function getSongs(request, session) {
+  const { body } = await request('GET', `/api/sessions/${session.sessionId}/songs`, { headers: session.dj });
+  return body.songs;
+}
+
+/**
+ * Send a song event through the DJ's transition route
+ */
+export function songTransition(request, session, songId, event) {
+  return request('POST', `/api/songs/${songId}/transition`, { headers: session.dj, json: { event } });
+}
+
+/**
+ * Send a session event through the DJ's transition route; fields go in the
+ * body alongside it (a break's minutes, for instance)
+ */
+export function sessionTransition(request, session, event, fields = {}) {
+  return request('POST', `/api/sessions/${session.sessionId}/transition`, { headers: session.dj, json: { event, ...fields } });
+}
+
+/**
+ * The session's status as the API reports it
+ */
+export async function sessionStatus(request, session) {
+  const { body } = await request('GET', `/api/sessions/${session.sessionId}`);
+  return body.status;
+}
+
+/**
+ * An ISO time ms milliseconds from now
+ */
+export const inMs = (ms) => new Date(Date.now() + ms).toISOString();
@@ -0,0 +1,137 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startServer, createSession, submitSong, sessionTransition, sessionStatus, inMs } from './helpers.js';
+import { findNextSessionDeadline } from '../src/services/session-schedule.js';
+
+let server;
+let db;
+let stateManager;
+
+before(async () => {
+  server = await startServer();
+  // The same module instances the server uses
+  db = await import('../database.js');
+  stateManager = await import('../src/services/state-manager.js');
+});
+
+after(() => server.close());
+
+describe('intermission', () => {
+  test('the DJ takes a break of a set length and singers see a countdown', async () => {
+    const session = await createSession(server.request);
+
+    const { body } = await sessionTransition(server.request, session, 'BREAK', { minutes: 15 });
+    assert.equal(body.state, 'intermission');
+    assert.equal(await sessionStatus(server.request, session), 'intermission');
+
+    const breakEndsAt = Date.parse(db.getSession(session.sessionId).break_ends_at);
+    assert.ok(Math.abs(breakEndsAt - (Date.now() + 15 * 60 * 1000)) < 5000);
+
+    const banner = await server.request('GET', `/api/sessions/${session.sessionId}/state-banner`);
+    assert.match(banner.body, /Back in <span data-countdown-until="[^"]+">1[45]:\d{2}<\/span>/);
+    const queue = await server.request('GET', `/queue/${session.sessionId}`);
+    assert.match(queue.body, /data-countdown-until/);
+    assert.match(queue.body, /\/js\/countdown\.js/);
+  });
+
+  test('wait times include what is left of the break', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'BREAK', { minutes: 10 });
+
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.match(song.body, /Estimated wait: ~10 minutes/);
+  });
+
+  test('the session resumes by itself when the break is over', async () => {
+    const session = await createSession(server.request);
+    stateManager.transitionSession(session.sessionId, { type: 'BREAK', endsAt: inMs(200) });
+    assert.equal(await sessionStatus(server.request, session), 'intermission');
+
+    await sleep(400);
+    assert.equal(await sessionStatus(server.request, session), 'active');
+    assert.equal(db.getSession(session.sessionId).break_ends_at, null);
+    const banner = await server.request('GET', `/api/sessions/${session.sessionId}/state-banner`);
+    assert.equal(banner.body, '');
+  });
+
+  test('the DJ can end a break early', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'BREAK', { minutes: 30 });
+
+    const { body } = await sessionTransition(server.request, session, 'RESUME');
+    assert.equal(body.state, 'active');
+    assert.equal(db.getSession(session.sessionId).break_ends_at, null);
+  });
+
+  test('breaks need a length between 1 and 120 minutes', async () => {
+    const session = await createSession(server.request);
+
+    for (const minutes of [undefined, 0, 121, 2.5, 'soon']) {
+      assert.equal((await sessionTransition(server.request, session, 'BREAK', { minutes })).status, 400);
+    }
+    assert.equal(await sessionStatus(server.request, session), 'active');
+  });
+
+  test('events must be names, so the server sets the break length', async () => {
+    const session = await createSession(server.request);
+
+    for (const event of [{ type: 'BREAK' }, { type: 'BREAK', endsAt: 'soon' }]) {
+      assert.equal((await sessionTransition(server.request, session, event, { minutes: 5 })).status, 400);
+    }
+    const state = await server.request('GET', `/api/sessions/${session.sessionId}/state`);
+    assert.equal(state.body.value, 'active');
+    assert.equal(db.getSession(session.sessionId).break_ends_at, null);
+  });
+
+  test('events the session can\'t take are refused with 409', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'END');
+
+    const refused = await sessionTransition(server.request, session, 'BREAK', { minutes: 5 });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.state, 'ending');
+    assert.deepEqual(refused.body.allowedEvents, ['CANCEL_END']);
+    assert.equal(await sessionStatus(server.request, session), 'ending');
+  });
+
+  test('an unreadable break end sets no timer', async () => {
+    const session = await createSession(server.request);
+    db.updateSessionStatus(session.sessionId, 'intermission');
+    db.setSessionBreakEndsAt(session.sessionId, 'soon');
+
+    assert.equal(stateManager.scheduleSessionTimer(session.sessionId), null);
+  });
+
+  test('breaks are restored after a restart', async () => {
+    const session = await createSession(server.request);
+
+    // A session left on a break by the previous process, with no actor or timer
+    db.updateSessionStatus(session.sessionId, 'intermission');
+    db.setSessionBreakEndsAt(session.sessionId, inMs(200));
+    stateManager.clearAllActors();
+
+    assert.ok(stateManager.restoreSessionTimers() >= 1);
+    assert.equal(stateManager.getSessionState(session.sessionId).value, 'intermission');
+    await sleep(400);
+    assert.equal(await sessionStatus(server.request, session), 'active');
+  });
+});
+
+describe('intermission deadlines', () => {
+  const now = Date.parse('2026-10-18T23:00:00Z');
+  const settings = { starts_at: null, closes_at: null, inactivity_timeout_hours: 6 };
+  const session = { status: 'intermission', created_at: '2026-10-18T12:00:00Z', break_ends_at: '2026-10-18T23:15:00.000Z' };
+
+  test('breaks end on time and idle sessions don\'t expire during one', () => {
+    assert.deepEqual(
+      findNextSessionDeadline(session, settings, '2026-10-18T13:00:00Z', now),
+      { event: 'INTERMISSION_OVER', at: session.break_ends_at }
+    );
+  });
+
+  test('the closing time still applies during a break', () => {
+    const closing = { ...settings, closes_at: '2026-10-18T23:10:00.000Z' };
+    assert.deepEqual(findNextSessionDeadline(session, closing, null, now), { event: 'CLOSE', at: closing.closes_at });
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startServer, createSession, submitSong, getSongs, sessionTransition, sessionStatus, inMs } from './helpers.js';
+import { findNextSessionDeadline } from '../src/services/session-schedule.js';
+
+let server;
+let db;
+let stateManager;
+
+before(async () => {
+  server = await startServer();
+  // The same module instances the server uses
+  db = await import('../database.js');
+  stateManager = await import('../src/services/state-manager.js');
+});
+
+after(() => server.close());
+
+const changeSettings = (session, json) =>
+  server.request('PUT', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj, json });
+
+describe('session lifecycle', () => {
+  test('sessions with a start time take early requests and start on time', async () => {
+    const session = await createSession(server.request, { starts_at: inMs(1000) });
+    assert.equal(await sessionStatus(server.request, session), 'scheduled');
+
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.equal(song.status, 200);
+    const banner = await server.request('GET', `/api/sessions/${session.sessionId}/state-banner`);
+    assert.match(banner.body, /The show starts at/);
+
+    await sleep(1200);
+    assert.equal(await sessionStatus(server.request, session), 'active');
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('the DJ can start a scheduled session early', async () => {
+    const session = await createSession(server.request, { starts_at: inMs(60 * 60 * 1000) });
+
+    const { body } = await sessionTransition(server.request, session, 'START');
+    assert.equal(body.state, 'active');
+  });
+
+  test('start times in the past start the session straight away', async () => {
+    const session = await createSession(server.request, { starts_at: inMs(-60000) });
+    assert.equal(await sessionStatus(server.request, session), 'active');
+    assert.equal((await server.request('POST', '/api/sessions', { json: { starts_at: 'tonight' } })).status, 400);
+  });
+
+  test('the closing time starts the grace period, and keeping the session going clears it', async () => {
+    const session = await createSession(server.request);
+    await changeSettings(session, { closes_at: inMs(200) });
+
+    await sleep(400);
+    assert.equal(await sessionStatus(server.request, session), 'ending');
+    const endsAt = Date.parse(db.getSession(session.sessionId).ends_at);
+    assert.ok(Math.abs(endsAt - (Date.now() + 5 * 60 * 1000)) < 5000);
+
+    const { body } = await sessionTransition(server.request, session, 'CANCEL_END');
+    assert.equal(body.state, 'active');
+    assert.equal(db.getSession(session.sessionId).ends_at, null);
+
+    const settings = await server.request('GET', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj });
+    assert.equal(settings.body.settings.closes_at, null);
+  });
+
+  test('sessions end once the grace period is over', async () => {
+    const session = await createSession(server.request);
+    await changeSettings(session, { ending_grace_minutes: 0, closes_at: inMs(100) });
+
+    await sleep(400);
+    assert.equal(await sessionStatus(server.request, session), 'ended');
+  });
+
+  test('timers are restored after a restart', async () => {
+    const session = await createSession(server.request);
+
+    // A session left ending by the previous process, with no actor or timer
+    db.updateSessionStatus(session.sessionId, 'ending');
+    db.setSessionEndsAt(session.sessionId, inMs(200));
+    stateManager.clearAllActors();
+
+    assert.ok(stateManager.restoreSessionTimers() >= 1);
+    await sleep(400);
+    assert.equal(await sessionStatus(server.request, session), 'ended');
+  });
+});
+
+describe('session deadlines', () => {
+  const now = Date.parse('2026-10-18T23:00:00Z');
+  const settings = { starts_at: null, closes_at: null, inactivity_timeout_hours: 6 };
+  const session = { status: 'active', created_at: '2026-10-18T19:00:00Z', ends_at: null };
+
+  test('idle sessions expire hours after the last activity', () => {
+    assert.deepEqual(
+      findNextSessionDeadline(session, settings, '2026-10-18T22:00:00Z', now),
+      { event: 'EXPIRE', at: '2026-10-19T04:00:00.000Z' }
+    );
+    assert.equal(findNextSessionDeadline(session, { ...settings, inactivity_timeout_hours: 0 }, null, now), null);
+  });
+
+  test('the earliest deadline wins', () => {
+    const closing = { ...settings, closes_at: '2026-10-19T02:00:00.000Z' };
+    assert.deepEqual(findNextSessionDeadline(session, closing, '2026-10-18T22:00:00Z', now), { event: 'CLOSE', at: closing.closes_at });
+  });
+
+  test('a scheduled start counts as activity once it has passed', () => {
+    const started = { ...settings, starts_at: '2026-10-18T22:30:00.000Z' };
+    assert.equal(findNextSessionDeadline(session, started, '2026-10-15T12:00:00Z', now).at, '2026-10-19T04:30:00.000Z');
+    assert.deepEqual(
+      findNextSessionDeadline({ ...session, status: 'scheduled' }, started, null, now),
+      { event: 'START', at: started.starts_at }
+    );
+  });
+});
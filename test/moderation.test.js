@@ -0,0 +1,117 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+async function moderatedSession() {
+  const session = await createSession(server.request);
+  const { status } = await server.request('PUT', `/api/sessions/${session.sessionId}/settings`, {
+    headers: session.dj,
+    json: { require_approval: 1 },
+  });
+  assert.equal(status, 200);
+  return session;
+}
+
+const managePage = (session, song) =>
+  server.request('GET', `/singer/manage/${session.sessionId}/${song.songId}?token=${encodeURIComponent(song.manageToken)}`);
+
+describe('DJ approval', () => {
+  test('requests are added straight to the queue by default', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    assert.match(song.body, /Queue position/);
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+  });
+
+  test('requests wait for approval and stay off the public queue', async () => {
+    const session = await moderatedSession();
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann', song_title: 'Held Back' });
+
+    assert.equal(song.status, 200);
+    assert.match(song.body, /Awaiting DJ approval/);
+    assert.doesNotMatch(song.body, /Queue position/);
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'pending');
+
+    const queue = await server.request('GET', `/queue/${session.sessionId}`);
+    assert.equal(queue.body.includes('Held Back'), false);
+
+    const manage = await managePage(session, song);
+    assert.equal(manage.status, 200);
+    assert.match(manage.body, /Awaiting DJ approval/);
+  });
+
+  test('a pending song can\'t play until it is approved', async () => {
+    const session = await moderatedSession();
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const play = await songTransition(server.request, session, song.songId, 'PLAY');
+    assert.equal(play.status, 409);
+    assert.equal(play.body.state, 'pending');
+    assert.deepEqual(play.body.allowedEvents, ['APPROVE', 'REJECT', 'SKIP']);
+
+    const state = await server.request('GET', `/api/songs/${song.songId}/state`);
+    assert.equal(state.body.can.approve, true);
+    assert.equal(state.body.can.reject, true);
+    assert.equal(state.body.can.play, false);
+  });
+
+  test('approved songs join the end of the queue', async () => {
+    const session = await moderatedSession();
+    const early = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const later = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+
+    await songTransition(server.request, session, later.songId, 'APPROVE');
+    const approve = await songTransition(server.request, session, early.songId, 'APPROVE');
+    assert.equal(approve.body.state, 'waiting');
+
+    const songs = await getSongs(server.request, session);
+    const queued = songs
+      .filter(song => song.status === 'waiting')
+      .sort((a, b) => a.position - b.position)
+      .map(song => song.singer_name);
+    assert.deepEqual(queued, ['Bob', 'Ann']);
+  });
+
+  test('rejected songs are closed and the singer is told', async () => {
+    const session = await moderatedSession();
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const reject = await songTransition(server.request, session, song.songId, 'REJECT');
+    assert.equal(reject.body.state, 'rejected');
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'rejected');
+
+    const manage = await managePage(session, song);
+    assert.match(manage.body, /The DJ declined this request/);
+
+    const approve = await songTransition(server.request, session, song.songId, 'APPROVE');
+    assert.equal(approve.status, 409);
+    assert.equal(approve.body.state, 'rejected');
+  });
+
+  test('singers can withdraw a request that is still pending', async () => {
+    const session = await moderatedSession();
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const { status } = await server.request('PUT', `/api/songs/${song.songId}/cancel`, {
+      headers: { 'X-Manage-Token': song.manageToken },
+    });
+    assert.equal(status, 200);
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'skipped');
+  });
+});
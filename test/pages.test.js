@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong } from './helpers.js';
+
+let server;
+let session;
+let song;
+
+before(async () => {
+  server = await startServer();
+  session = await createSession(server.request);
+  song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+});
+
+after(() => server.close());
+
+for (const page of ['singer', 'queue', 'dj']) {
+  test(`/${page} page renders for a session and 404s for an unknown one`, async () => {
+    const found = await server.request('GET', `/${page}/${session.sessionId}`);
+    assert.equal(found.status, 200);
+
+    const missing = await server.request('GET', `/${page}/NOPE00`);
+    assert.equal(missing.status, 404);
+    assert.match(missing.body, /Session not found/);
+  });
+}
+
+test('manage page renders with a valid token', async () => {
+  const { status } = await server.request('GET', `/singer/manage/${session.sessionId}/${song.songId}?token=${encodeURIComponent(song.manageToken)}`);
+  assert.equal(status, 200);
+});
+
+test('manage page 404s for an unknown session or song', async () => {
+  const unknownSession = await server.request('GET', `/singer/manage/NOPE00/${song.songId}`);
+  assert.equal(unknownSession.status, 404);
+  assert.match(unknownSession.body, /Session not found/);
+
+  const unknownSong = await server.request('GET', `/singer/manage/${session.sessionId}/999999`);
+  assert.equal(unknownSong.status, 404);
+  assert.match(unknownSong.body, /Song request not found/);
+});
+
+test('manage page 404s for a song from another session', async () => {
+  const other = await createSession(server.request);
+  const { status } = await server.request('GET', `/singer/manage/${other.sessionId}/${song.songId}`);
+  assert.equal(status, 404);
+});
+
+test('manage page refuses a bad token', async () => {
+  const { status } = await server.request('GET', `/singer/manage/${session.sessionId}/${song.songId}?token=wrong`);
+  assert.equal(status, 403);
+});
+
+test('malformed cookies are ignored rather than failing the page', async () => {
+  const headers = { Cookie: 'singer_device=%E0%A4%A; admin_session=%' };
+  assert.equal((await server.request('GET', `/singer/${session.sessionId}`, { headers })).status, 200);
+
+  // Treated as logged out, so the admin page sends the browser to the login form
+  const admin = await server.request('GET', '/admin', { headers });
+  assert.equal(admin.status, 200);
+  assert.match(admin.body, /Admin Login/);
+});
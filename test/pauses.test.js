@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition, sessionTransition } from './helpers.js';
+
+let server;
+let db;
+let stateManager;
+
+before(async () => {
+  server = await startServer();
+  // The same module instances the server uses
+  db = await import('../database.js');
+  stateManager = await import('../src/services/state-manager.js');
+});
+
+after(() => server.close());
+
+// End a session straight away, without waiting out the grace period
+async function endSession(session) {
+  await sessionTransition(server.request, session, 'END');
+  stateManager.transitionSession(session.sessionId, 'GRACE_EXPIRED');
+}
+
+describe('paused sessions', () => {
+  test('songs can\'t start while the session is paused', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await sessionTransition(server.request, session, 'PAUSE');
+
+    const play = await songTransition(server.request, session, song.songId, 'PLAY');
+    assert.equal(play.status, 409);
+    assert.equal(play.body.error, 'Songs can\'t start while the session is paused');
+    assert.ok(!play.body.allowedEvents.includes('PLAY'));
+
+    const status = await server.request('PUT', `/api/songs/${song.songId}/status`, { headers: session.dj, json: { status: 'playing' } });
+    assert.equal(status.status, 409);
+    const state = await server.request('GET', `/api/songs/${song.songId}/state`);
+    assert.equal(state.body.can.play, false);
+
+    await sessionTransition(server.request, session, 'RESUME');
+    assert.equal((await songTransition(server.request, session, song.songId, 'PLAY')).body.state, 'playing');
+  });
+
+  test('songs can\'t start during a break', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await sessionTransition(server.request, session, 'BREAK', { minutes: 10 });
+
+    const play = await songTransition(server.request, session, song.songId, 'PLAY');
+    assert.equal(play.status, 409);
+    assert.match(play.body.error, /on a break/);
+  });
+
+  test('ended sessions start no songs and take no requests', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await endSession(session);
+
+    const play = await songTransition(server.request, session, song.songId, 'PLAY');
+    assert.equal(play.status, 409);
+    assert.equal(play.body.error, 'Songs can\'t start after the session has ended');
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body, /This session has ended/);
+    assert.equal((await getSongs(server.request, session)).length, 1);
+  });
+
+  test('pause time is recorded for stats', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'PAUSE');
+    assert.ok(db.getSession(session.sessionId).paused_at);
+
+    // Pretend the pause began two minutes ago
+    db.setSessionPause(session.sessionId, new Date(Date.now() - 120 * 1000).toISOString(), 30);
+    let songs = await server.request('GET', `/api/sessions/${session.sessionId}/songs`);
+    assert.ok(Math.abs(songs.body.pausedSeconds - 150) <= 2);
+
+    await sessionTransition(server.request, session, 'RESUME');
+    const stored = db.getSession(session.sessionId);
+    assert.equal(stored.paused_at, null);
+    assert.ok(Math.abs(stored.paused_seconds - 150) <= 2);
+
+    songs = await server.request('GET', `/api/sessions/${session.sessionId}/songs`);
+    assert.equal(songs.body.pausedSeconds, stored.paused_seconds);
+
+    const history = await server.request('GET', `/api/sessions/${session.sessionId}/events/history`, { headers: session.dj });
+    const resumed = history.body.events.find(event => event.event_type === 'session-state-changed' && event.payload.to === 'active');
+    assert.ok(Math.abs(resumed.payload.paused_seconds - 120) <= 2);
+  });
+
+  test('a pause that turns into a break counts once', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'PAUSE');
+    const pausedAt = db.getSession(session.sessionId).paused_at;
+
+    await sessionTransition(server.request, session, 'BREAK', { minutes: 5 });
+    assert.equal(db.getSession(session.sessionId).paused_at, pausedAt);
+
+    await sessionTransition(server.request, session, 'RESUME');
+    assert.equal(db.getSession(session.sessionId).paused_at, null);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition } from './helpers.js';
+import { findPolicyViolation } from '../src/services/request-policies.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const setPolicies = (session, settings) =>
+  server.request('PUT', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj, json: settings });
+
+describe('request policies', () => {
+  test('a singer can only request so many songs a night', async () => {
+    const session = await createSession(server.request);
+    await setPolicies(session, { max_songs_per_singer: 2 });
+
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await songTransition(server.request, session, first.songId, 'PLAY');
+    await songTransition(server.request, session, first.songId, 'COMPLETE');
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' })).status, 200);
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body, /<div class="error">/);
+    assert.match(refused.body, /Ann has already requested 2 songs tonight/);
+
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Bob' })).status, 200);
+  });
+
+  test('cancelled songs don\'t count towards the night\'s total', async () => {
+    const session = await createSession(server.request);
+    await setPolicies(session, { max_songs_per_singer: 1 });
+
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await server.request('PUT', `/api/songs/${song.songId}/cancel`, { headers: { 'X-Manage-Token': song.manageToken } });
+
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' })).status, 200);
+  });
+
+  test('a singer can only have so many songs in the queue', async () => {
+    const session = await createSession(server.request);
+    await setPolicies(session, { max_waiting_per_singer: 1 });
+
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body, /Ann already has 1 song in the queue/);
+
+    await songTransition(server.request, session, first.songId, 'PLAY');
+    await songTransition(server.request, session, first.songId, 'COMPLETE');
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' })).status, 200);
+  });
+
+  test('singers wait between requests', async () => {
+    const session = await createSession(server.request);
+    await setPolicies(session, { min_submission_gap_minutes: 15 });
+
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' })).status, 200);
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body, /Ann can request another song in about 15 minutes/);
+  });
+
+  test('requests are refused after last call', async () => {
+    const session = await createSession(server.request);
+    const { body } = await setPolicies(session, { last_call_at: new Date(Date.now() - 60000).toISOString() });
+    assert.ok(body.settings.last_call_at);
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body, /Last call has passed/);
+    assert.deepEqual(await getSongs(server.request, session), []);
+
+    await setPolicies(session, { last_call_at: null });
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' })).status, 200);
+  });
+
+  test('singer names with markup are escaped in refusals', async () => {
+    const session = await createSession(server.request);
+    await setPolicies(session, { max_waiting_per_singer: 1 });
+
+    const name = '<b>Ann</b>';
+    await submitSong(server.request, session.sessionId, { singer_name: name });
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: name });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.includes(name), false);
+  });
+});
+
+describe('findPolicyViolation', () => {
+  const settings = { max_songs_per_singer: 0, max_waiting_per_singer: 0, min_submission_gap_minutes: 10, last_call_at: null };
+  const now = Date.parse('2026-10-18T22:00:00Z');
+
+  test('the gap counts from the singer\'s latest request', () => {
+    const songs = [
+      { singer_name: 'Ann', status: 'done', requested_at: '2026-10-18T21:00:00Z' },
+      { singer_name: 'Ann', status: 'skipped', requested_at: '2026-10-18T21:55:00Z' },
+      { singer_name: 'Bob', status: 'waiting', requested_at: '2026-10-18T21:59:00Z' },
+    ];
+
+    assert.equal(findPolicyViolation(songs, 'Ann', settings, now).policy, 'min_submission_gap_minutes');
+    assert.equal(findPolicyViolation(songs, 'Ann', settings, now + 5 * 60000), null);
+    assert.equal(findPolicyViolation(songs, 'Cy', settings, now), null);
+  });
+});
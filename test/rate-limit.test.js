@@ -0,0 +1,145 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const fromDevice = (deviceId, ip = '198.51.100.1') => ({ Cookie: `singer_device=${deviceId}`, 'X-Forwarded-For': ip });
+
+const setLimits = (session, settings) =>
+  server.request('PUT', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj, json: settings });
+
+describe('request limits', () => {
+  test('a device over its limit gets a friendly error partial', async () => {
+    const session = await createSession(server.request);
+    await setLimits(session, { rate_limit_device: 2 });
+    const phone = fromDevice('aaaaaaaaaaaaaaaaaaaaa');
+
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' }, phone)).status, 200);
+    assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' }, phone)).status, 200);
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' }, phone);
+    assert.equal(refused.status, 429);
+    assert.match(refused.body, /<div class="error">/);
+    assert.match(refused.body, /slow down/);
+    assert.match(refused.body, /2 requests in the last 10 minutes/);
+
+    const otherPhone = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' }, fromDevice('bbbbbbbbbbbbbbbbbbbbb'));
+    assert.equal(otherPhone.status, 200);
+  });
+
+  test('a network address over its limit is refused whatever the device', async () => {
+    const session = await createSession(server.request);
+    await setLimits(session, { rate_limit_device: 0, rate_limit_ip: 2 });
+
+    for (const device of ['ccccccccccccccccccccc', 'ddddddddddddddddddddd']) {
+      assert.equal((await submitSong(server.request, session.sessionId, { singer_name: 'Ann' }, fromDevice(device, '203.0.113.7'))).status, 200);
+    }
+
+    const refused = await submitSong(server.request, session.sessionId, { singer_name: 'Cy' }, fromDevice('eeeeeeeeeeeeeeeeeeeee', '203.0.113.7'));
+    assert.equal(refused.status, 429);
+    assert.match(refused.body, /coming from your network/);
+
+    const elsewhere = await submitSong(server.request, session.sessionId, { singer_name: 'Cy' }, fromDevice('eeeeeeeeeeeeeeeeeeeee', '203.0.113.8'));
+    assert.equal(elsewhere.status, 200);
+  });
+
+  test('limits are per session', async () => {
+    const first = await createSession(server.request);
+    const second = await createSession(server.request);
+    await setLimits(first, { rate_limit_device: 1 });
+    const phone = fromDevice('fffffffffffffffffffff');
+
+    assert.equal((await submitSong(server.request, first.sessionId, { singer_name: 'Ann' }, phone)).status, 200);
+    assert.equal((await submitSong(server.request, first.sessionId, { singer_name: 'Ann' }, phone)).status, 429);
+    assert.equal((await submitSong(server.request, second.sessionId, { singer_name: 'Ann' }, phone)).status, 200);
+  });
+
+  test('refused requests are flagged for the DJ as one burst', async () => {
+    const session = await createSession(server.request);
+    await setLimits(session, { rate_limit_device: 0, rate_limit_ip: 1 });
+    const prankster = fromDevice('ggggggggggggggggggggg', '192.0.2.55');
+
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann' }, prankster);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Spam' }, prankster);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Spam 2' }, prankster);
+
+    const path = `/api/sessions/${session.sessionId}/flagged-bursts`;
+    assert.equal((await server.request('GET', path)).status, 401);
+
+    const { status, body } = await server.request('GET', path, { headers: session.dj });
+    assert.equal(status, 200);
+    assert.equal(body.bursts.length, 1);
+    assert.equal(body.bursts[0].kind, 'ip');
+    assert.equal(body.bursts[0].label, '192.0.2.x');
+    assert.equal(body.bursts[0].attempts, 2);
+    assert.deepEqual(body.bursts[0].singerNames, ['Spam', 'Spam 2']);
+    assert.equal('client' in body.bursts[0], false);
+
+    const history = await server.request('GET', `/api/sessions/${session.sessionId}/events/history`, { headers: session.dj });
+    assert.equal(history.body.events.filter(event => event.event_type === 'submission-burst-flagged').length, 1);
+  });
+
+  test('the singer page issues a device cookie', async () => {
+    const session = await createSession(server.request);
+    const res = await fetch(`${server.baseUrl}/singer/${session.sessionId}`);
+    assert.match(res.headers.get('set-cookie'), /^singer_device=[\w-]{21};.*HttpOnly/);
+  });
+});
+
+describe('session settings', () => {
+  const DEFAULT_SETTINGS = {
+    rate_limit_device: 5,
+    rate_limit_ip: 20,
+    rate_limit_window_minutes: 10,
+    require_approval: 0,
+    max_songs_per_singer: 0,
+    max_waiting_per_singer: 0,
+    min_submission_gap_minutes: 0,
+    last_call_at: null,
+    block_duplicates: 0,
+    starts_at: null,
+    closes_at: null,
+    ending_grace_minutes: 5,
+    inactivity_timeout_hours: 6,
+  };
+
+  test('new sessions use the defaults', async () => {
+    const session = await createSession(server.request);
+    const { status, body } = await server.request('GET', `/api/sessions/${session.sessionId}/settings`, { headers: session.dj });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.settings, DEFAULT_SETTINGS);
+  });
+
+  test('the DJ can change some settings and keep the rest', async () => {
+    const session = await createSession(server.request);
+    const { status, body } = await setLimits(session, { rate_limit_window_minutes: 30 });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.settings, { ...DEFAULT_SETTINGS, rate_limit_window_minutes: 30 });
+  });
+
+  test('invalid or unknown settings are rejected', async () => {
+    const session = await createSession(server.request);
+
+    for (const settings of [{ rate_limit_device: -1 }, { rate_limit_window_minutes: 0 }, { rate_limit_ip: '5' }, { last_call_at: 'soon' }, { surprise: 1 }]) {
+      const { status } = await setLimits(session, settings);
+      assert.equal(status, 400, JSON.stringify(settings));
+    }
+  });
+
+  test('settings need the DJ token', async () => {
+    const session = await createSession(server.request);
+    const path = `/api/sessions/${session.sessionId}/settings`;
+
+    assert.equal((await server.request('GET', path)).status, 401);
+    assert.equal((await server.request('PUT', path, { json: { rate_limit_device: 1 } })).status, 401);
+  });
+});
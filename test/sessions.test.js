@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('creating a session returns its ID, DJ link, DJ token and QR code', async () => {
+  const session = await createSession(server.request, { songDuration: 240, venmo_handle: '@dj' });
+
+  assert.match(session.sessionId, /^[A-Z0-9_-]{6}$/);
+  assert.equal(session.djUrl, `/dj/${session.sessionId}`);
+  assert.equal(session.qrCodePath, `/qr-codes/${session.sessionId}.png`);
+  assert.ok(session.djToken.length >= 32);
+
+  const qr = await fetch(`${server.baseUrl}${session.qrCodePath}`);
+  assert.equal(qr.status, 200);
+  assert.equal(qr.headers.get('content-type'), 'image/png');
+});
+
+test('session details are public but never include the DJ token hash', async () => {
+  const session = await createSession(server.request, { songDuration: 240, venmo_handle: '@dj' });
+  const { status, body } = await server.request('GET', `/api/sessions/${session.sessionId}`);
+
+  assert.equal(status, 200);
+  assert.equal(body.id, session.sessionId);
+  assert.equal(body.song_duration, 240);
+  assert.equal(body.venmo_handle, '@dj');
+  assert.equal(body.status, 'active');
+  assert.equal('dj_token_hash' in body, false);
+});
+
+test('unknown sessions are 404', async () => {
+  const { status, body } = await server.request('GET', '/api/sessions/NOPE00');
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Session not found');
+});
+
+test('DJ routes need the session\'s DJ token', async () => {
+  const session = await createSession(server.request);
+  const other = await createSession(server.request);
+  const path = `/api/sessions/${session.sessionId}/tips`;
+  const json = { venmo_handle: '@new' };
+
+  assert.equal((await server.request('PUT', path, { json })).status, 401);
+  assert.equal((await server.request('PUT', path, { json, headers: other.dj })).status, 403);
+  assert.equal((await server.request('PUT', path, { json, headers: session.dj })).status, 200);
+
+  const { body } = await server.request('GET', `/api/sessions/${session.sessionId}`);
+  assert.equal(body.venmo_handle, '@new');
+});
@@ -0,0 +1,190 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+describe('song submission', () => {
+  test('adds the song to the end of the queue and returns a manage link', async () => {
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann', artist: 'Queen', song_title: 'Bohemian Rhapsody' });
+    const second = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+
+    assert.equal(first.status, 200);
+    assert.match(first.body, /Request Added!/);
+    assert.match(first.body, /Queue position: <strong>#1<\/strong>/);
+    assert.match(second.body, /Queue position: <strong>#2<\/strong>/);
+    assert.ok(first.songId);
+    assert.ok(first.manageToken);
+
+    const songs = await getSongs(server.request, session);
+    assert.deepEqual(songs.map(song => [song.singer_name, song.position, song.status]), [
+      ['Ann', 1, 'waiting'],
+      ['Bob', 2, 'waiting'],
+    ]);
+    assert.equal('manage_token_hash' in songs[0], false);
+  });
+
+  test('an existing singer name is reused as-is', async () => {
+    const session = await createSession(server.request);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const again = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    assert.match(again.body, /<strong>Ann<\/strong>/);
+    const songs = await getSongs(server.request, session);
+    assert.deepEqual(songs.map(song => song.singer_name), ['Ann', 'Ann']);
+  });
+
+  test('a new name that clashes with an existing singer is numbered', async () => {
+    const session = await createSession(server.request);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await submitSong(server.request, session.sessionId, { singer_name: 'ann' });
+    await submitSong(server.request, session.sessionId, { singer_name: 'ANN' });
+
+    const songs = await getSongs(server.request, session);
+    assert.deepEqual(songs.map(song => song.singer_name), ['Ann', 'ann (2)', 'ANN (3)']);
+  });
+
+  test('submitting to an unknown session is 404', async () => {
+    const res = await submitSong(server.request, 'NOPE00', { singer_name: 'Ann' });
+    assert.equal(res.status, 404);
+    assert.match(res.body, /Session not found/);
+  });
+});
+
+describe('reorder', () => {
+  test('the DJ can set new queue positions', async () => {
+    const session = await createSession(server.request);
+    const a = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const b = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+    const c = await submitSong(server.request, session.sessionId, { singer_name: 'Cy' });
+
+    const { status } = await server.request('PUT', `/api/sessions/${session.sessionId}/reorder`, {
+      headers: session.dj,
+      json: { songPositions: [{ id: c.songId, position: 1 }, { id: a.songId, position: 2 }, { id: b.songId, position: 3 }] },
+    });
+
+    assert.equal(status, 200);
+    const songs = await getSongs(server.request, session);
+    assert.deepEqual(songs.map(song => song.singer_name), ['Cy', 'Ann', 'Bob']);
+  });
+
+  test('reordering needs the DJ token', async () => {
+    const session = await createSession(server.request);
+    const a = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const { status } = await server.request('PUT', `/api/sessions/${session.sessionId}/reorder`, {
+      json: { songPositions: [{ id: a.songId, position: 1 }] },
+    });
+    assert.equal(status, 401);
+  });
+});
+
+describe('singer delay', () => {
+  const delay = (song, minutes, headers = { 'X-Manage-Token': song.manageToken }) =>
+    server.request('PUT', `/api/songs/${song.songId}/delay`, { headers, json: { delay_minutes: minutes } });
+
+  test('accepts 1 to 30 minutes', async () => {
+    const session = await createSession(server.request);
+
+    for (const minutes of [1, 30]) {
+      const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+      const { status, body } = await delay(song, minutes);
+      assert.equal(status, 200, `${minutes} minutes`);
+      assert.ok(body.delayed_until);
+    }
+
+    const songs = await getSongs(server.request, session);
+    assert.deepEqual(songs.map(song => [song.status, song.delay_minutes]), [['delayed', 1], ['delayed', 30]]);
+  });
+
+  test('a delayed song can\'t be delayed again', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    await delay(song, 5);
+    const { status, body } = await delay(song, 5);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Can only delay songs that are waiting');
+  });
+
+  test('rejects delays outside 1 to 30 minutes', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    for (const minutes of [0, 31, -5, undefined]) {
+      const { status, body } = await delay(song, minutes);
+      assert.equal(status, 400, `${minutes} minutes`);
+      assert.equal(body.error, 'Delay must be between 1 and 30 minutes');
+    }
+  });
+
+  test('needs the song\'s manage token', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const other = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+
+    assert.equal((await delay(song, 5, {})).status, 401);
+    assert.equal((await delay(song, 5, { 'X-Manage-Token': other.manageToken })).status, 403);
+  });
+
+  test('only waiting songs can be delayed', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await server.request('PUT', `/api/songs/${song.songId}/cancel`, { headers: { 'X-Manage-Token': song.manageToken } });
+
+    const { status, body } = await delay(song, 5);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Can only delay songs that are waiting');
+  });
+});
+
+describe('singer cancel', () => {
+  const cancel = (song, headers = { 'X-Manage-Token': song.manageToken }) =>
+    server.request('PUT', `/api/songs/${song.songId}/cancel`, { headers });
+
+  test('a waiting song is skipped and leaves the queue order', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const { status } = await cancel(song);
+    assert.equal(status, 200);
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'skipped');
+  });
+
+  test('a song can only be cancelled once', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    await cancel(song);
+    const { status, body } = await cancel(song);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Can only cancel songs that are waiting');
+  });
+
+  test('a song on stage can\'t be cancelled', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await songTransition(server.request, session, song.songId, 'PLAY');
+
+    const { status } = await cancel(song);
+    assert.equal(status, 400);
+  });
+
+  test('needs the song\'s manage token', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    assert.equal((await cancel(song, {})).status, 401);
+    assert.equal((await cancel(song, { 'X-Manage-Token': 'wrong' })).status, 403);
+    assert.equal((await server.request('PUT', '/api/songs/999999/cancel')).status, 404);
+  });
+});
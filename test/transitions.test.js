@@ -0,0 +1,227 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, submitSong, getSongs, songTransition, sessionTransition } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+describe('song transitions', () => {
+  test('the next song plays and then completes', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const play = await songTransition(server.request, session, song.songId, 'PLAY');
+    assert.equal(play.status, 200);
+    assert.equal(play.body.state, 'playing');
+
+    let [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'playing');
+    assert.ok(stored.started_at);
+
+    const complete = await songTransition(server.request, session, song.songId, 'COMPLETE');
+    assert.equal(complete.body.state, 'done');
+
+    [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'done');
+    assert.ok(stored.ended_at);
+  });
+
+  test('only the next song in the queue can start', async () => {
+    const session = await createSession(server.request);
+    await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const second = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+
+    const { status, body } = await songTransition(server.request, session, second.songId, 'PLAY');
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Only the next song in the queue can start');
+    assert.equal(body.state, 'waiting');
+    assert.deepEqual(body.allowedEvents, ['SKIP', 'DELAY']);
+
+    const state = await server.request('GET', `/api/songs/${second.songId}/state`);
+    assert.equal(state.body.value, 'waiting');
+    assert.equal(state.body.can.play, false);
+    assert.equal(state.body.can.skip, true);
+  });
+
+  test('a skipped song leaves the queue', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const { body } = await songTransition(server.request, session, song.songId, 'SKIP');
+    assert.equal(body.state, 'skipped');
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'skipped');
+  });
+
+  test('an event is required', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const { status, body } = await songTransition(server.request, session, song.songId, undefined);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Event is required');
+  });
+
+  test('events must be names the DJ can send', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const objects = [{}, { type: 'DELAY', delayedUntil: '2099-01-01T00:00:00Z' }];
+    for (const event of [...objects, 'DELAY', 'DELAY_EXPIRED', 'EDIT', 'NOPE']) {
+      assert.equal((await songTransition(server.request, session, song.songId, event)).status, 400);
+    }
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'waiting');
+    assert.equal(stored.delayed_until, null);
+  });
+
+  test('needs the DJ token and a known song', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    const noToken = await server.request('POST', `/api/songs/${song.songId}/transition`, { json: { event: 'PLAY' } });
+    assert.equal(noToken.status, 401);
+
+    const unknown = await songTransition(server.request, session, 999999, 'PLAY');
+    assert.equal(unknown.status, 404);
+    assert.equal((await server.request('GET', '/api/songs/999999/state')).status, 404);
+  });
+});
+
+describe('validated status changes', () => {
+  const setStatus = (session, songId, status) =>
+    server.request('PUT', `/api/songs/${songId}/status`, { headers: session.dj, json: { status } });
+
+  test('the status route moves songs through the state machine', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+
+    assert.equal((await setStatus(session, song.songId, 'playing')).body.state, 'playing');
+    assert.equal((await setStatus(session, song.songId, 'done')).body.state, 'done');
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'done');
+    assert.ok(stored.started_at);
+    assert.ok(stored.ended_at);
+  });
+
+  test('finished songs can\'t be put back in the queue', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await songTransition(server.request, session, song.songId, 'SKIP');
+
+    const { status, body } = await setStatus(session, song.songId, 'waiting');
+    assert.equal(status, 409);
+    assert.equal(body.state, 'skipped');
+    assert.deepEqual(body.allowedEvents, []);
+
+    const [stored] = await getSongs(server.request, session);
+    assert.equal(stored.status, 'skipped');
+    assert.equal((await setStatus(session, song.songId, 'bogus')).status, 400);
+  });
+
+  test('only one song plays at a time', async () => {
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const second = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+    await songTransition(server.request, session, first.songId, 'PLAY');
+
+    const play = await songTransition(server.request, session, second.songId, 'PLAY');
+    assert.equal(play.status, 409);
+    assert.equal(play.body.error, 'Another song is already playing');
+    assert.equal((await setStatus(session, second.songId, 'playing')).status, 409);
+
+    await songTransition(server.request, session, first.songId, 'COMPLETE');
+    assert.equal((await songTransition(server.request, session, second.songId, 'PLAY')).body.state, 'playing');
+  });
+
+  test('the playing song has to end before it can be removed', async () => {
+    const session = await createSession(server.request);
+    const song = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    await songTransition(server.request, session, song.songId, 'PLAY');
+
+    const refused = await server.request('DELETE', `/api/songs/${song.songId}`, { headers: session.dj });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.allowedEvents, ['COMPLETE', 'SKIP']);
+
+    await songTransition(server.request, session, song.songId, 'SKIP');
+    const removed = await server.request('DELETE', `/api/songs/${song.songId}`, { headers: session.dj });
+    assert.equal(removed.status, 200);
+  });
+
+  test('undo can\'t leave two songs playing', async () => {
+    const db = await import('../database.js');
+    const stateManager = await import('../src/services/state-manager.js');
+    const session = await createSession(server.request);
+    const first = await submitSong(server.request, session.sessionId, { singer_name: 'Ann' });
+    const second = await submitSong(server.request, session.sessionId, { singer_name: 'Bob' });
+    await songTransition(server.request, session, first.songId, 'PLAY');
+    await songTransition(server.request, session, first.songId, 'COMPLETE');
+
+    // Bob started somewhere the history doesn't know about
+    db.updateSongStatus(second.songId, 'playing');
+    stateManager.clearSongActor(second.songId);
+
+    const undo = await server.request('POST', `/api/sessions/${session.sessionId}/undo`, { headers: session.dj });
+    assert.equal(undo.status, 409);
+    assert.equal(undo.body.error, 'Another song is already playing');
+    assert.match(undo.body.undo.description, /playing → done/);
+
+    const songs = await getSongs(server.request, session);
+    assert.equal(songs.find(song => song.id === first.songId).status, 'done');
+  });
+});
+
+describe('session transitions', () => {
+  test('pause and resume', async () => {
+    const session = await createSession(server.request);
+
+    const pause = await sessionTransition(server.request, session, 'PAUSE');
+    assert.equal(pause.status, 200);
+    assert.equal(pause.body.state, 'paused');
+    assert.equal((await server.request('GET', `/api/sessions/${session.sessionId}`)).body.status, 'paused');
+
+    const resume = await sessionTransition(server.request, session, 'RESUME');
+    assert.equal(resume.body.state, 'active');
+    assert.equal((await server.request('GET', `/api/sessions/${session.sessionId}`)).body.status, 'active');
+  });
+
+  test('ending can be cancelled', async () => {
+    const session = await createSession(server.request);
+
+    assert.equal((await sessionTransition(server.request, session, 'END')).body.state, 'ending');
+    assert.equal((await sessionTransition(server.request, session, 'CANCEL_END')).body.state, 'active');
+  });
+
+  test('the state endpoint reports the machine state', async () => {
+    const session = await createSession(server.request);
+    await sessionTransition(server.request, session, 'PAUSE');
+
+    const { status, body } = await server.request('GET', `/api/sessions/${session.sessionId}/state`);
+    assert.equal(status, 200);
+    assert.equal(body.value, 'paused');
+    assert.equal((await server.request('GET', '/api/sessions/NOPE00/state')).status, 404);
+  });
+
+  test('events only the session\'s timer sends are refused', async () => {
+    const session = await createSession(server.request);
+
+    for (const event of ['EXPIRE', 'CLOSE', 'GRACE_EXPIRED', 'INTERMISSION_OVER', 'NOPE']) {
+      assert.equal((await sessionTransition(server.request, session, event)).status, 400);
+    }
+    assert.equal((await server.request('GET', `/api/sessions/${session.sessionId}`)).body.status, 'active');
+  });
+
+  test('needs the DJ token', async () => {
+    const session = await createSession(server.request);
+    const { status } = await server.request('POST', `/api/sessions/${session.sessionId}/transition`, { json: { event: 'PAUSE' } });
+    assert.equal(status, 401);
+  });
+});